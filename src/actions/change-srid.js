@@ -0,0 +1,160 @@
+/**
+ * change-srid.js
+ * ---------------------------------------------------------------------------
+ * `change_postgis_srid` action – re-projects an existing PostGIS column to a
+ * new SRID (`ALTER COLUMN … TYPE … USING ST_Transform(…)`) and records the
+ * new `srid` attribute on the field.
+ *
+ * Runs as a dry run by default: the notification reports the row count and
+ * the extent before and after re-projection, and nothing is changed until
+ * **Dry run** is switched off.  Leaving **New SRID** blank migrates the
+ * column to the SRID its attribute already names – the repair for a column
+ * whose attribute was changed before the migration hook existed.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { PGIS_TYPES } = require('../table/patch-table-reads');
+const { previewSridChange, migrateColumn } = require('../table/srid-migration');
+const { DEFAULT_SRID } = require('../constants');
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Lazily resolve the Saltcorn db module (absent when linted stand-alone).
+ *
+ * @returns {any}
+ */
+function getDb() {
+  // eslint-disable-next-line global-require
+  return require('@saltcorn/data/db');
+}
+
+/**
+ * Runtime Table class across Saltcorn 0.x / 1.x variants.
+ *
+ * @returns {any}
+ */
+function getTableClass() {
+  // eslint-disable-next-line global-require
+  const TableMod = require('@saltcorn/data/models/table');
+  return TableMod && typeof TableMod.findOne === 'function'
+    ? TableMod
+    : TableMod?.Table || TableMod;
+}
+
+/**
+ * `[xmin, ymin, xmax, ymax]` ➜ readable text.
+ *
+ * @param {number[]|null} box
+ * @returns {string}
+ */
+function formatExtent(box) {
+  if (!box) return 'empty';
+  return `[${box.map((n) => Math.round(n * 1e6) / 1e6).join(', ')}]`;
+}
+
+/* ───────────────────────── Action ─────────────────────────────────── */
+
+const changeSridAction = {
+  requireRow: false,
+  group: 'Database',
+  description:
+    'Re-project a PostGIS column to a new SRID with ST_Transform, after a ' +
+    'dry-run preview of the row count and transformed extent.',
+
+  /**
+   * @param {{table?: import('@saltcorn/types').Table}} ctx
+   * @returns {Promise<object[]>}
+   */
+  async configFields({ table } = {}) {
+    const out = [];
+    let fieldOpts;
+    if (table) {
+      fieldOpts = (await table.getFields())
+        .filter((f) => PGIS_TYPES.has(f.type?.name))
+        .map((f) => f.name);
+    } else {
+      const tables = await getTableClass().find({}, { cached: true });
+      out.push({
+        name: 'table_name',
+        label: 'Table',
+        type: 'String',
+        required: true,
+        attributes: { options: tables.map((t) => t.name) },
+      });
+    }
+    out.push(
+      {
+        name: 'field_name',
+        label: 'PostGIS field',
+        type: 'String',
+        required: true,
+        ...(fieldOpts ? { attributes: { options: fieldOpts } } : {}),
+      },
+      {
+        name: 'new_srid',
+        label: 'New SRID',
+        sublabel: 'EPSG code, e.g. 3857 or 7856.  Blank: the SRID the field attribute names',
+        type: 'Integer',
+      },
+      {
+        name: 'dry_run',
+        label: 'Dry run',
+        sublabel: 'Only report the row count and transformed extent',
+        type: 'Bool',
+        default: true,
+      },
+    );
+    return out;
+  },
+
+  /**
+   * @param {{table?: any, configuration?: Record<string, any>}} args
+   * @returns {Promise<{notify?:string, notify_success?:string, error?:string}>}
+   */
+  async run({ table, configuration = {} }) {
+    const { table_name, field_name, new_srid, dry_run = true } = configuration;
+    dbg.info('Action:change_postgis_srid invoked', { table_name, field_name, new_srid, dry_run });
+
+    const tbl = table_name ? await getTableClass().findOne({ name: table_name }) : table;
+    if (!tbl) return { error: 'Table not found.' };
+    const field = (await tbl.getFields())
+      .find((f) => f.name === field_name && PGIS_TYPES.has(f.type?.name));
+    if (!field) return { error: `“${field_name}” is not a PostGIS field of ${tbl.name}.` };
+
+    const attrs = field.attributes || {};
+    const target = new_srid || attrs.srid || DEFAULT_SRID;
+
+    try {
+      const p = await previewSridChange(tbl, field, target);
+      const summary =
+        `${tbl.name}.${field.name}: ${p.rows} rows (${p.nonNull} with geometry). ` +
+        `${p.fromType} ➜ ${p.toType}. ` +
+        `Extent ${formatExtent(p.extentFrom)} ➜ ${formatExtent(p.extentTo)}.`;
+
+      if (p.fromSrid === p.toSrid && attrs.srid === p.toSrid) {
+        return { notify: `${tbl.name}.${field.name} is already in SRID ${p.toSrid}.` };
+      }
+      if (dry_run) return { notify: `Dry run – ${summary}` };
+
+      await migrateColumn(tbl, field, { ...attrs, srid: p.toSrid });
+      if (attrs.srid !== p.toSrid) {
+        await getDb().update('_sc_fields', { attributes: { ...attrs, srid: p.toSrid } }, field.id);
+      }
+      // eslint-disable-next-line global-require
+      await require('@saltcorn/data/db/state').getState().refresh_tables();
+      dbg.info('SRID migration complete', summary);
+      return { notify_success: `Migrated – ${summary}` };
+    } catch (e) {
+      dbg.error('change_postgis_srid failed', e);
+      return { error: `SRID change failed: ${e.message}` };
+    }
+  },
+};
+
+module.exports = { changeSridAction };
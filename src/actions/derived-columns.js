@@ -0,0 +1,280 @@
+/**
+ * derived-columns.js
+ * ---------------------------------------------------------------------------
+ * `create_point_latlng_columns` action, generalised: adds calculated columns
+ * derived from any PostGIS field – latitude / longitude, area, length,
+ * perimeter, centroid, geohash, SRID and validity.
+ *
+ * Saltcorn calculated fields are JS formulas, so every column is a formula
+ * over the plug-in's own spatial functions (`src/functions/catalogue.js`),
+ * e.g. `geoArea(boundary)`.  Column names are configurable; columns that
+ * already exist are skipped, or – when they are calculated – updated with
+ * the new formula.  Ordinary data columns are never touched.
+ *
+ * An unconfigured run (triggers created before the form existed) keeps the
+ * historic behaviour: `<point>_lat` / `<point>_lng` on the first point field.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { PGIS_TYPES } = require('../table/patch-table-reads');
+
+/**
+ * Derived measures: one or more columns each, with a default suffix, Saltcorn
+ * type and formula builder.
+ *
+ * @type {Readonly<Record<string, {label:string, columns:Array<{key:string,
+ *   suffix:string, label:string, type:string, attributes?:object,
+ *   formula:(f:string)=>string}>}>>}
+ */
+const MEASURES = Object.freeze({
+  latlng: {
+    label: 'Latitude / longitude (centroid for non-points)',
+    columns: [
+      { key: 'lat', suffix: '_lat', label: 'latitude', type: 'Float', formula: (f) => `latitude(${f})` },
+      { key: 'lng', suffix: '_lng', label: 'longitude', type: 'Float', formula: (f) => `longitude(${f})` },
+    ],
+  },
+  area: {
+    label: 'Area (m²)',
+    columns: [{ key: 'area', suffix: '_area_m2', label: 'area (m²)', type: 'Float', formula: (f) => `geoArea(${f})` }],
+  },
+  length: {
+    label: 'Length (m)',
+    columns: [{ key: 'length', suffix: '_length_m', label: 'length (m)', type: 'Float', formula: (f) => `geoLength(${f})` }],
+  },
+  perimeter: {
+    label: 'Perimeter (m)',
+    columns: [{
+      key: 'perimeter', suffix: '_perimeter_m', label: 'perimeter (m)', type: 'Float',
+      formula: (f) => `geoPerimeter(${f})`,
+    }],
+  },
+  centroid: {
+    label: 'Centroid (WGS-84 point)',
+    columns: [{
+      key: 'centroid', suffix: '_centroid', label: 'centroid', type: 'point',
+      attributes: { srid: 4326 }, formula: (f) => `centroid(${f})`,
+    }],
+  },
+  geohash: {
+    label: 'Geohash',
+    columns: [{ key: 'geohash', suffix: '_geohash', label: 'geohash', type: 'String', formula: (f) => `geohash(${f})` }],
+  },
+  srid: {
+    label: 'SRID',
+    columns: [{ key: 'srid', suffix: '_srid', label: 'SRID', type: 'Integer', formula: (f) => `srid(${f})` }],
+  },
+  valid: {
+    label: 'Is valid (ST_IsValid)',
+    columns: [{ key: 'valid', suffix: '_is_valid', label: 'is valid', type: 'Bool', formula: (f) => `isValid(${f})` }],
+  },
+});
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Runtime Table class across Saltcorn 0.x / 1.x variants.
+ *
+ * @returns {any}
+ */
+function getTableClass() {
+  // eslint-disable-next-line global-require
+  const TableMod = require('@saltcorn/data/models/table');
+  return TableMod && typeof TableMod.findOne === 'function'
+    ? TableMod
+    : TableMod?.Table || TableMod;
+}
+
+/**
+ * Runtime Field class.
+ *
+ * @returns {any}
+ */
+function getFieldClass() {
+  // eslint-disable-next-line global-require
+  const FieldMod = require('@saltcorn/data/models/field');
+  return FieldMod?.Field || FieldMod;
+}
+
+/**
+ * Recalculate stored calculated fields (fire-and-forget, like Saltcorn).
+ *
+ * @param {any} table
+ * @returns {void}
+ */
+function recalculateStored(table) {
+  try {
+    // eslint-disable-next-line global-require
+    const { recalculate_for_stored } = require('@saltcorn/data/models/expression');
+    recalculate_for_stored(table).catch((e) => dbg.warn('recalculate_for_stored failed', e.message));
+  } catch (e) {
+    dbg.warn('recalculate_for_stored unavailable', e.message);
+  }
+}
+
+/* ───────────────────────── Action ─────────────────────────────────── */
+
+const derivedColumnsAction = {
+  requireRow: false,
+  group: 'Database',
+  description:
+    'Creates calculated columns derived from a PostGIS field: lat/lng, ' +
+    'area, length, perimeter, centroid, geohash, SRID or validity.',
+
+  /**
+   * @param {{table?: import('@saltcorn/types').Table}} ctx
+   * @returns {Promise<object[]>}
+   */
+  async configFields({ table } = {}) {
+    const out = [];
+    let fieldOpts;
+    if (table) {
+      fieldOpts = (await table.getFields())
+        .filter((f) => PGIS_TYPES.has(f.type?.name))
+        .map((f) => f.name);
+    } else {
+      const tables = await getTableClass().find({}, { cached: true });
+      out.push({
+        name: 'table_name',
+        label: 'Table',
+        type: 'String',
+        required: true,
+        attributes: { options: tables.map((t) => t.name) },
+      });
+    }
+    out.push({
+      name: 'field_name',
+      label: 'PostGIS field',
+      type: 'String',
+      required: true,
+      ...(fieldOpts ? { attributes: { options: fieldOpts } } : {}),
+    });
+
+    for (const [measure, m] of Object.entries(MEASURES)) {
+      out.push({ name: `measure_${measure}`, label: m.label, type: 'Bool', default: measure === 'latlng' });
+      for (const c of m.columns) {
+        out.push({
+          name: `name_${c.key}`,
+          label: `Column name – ${c.label}`,
+          sublabel: `Default <field>${c.suffix}`,
+          type: 'String',
+          showIf: { [`measure_${measure}`]: true },
+        });
+      }
+    }
+
+    out.push(
+      {
+        name: 'stored',
+        label: 'Stored',
+        sublabel: 'Store the values (needed to filter or sort on them)',
+        type: 'Bool',
+        default: true,
+      },
+      {
+        name: 'on_existing',
+        label: 'If a column exists',
+        sublabel: 'Only calculated columns are ever updated',
+        type: 'String',
+        default: 'skip',
+        attributes: { options: ['skip', 'update'] },
+      },
+    );
+    return out;
+  },
+
+  /**
+   * @param {{table?: any, table_id?: number, configuration?: Record<string, any>}} args
+   * @returns {Promise<{notify?:string, notify_success?:string, error?:string}>}
+   */
+  async run({ table, table_id, configuration = {} }) {
+    dbg.info('Action:create_point_latlng_columns invoked', { table: table?.name, table_id, configuration });
+    const Table = getTableClass();
+    const tbl = configuration.table_name
+      ? await Table.findOne({ name: configuration.table_name })
+      : table || (table_id ? await Table.findOne({ id: table_id }) : null);
+    if (!tbl) return { error: 'Table not found.' };
+
+    const fields = await tbl.getFields();
+    const spatial = fields.filter((f) => PGIS_TYPES.has(f.type?.name));
+    const field = configuration.field_name
+      ? spatial.find((f) => f.name === configuration.field_name)
+      : spatial.find((f) => f.type?.name === 'point');
+    if (!field) {
+      return {
+        error: configuration.field_name
+          ? `“${configuration.field_name}” is not a PostGIS field of ${tbl.name}.`
+          : 'No point field detected.',
+      };
+    }
+
+    const configured = Object.keys(MEASURES).some((m) => `measure_${m}` in configuration);
+    const chosen = configured
+      ? Object.keys(MEASURES).filter((m) => configuration[`measure_${m}`])
+      : ['latlng'];
+    if (!chosen.length) return { error: 'No derived columns selected.' };
+
+    const stored = configuration.stored ?? configured;
+    const update = configuration.on_existing === 'update';
+    const Field = getFieldClass();
+    const created = [];
+    const updated = [];
+    const skipped = [];
+    let storedUpdated = false;
+
+    for (const measure of chosen) {
+      for (const c of MEASURES[measure].columns) {
+        const name = String(configuration[`name_${c.key}`] || `${field.name}${c.suffix}`).trim();
+        const expression = c.formula(field.name);
+        const existing = fields.find((f) => f.name === name);
+
+        if (existing) {
+          if (update && existing.calculated && typeof existing.update === 'function') {
+            await existing.update({ expression, stored: existing.stored });
+            updated.push(name);
+            storedUpdated = storedUpdated || !!existing.stored;
+          } else {
+            skipped.push(name);
+          }
+          continue;
+        }
+
+        try {
+          await Field.create({
+            table: tbl,
+            table_id: tbl.id,
+            name,
+            label: `${field.label || field.name} ${c.label}`,
+            type: c.type,
+            calculated: true,
+            stored,
+            expression,
+            ...(c.attributes ? { attributes: c.attributes } : {}),
+          });
+          created.push(name);
+        } catch (e) {
+          dbg.error('Creating derived column failed', { name, error: e.message });
+          return { error: `Could not create ${name}: ${e.message}` };
+        }
+      }
+    }
+
+    if (storedUpdated) recalculateStored(tbl);
+
+    const parts = [
+      created.length && `Created ${created.join(', ')}.`,
+      updated.length && `Updated ${updated.join(', ')}.`,
+      skipped.length && `Skipped existing ${skipped.join(', ')}.`,
+    ].filter(Boolean);
+    const msg = parts.join(' ');
+    dbg.info(msg);
+    return created.length || updated.length ? { notify_success: msg } : { notify: msg };
+  },
+};
+
+module.exports = { derivedColumnsAction, MEASURES };
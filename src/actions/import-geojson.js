@@ -0,0 +1,98 @@
+/**
+ * import-geojson.js
+ * ---------------------------------------------------------------------------
+ * `import_geojson` action – loads a GeoJSON file from the file store into a
+ * table: one row per feature, the geometry into the chosen PostGIS field
+ * and the feature properties onto columns through the mapping form.
+ *
+ * Accepts a FeatureCollection, a single Feature or a bare geometry.
+ * Coordinates are WGS-84 (RFC 7946) unless the file carries a legacy `crs`
+ * member or a source SRID is configured; either way they are re-projected
+ * to the column SRID by the type's normaliser.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { legacyCrsSrid } = require('../utils/geometry');
+const { readImportFile } = require('../import/source-file');
+const { importConfigFields, mappingFrom, resolveImportTarget } = require('../import/import-config');
+const { importRecords, importResult } = require('../import/write-rows');
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Parsed GeoJSON ➜ import records.
+ *
+ * @param {Record<string, any>} doc
+ * @returns {Array<{geometry:unknown, properties:Record<string, unknown>, label:string}>}
+ */
+function featureRecords(doc) {
+  let features;
+  if (doc?.type === 'FeatureCollection' && Array.isArray(doc.features)) {
+    features = doc.features;
+  } else if (doc?.type === 'Feature') {
+    features = [doc];
+  } else if (doc?.type) {
+    features = [{ type: 'Feature', geometry: doc, properties: {} }];
+  } else {
+    throw new Error('Not a GeoJSON FeatureCollection, Feature or geometry.');
+  }
+  return features.map((f, i) => ({
+    geometry: f?.geometry ?? null,
+    properties: f?.properties || {},
+    label: `Feature ${i + 1}${f?.id !== undefined ? ` (id ${f.id})` : ''}`,
+  }));
+}
+
+/* ───────────────────────── Action ─────────────────────────────────── */
+
+const importGeoJSONAction = {
+  requireRow: false,
+  group: 'Database',
+  description:
+    'Import a GeoJSON file into a table: geometries into a PostGIS field, ' +
+    'feature properties onto columns.  Insert triggers are not run.',
+
+  /**
+   * @param {{table?: import('@saltcorn/types').Table}} ctx
+   * @returns {Promise<object[]>}
+   */
+  configFields: ({ table } = {}) =>
+    importConfigFields(table, {
+      extensions: ['.geojson', '.json'],
+      fileLabel: 'GeoJSON file',
+      srcLabel: 'feature property',
+    }),
+
+  /**
+   * @param {{table?: any, configuration?: Record<string, any>, user?: any}} args
+   * @returns {Promise<{notify?:string, notify_success?:string, error?:string}>}
+   */
+  async run({ table, configuration = {}, user }) {
+    dbg.info('Action:import_geojson invoked', { file: configuration.file });
+    const target = await resolveImportTarget(table, configuration);
+    if ('error' in target) return target;
+
+    try {
+      const doc = JSON.parse(String(await readImportFile(configuration.file, 'utf8')));
+      const records = featureRecords(doc);
+      const result = await importRecords(target.table, records, {
+        geomField: target.field.name,
+        mapping: mappingFrom(configuration),
+        sourceSrid: Number(configuration.source_srid) || legacyCrsSrid(doc),
+        allOrNothing: configuration.all_or_nothing ?? true,
+        user,
+      });
+      return importResult('features', result);
+    } catch (e) {
+      dbg.error('import_geojson failed', e);
+      return { error: `GeoJSON import failed: ${e.message}` };
+    }
+  },
+};
+
+module.exports = { importGeoJSONAction };
@@ -0,0 +1,114 @@
+/**
+ * import-gps.js
+ * ---------------------------------------------------------------------------
+ * `import_kml_gpx` action – loads a GPX or KML file from the file store into
+ * a table through the shared import writer (see `src/utils/kml-gpx.js` for
+ * what becomes a row).
+ *
+ * Only records matching the column's geometry family are imported: a point
+ * column takes waypoints / point placemarks, a line column tracks and
+ * routes, a polygon column polygons; unconstrained `geometry` columns take
+ * everything.  The others are counted as skipped rather than failed.
+ * Elevation and timestamps become Z and M when the column has `dim` Z, M
+ * or ZM.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const path = require('path');
+const dbg = require('../utils/debug');
+const { parseGpx, parseKml } = require('../utils/kml-gpx');
+const { readImportFile } = require('../import/source-file');
+const { importConfigFields, mappingFrom, resolveImportTarget } = require('../import/import-config');
+const { importRecords, importResult } = require('../import/write-rows');
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Geometry family a column accepts (`undefined`: any).
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {string|undefined}
+ */
+function columnKind(field) {
+  const sub = String(field.attributes?.subtype || field.type?.name || '')
+    .toUpperCase()
+    .replace(/^MULTI/u, '');
+  return { POINT: 'point', LINESTRING: 'line', POLYGON: 'polygon' }[sub];
+}
+
+/**
+ * GPX or KML, by extension and then by content.
+ *
+ * @param {string} file
+ * @param {string} xml
+ * @returns {'gpx'|'kml'}
+ */
+function formatOf(file, xml) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.gpx' || ext === '.kml') return /** @type {'gpx'|'kml'} */ (ext.slice(1));
+  return /<(\w+:)?gpx[\s>]/u.test(xml) ? 'gpx' : 'kml';
+}
+
+/* ───────────────────────── Action ─────────────────────────────────── */
+
+const importGpsAction = {
+  requireRow: false,
+  group: 'Database',
+  description:
+    'Import GPX waypoints, tracks and routes or KML placemarks into a ' +
+    'table, with elevation / time as Z / M where the column has them.  ' +
+    'Insert triggers are not run.',
+
+  /**
+   * @param {{table?: import('@saltcorn/types').Table}} ctx
+   * @returns {Promise<object[]>}
+   */
+  configFields: ({ table } = {}) =>
+    importConfigFields(table, {
+      extensions: ['.gpx', '.kml'],
+      fileLabel: 'GPX or KML file',
+      srcLabel: 'GPX element / KML data name',
+      sourceSrid: false,
+    }),
+
+  /**
+   * @param {{table?: any, configuration?: Record<string, any>, user?: any}} args
+   * @returns {Promise<{notify?:string, notify_success?:string, error?:string}>}
+   */
+  async run({ table, configuration = {}, user }) {
+    dbg.info('Action:import_kml_gpx invoked', { file: configuration.file });
+    const target = await resolveImportTarget(table, configuration);
+    if ('error' in target) return target;
+
+    try {
+      const xml = String(await readImportFile(configuration.file, 'utf8'));
+      const format = formatOf(String(configuration.file), xml);
+      const parse = format === 'gpx' ? parseGpx : parseKml;
+      const all = parse(xml, { dim: target.field.attributes?.dim });
+
+      const kind = columnKind(target.field);
+      const records = kind ? all.filter((r) => r.error || r.kind === kind) : all;
+      const skipped = all.length - records.length;
+
+      const result = await importRecords(target.table, records, {
+        geomField: target.field.name,
+        mapping: mappingFrom(configuration),
+        sourceSrid: 4326,
+        allOrNothing: configuration.all_or_nothing ?? true,
+        user,
+      });
+      return importResult(format === 'gpx' ? 'GPX features' : 'placemarks', result, {
+        note: skipped ? `Skipped ${skipped} that are not ${kind}s.` : undefined,
+      });
+    } catch (e) {
+      dbg.error('import_kml_gpx failed', e);
+      return { error: `GPX / KML import failed: ${e.message}` };
+    }
+  },
+};
+
+module.exports = { importGpsAction };
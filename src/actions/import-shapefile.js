@@ -0,0 +1,222 @@
+/**
+ * import-shapefile.js
+ * ---------------------------------------------------------------------------
+ * `import_shapefile` action – loads a zipped ESRI shapefile (`.shp` with its
+ * `.shx`, `.dbf`, `.prj` and `.cpg` siblings) from the file store into a
+ * table through the shared import writer.  Geometries go into the chosen
+ * PostGIS field, `.dbf` attributes onto columns through the mapping form.
+ *
+ * The source SRID is the configured one, else the one recognised from the
+ * `.prj`, else 4326 when the archive has no `.prj` at all.  Rows are
+ * decoded and inserted batch by batch; progress is written to the Saltcorn
+ * server log so long imports can be followed.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const path = require('path');
+const dbg = require('../utils/debug');
+const { listEntries, extractEntry } = require('../utils/zip');
+const {
+  prjToSrid,
+  shapeCount,
+  deletedCount,
+  shapefileRecords,
+} = require('../utils/shapefile');
+const { readImportFile } = require('../import/source-file');
+const { importConfigFields, mappingFrom, resolveImportTarget } = require('../import/import-config');
+const { importRecords, importResult } = require('../import/write-rows');
+const { DEFAULT_SRID } = require('../constants');
+
+/** Rows per `INSERT` unless configured. */
+const DEFAULT_SHP_BATCH = 1000;
+
+/** Minimum interval between progress log lines. */
+const PROGRESS_EVERY_MS = 5000;
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Write an info line to the Saltcorn server log (and the debug log).
+ *
+ * @param {string} msg
+ * @returns {void}
+ */
+function logInfo(msg) {
+  dbg.info(msg);
+  try {
+    // eslint-disable-next-line global-require
+    require('@saltcorn/data/db/state').getState()?.log(3, msg);
+  } catch {
+    /* no state outside a running Saltcorn */
+  }
+}
+
+/**
+ * The shapefile layer in the archive and its sibling files.
+ *
+ * @param {Buffer} zip
+ * @param {string|undefined} layer  Layer name (`.shp` base name) to pick.
+ * @returns {{name:string, shp:Buffer, shx?:Buffer, dbf?:Buffer, prj?:string, cpg?:string}}
+ */
+function shapefileLayer(zip, layer) {
+  const entries = listEntries(zip).filter((e) => {
+    const base = path.posix.basename(e.name);
+    return !e.name.startsWith('__MACOSX/') && !base.startsWith('.');
+  });
+  const stem = (e) => e.name.slice(0, -path.posix.extname(e.name).length);
+  const layers = entries.filter((e) => path.posix.extname(e.name).toLowerCase() === '.shp');
+  if (!layers.length) throw new Error('The archive contains no .shp file.');
+
+  const wanted = String(layer || '').trim().toLowerCase();
+  const shpEntry = wanted
+    ? layers.find((e) => path.posix.basename(stem(e)).toLowerCase() === wanted
+      || stem(e).toLowerCase() === wanted)
+    : layers.length === 1 ? layers[0] : undefined;
+  if (!shpEntry) {
+    const names = layers.map((e) => path.posix.basename(stem(e))).join(', ');
+    throw new Error(wanted
+      ? `No layer “${layer}” in the archive (layers: ${names}).`
+      : `The archive holds several layers (${names}) – choose one in “Layer”.`);
+  }
+
+  const base = stem(shpEntry).toLowerCase();
+  const sibling = (ext) => {
+    const e = entries.find((x) => x.name.toLowerCase() === `${base}${ext}`);
+    return e ? extractEntry(zip, e) : undefined;
+  };
+  return {
+    name: path.posix.basename(stem(shpEntry)),
+    shp: extractEntry(zip, shpEntry),
+    shx: sibling('.shx'),
+    dbf: sibling('.dbf'),
+    prj: sibling('.prj')?.toString('utf8'),
+    cpg: sibling('.cpg')?.toString('latin1'),
+  };
+}
+
+/**
+ * Source SRID: configured, else from the `.prj`, else WGS-84.
+ *
+ * @param {Record<string, any>} configuration
+ * @param {string|undefined} prj
+ * @param {string} name  Layer name, for the error message.
+ * @returns {number}
+ */
+function sourceSridOf(configuration, prj, name) {
+  const configured = Number(configuration.source_srid);
+  if (configured) return configured;
+  if (prj === undefined) return DEFAULT_SRID;
+  const srid = prjToSrid(prj);
+  if (!srid) {
+    throw new Error(`Cannot tell the coordinate system of ${name}.prj – set “Source SRID”.`);
+  }
+  return srid;
+}
+
+/**
+ * Elapsed time as `1 m 05 s` / `12 s`.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function elapsed(ms) {
+  const s = Math.round(ms / 1000);
+  return s < 60 ? `${s} s` : `${Math.floor(s / 60)} m ${String(s % 60).padStart(2, '0')} s`;
+}
+
+/* ───────────────────────── Action ─────────────────────────────────── */
+
+const importShapefileAction = {
+  requireRow: false,
+  group: 'Database',
+  description:
+    'Import a zipped ESRI shapefile into a table: shapes into a PostGIS ' +
+    'field, .dbf attributes onto columns, SRID from the .prj.  Insert ' +
+    'triggers are not run.',
+
+  /**
+   * @param {{table?: import('@saltcorn/types').Table}} ctx
+   * @returns {Promise<object[]>}
+   */
+  configFields: async ({ table } = {}) => {
+    const fields = await importConfigFields(table, {
+      extensions: ['.zip'],
+      fileLabel: 'Zipped shapefile',
+      srcLabel: '.dbf field',
+    });
+    const at = fields.findIndex((f) => f.name === 'file') + 1;
+    fields.splice(at, 0, {
+      name: 'layer',
+      label: 'Layer',
+      sublabel: 'Name of the .shp to import when the archive holds several',
+      type: 'String',
+    });
+    const batchAt = fields.findIndex((f) => f.name === 'all_or_nothing') + 1;
+    fields.splice(batchAt, 0, {
+      name: 'batch_size',
+      label: 'Batch size',
+      sublabel: 'Rows per INSERT',
+      type: 'Integer',
+      default: DEFAULT_SHP_BATCH,
+      attributes: { min: 1 },
+    });
+    return fields;
+  },
+
+  /**
+   * @param {{table?: any, configuration?: Record<string, any>, user?: any}} args
+   * @returns {Promise<{notify?:string, notify_success?:string, error?:string}>}
+   */
+  async run({ table, configuration = {}, user }) {
+    dbg.info('Action:import_shapefile invoked', { file: configuration.file });
+    const target = await resolveImportTarget(table, configuration);
+    if ('error' in target) return target;
+
+    try {
+      const started = Date.now();
+      const zip = /** @type {Buffer} */ (await readImportFile(configuration.file));
+      const layer = shapefileLayer(zip, configuration.layer);
+      const srid = sourceSridOf(configuration, layer.prj, layer.name);
+      const count = shapeCount(layer.shp, layer.shx);
+      const deleted = deletedCount(layer.dbf, count);
+      logInfo(`Shapefile import: ${layer.name} – ${count} shapes (SRID ${srid}) ➜ ` +
+        `${target.table.name}.${target.field.name}`);
+
+      let lastLog = started;
+      const result = await importRecords(
+        target.table,
+        shapefileRecords(layer, { srid, dim: target.field.attributes?.dim }),
+        {
+          geomField: target.field.name,
+          mapping: mappingFrom(configuration),
+          sourceSrid: srid,
+          allOrNothing: configuration.all_or_nothing ?? true,
+          user,
+          batchSize: Number(configuration.batch_size) || DEFAULT_SHP_BATCH,
+          onProgress: (done) => {
+            const now = Date.now();
+            if (now - lastLog < PROGRESS_EVERY_MS) return;
+            lastLog = now;
+            logInfo(`Shapefile import: ${layer.name} – ${done} of ${count} shapes read`);
+          },
+        },
+      );
+
+      const took = elapsed(Date.now() - started);
+      logInfo(`Shapefile import: ${layer.name} – finished in ${took}`);
+      return importResult('shapes', result, {
+        note: `(${layer.name}, SRID ${srid}, ${took})` +
+          (deleted ? ` Skipped ${deleted} deleted .dbf record${deleted === 1 ? '' : 's'}.` : ''),
+      });
+    } catch (e) {
+      dbg.error('import_shapefile failed', e);
+      return { error: `Shapefile import failed: ${e.message}` };
+    }
+  },
+};
+
+module.exports = { importShapefileAction };
@@ -0,0 +1,295 @@
+/**
+ * repair-geometry.js
+ * ---------------------------------------------------------------------------
+ * `validate_postgis_geometries` action – scans every PostGIS field of a
+ * table with `ST_IsValid` / `ST_IsValidReason` and reports the invalid rows,
+ * optionally repairing them in place with `ST_MakeValid`.
+ *
+ * Three modes:
+ *   report   – invalid row count and reason per field;
+ *   dry_run  – as report, plus a per-row before / after preview of the fix;
+ *   repair   – applies the fix (one transaction) and reports what changed.
+ *
+ * `ST_MakeValid` may change the geometry type (a bow-tie Polygon becomes a
+ * MultiPolygon), which the column typmod would reject.  The fix therefore
+ * keeps only the parts matching the column subtype (`ST_CollectionExtract`)
+ * and promotes them with `ST_Multi` for Multi* columns; rows whose repaired
+ * shape still cannot fit (two polygons in a Polygon column) are reported as
+ * unfixable and left untouched.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { PGIS_TYPES } = require('../table/patch-table-reads');
+
+/** `ST_CollectionExtract` type code per base subtype. */
+const EXTRACT_CODE = Object.freeze({ POINT: 1, LINESTRING: 2, POLYGON: 3 });
+
+/** Rows shown per field in the dry-run / repair preview. */
+const DEFAULT_PREVIEW_ROWS = 10;
+
+/** Characters of WKT shown per value in the preview. */
+const PREVIEW_WKT_CHARS = 120;
+
+const MODES = Object.freeze(['report', 'dry_run', 'repair']);
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Lazily resolve the Saltcorn db module (absent when linted stand-alone).
+ *
+ * @returns {any}
+ */
+function getDb() {
+  // eslint-disable-next-line global-require
+  return require('@saltcorn/data/db');
+}
+
+/**
+ * Runtime Table class across Saltcorn 0.x / 1.x variants.
+ *
+ * @returns {any}
+ */
+function getTableClass() {
+  // eslint-disable-next-line global-require
+  const TableMod = require('@saltcorn/data/models/table');
+  return TableMod && typeof TableMod.findOne === 'function'
+    ? TableMod
+    : TableMod?.Table || TableMod;
+}
+
+/**
+ * Column subtype without its dimension suffix (`POINTZ` ➜ `POINT`);
+ * `GEOMETRY` for unconstrained columns.
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {string}
+ */
+function columnSubtype(field) {
+  const attrs = field.attributes || {};
+  const m = /\(([A-Za-z]+),/u.exec(String(field.type.sql_name(attrs)));
+  let sub = (m ? m[1] : 'GEOMETRY').toUpperCase();
+  const dim = String(attrs.dim || '').toUpperCase();
+  if (dim && sub.endsWith(dim) && sub !== dim) sub = sub.slice(0, -dim.length);
+  return sub || 'GEOMETRY';
+}
+
+/**
+ * SQL for the repaired value of `g` (a geometry expression) that fits a
+ * column of `subtype`; `NULL` when it cannot.
+ *
+ * @param {string} g
+ * @param {string} subtype
+ * @returns {string}
+ */
+function fixExpression(g, subtype) {
+  const multi = subtype.startsWith('MULTI');
+  const code = EXTRACT_CODE[multi ? subtype.slice('MULTI'.length) : subtype];
+  const valid = `ST_MakeValid(${g})`;
+  if (!code) return valid;
+  const parts = `ST_CollectionExtract(${valid}, ${code})`;
+  if (multi) return `ST_Multi(${parts})`;
+  return `case when ST_NumGeometries(${parts}) = 1 then ST_GeometryN(${parts}, 1) end`;
+}
+
+/**
+ * Truncate WKT for display.
+ *
+ * @param {string|null} wkt
+ * @returns {string}
+ */
+function clip(wkt) {
+  if (!wkt) return 'NULL';
+  return wkt.length > PREVIEW_WKT_CHARS ? `${wkt.slice(0, PREVIEW_WKT_CHARS)}…` : wkt;
+}
+
+/**
+ * Invalid rows of one field: total count, unfixable count and a preview.
+ *
+ * @param {any} db
+ * @param {string} from      Quoted `schema.table`.
+ * @param {string} pk        Quoted primary key.
+ * @param {import('@saltcorn/types').Field} field
+ * @param {number} limit
+ * @returns {Promise<{field:string, invalid:number, unfixable:number,
+ *   rows:Array<{id:unknown, reason:string, before:string|null, after:string|null}>}>}
+ */
+async function scanField(db, from, pk, field, limit) {
+  const col = `"${db.sqlsanitize(field.name)}"`;
+  const g = `${col}::geometry`;
+  const fix = fixExpression(g, columnSubtype(field));
+  const invalid = `${col} is not null and not ST_IsValid(${g})`;
+
+  const { rows: [counts] } = await db.query(
+    `select count(*)::int as invalid,
+            count(*) filter (where f is null or not ST_IsValid(f))::int as unfixable
+       from (select ${fix} as f from ${from} where ${invalid}) s`,
+  );
+  const { rows } = await db.query(
+    `select ${pk} as id, ST_IsValidReason(${g}) as reason,
+            left(ST_AsText(${g}), ${PREVIEW_WKT_CHARS + 1}) as before,
+            left(ST_AsText(${fix}), ${PREVIEW_WKT_CHARS + 1}) as after
+       from ${from} where ${invalid}
+      order by ${pk} limit ${limit}`,
+  );
+  return { field: field.name, invalid: counts?.invalid ?? 0, unfixable: counts?.unfixable ?? 0, rows };
+}
+
+/**
+ * Replace the invalid values of one field with their repair.
+ *
+ * @param {any} db
+ * @param {string} from
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {Promise<number>} Rows updated.
+ */
+async function repairField(db, from, field) {
+  const col = `"${db.sqlsanitize(field.name)}"`;
+  const g = `${col}::geometry`;
+  const geography = String(field.type.sql_name(field.attributes || {})).startsWith('geography');
+  const fix = fixExpression(g, columnSubtype(field));
+  const { rowCount } = await db.query(
+    `with s as (select ctid, ${fix} as f from ${from}
+                 where ${col} is not null and not ST_IsValid(${g}))
+     update ${from} t set ${col} = s.f${geography ? '::geography' : ''}
+       from s where t.ctid = s.ctid and s.f is not null and ST_IsValid(s.f)`,
+  );
+  return rowCount ?? 0;
+}
+
+/**
+ * Report text for one field.
+ *
+ * @param {Awaited<ReturnType<typeof scanField>>} r
+ * @param {boolean} preview
+ * @returns {string}
+ */
+function describeField(r, preview) {
+  if (!r.invalid) return `${r.field}: all valid.`;
+  const head = `${r.field}: ${r.invalid} invalid` +
+    (r.unfixable ? ` (${r.unfixable} cannot be repaired to fit the column)` : '') + '.';
+  const lines = r.rows.map((row) =>
+    preview
+      ? `#${row.id} ${row.reason}: ${clip(row.before)} ➜ ${row.after ? clip(row.after) : 'unfixable'}`
+      : `#${row.id} ${row.reason}`);
+  if (r.invalid > r.rows.length) lines.push(`… and ${r.invalid - r.rows.length} more`);
+  return [head, ...lines].join('\n');
+}
+
+/* ───────────────────────── Action ─────────────────────────────────── */
+
+const repairGeometryAction = {
+  requireRow: false,
+  group: 'Database',
+  description:
+    'Report invalid PostGIS geometries (ST_IsValid / ST_IsValidReason) and ' +
+    'optionally repair them in place with ST_MakeValid.',
+
+  /**
+   * @param {{table?: import('@saltcorn/types').Table}} ctx
+   * @returns {Promise<object[]>}
+   */
+  async configFields({ table } = {}) {
+    const out = [];
+    let fieldOpts;
+    if (table) {
+      fieldOpts = (await table.getFields())
+        .filter((f) => PGIS_TYPES.has(f.type?.name))
+        .map((f) => f.name);
+    } else {
+      const tables = await getTableClass().find({}, { cached: true });
+      out.push({
+        name: 'table_name',
+        label: 'Table',
+        type: 'String',
+        required: true,
+        attributes: { options: tables.map((t) => t.name) },
+      });
+    }
+    out.push(
+      {
+        name: 'field_name',
+        label: 'PostGIS field',
+        sublabel: 'Blank: every PostGIS field of the table',
+        type: 'String',
+        ...(fieldOpts ? { attributes: { options: fieldOpts } } : {}),
+      },
+      {
+        name: 'mode',
+        label: 'Mode',
+        sublabel: 'report: list invalid rows; dry_run: also preview each fix; ' +
+          'repair: apply ST_MakeValid',
+        type: 'String',
+        required: true,
+        default: 'report',
+        attributes: { options: MODES },
+      },
+      {
+        name: 'preview_rows',
+        label: 'Rows listed per field',
+        type: 'Integer',
+        default: DEFAULT_PREVIEW_ROWS,
+      },
+    );
+    return out;
+  },
+
+  /**
+   * @param {{table?: any, configuration?: Record<string, any>}} args
+   * @returns {Promise<{notify?:string, notify_success?:string, error?:string}>}
+   */
+  async run({ table, configuration = {} }) {
+    const { table_name, field_name, mode = 'report' } = configuration;
+    const limit = Math.max(0, Number(configuration.preview_rows ?? DEFAULT_PREVIEW_ROWS) || 0);
+    dbg.info('Action:validate_postgis_geometries invoked', { table_name, field_name, mode });
+    if (!MODES.includes(mode)) return { error: `Unknown mode “${mode}”.` };
+
+    const tbl = table_name ? await getTableClass().findOne({ name: table_name }) : table;
+    if (!tbl) return { error: 'Table not found.' };
+    const fields = (await tbl.getFields())
+      .filter((f) => PGIS_TYPES.has(f.type?.name) && !f.calculated)
+      .filter((f) => !field_name || f.name === field_name);
+    if (!fields.length) {
+      return {
+        error: field_name
+          ? `“${field_name}” is not a PostGIS field of ${tbl.name}.`
+          : `${tbl.name} has no PostGIS fields.`,
+      };
+    }
+
+    const db = getDb();
+    const from = `"${db.sqlsanitize(db.getTenantSchema())}"."${db.sqlsanitize(tbl.name)}"`;
+    const pk = `"${db.sqlsanitize(tbl.pk_name || 'id')}"`;
+
+    try {
+      const scans = [];
+      for (const f of fields) scans.push(await scanField(db, from, pk, f, limit));
+      const report = scans.map((r) => describeField(r, mode !== 'report')).join('\n');
+      const invalid = scans.reduce((n, r) => n + r.invalid, 0);
+      dbg.info('Geometry validation', report);
+
+      if (mode !== 'repair' || !invalid) {
+        return { notify: `${tbl.name}: ${invalid} invalid geometr${invalid === 1 ? 'y' : 'ies'}.\n${report}` };
+      }
+
+      const repairAll = async () => {
+        let n = 0;
+        for (const f of fields) n += await repairField(db, from, f);
+        return n;
+      };
+      const repaired = typeof db.withTransaction === 'function'
+        ? await db.withTransaction(repairAll)
+        : await repairAll();
+      return { notify_success: `${tbl.name}: repaired ${repaired} of ${invalid}.\n${report}` };
+    } catch (e) {
+      dbg.error('validate_postgis_geometries failed', e);
+      return { error: `Geometry validation failed: ${e.message}` };
+    }
+  },
+};
+
+module.exports = { repairGeometryAction };
@@ -0,0 +1,275 @@
+/**
+ * spatial-index.js
+ * ---------------------------------------------------------------------------
+ * `manage_spatial_index` action – lists the spatial (GiST / SP-GiST / BRIN)
+ * indexes on a table and creates, rebuilds or drops the one on a chosen
+ * PostGIS field.  Without an index every `ST_DWithin`, `ST_Intersects` and
+ * bbox filter (including the composite map's lazy loading) is a sequential
+ * scan.
+ *
+ * The configuration form shows the indexes that already exist, so the
+ * report is visible before the action is ever run.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { PGIS_TYPES } = require('../table/patch-table-reads');
+
+/** Index access methods PostGIS provides operator classes for. */
+const INDEX_METHODS = Object.freeze(['gist', 'spgist', 'brin']);
+
+/** Postgres truncates identifiers beyond this length. */
+const MAX_IDENTIFIER = 63;
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Lazily resolve the Saltcorn db module (absent when linted stand-alone).
+ *
+ * @returns {any}
+ */
+function getDb() {
+  // eslint-disable-next-line global-require
+  return require('@saltcorn/data/db');
+}
+
+/**
+ * Runtime Table class across Saltcorn 0.x / 1.x variants.
+ *
+ * @returns {any}
+ */
+function getTableClass() {
+  // eslint-disable-next-line global-require
+  const TableMod = require('@saltcorn/data/models/table');
+  return TableMod && typeof TableMod.findOne === 'function'
+    ? TableMod
+    : TableMod?.Table || TableMod;
+}
+
+/**
+ * PostGIS fields of a table.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @returns {Promise<import('@saltcorn/types').Field[]>}
+ */
+async function spatialFields(table) {
+  return (await table.getFields()).filter((f) => PGIS_TYPES.has(f.type?.name));
+}
+
+/**
+ * Spatial indexes on `table`, with the columns each covers.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @returns {Promise<Array<{name:string, method:string, columns:string[], definition:string}>>}
+ */
+async function listSpatialIndexes(table) {
+  const db = getDb();
+  const { rows } = await db.query(
+    `select i.relname as name, am.amname as method,
+            pg_get_indexdef(i.oid) as definition,
+            coalesce(array_agg(a.attname::text) filter (where a.attname is not null), '{}') as columns
+       from pg_index x
+       join pg_class i on i.oid = x.indexrelid
+       join pg_class t on t.oid = x.indrelid
+       join pg_namespace n on n.oid = t.relnamespace
+       join pg_am am on am.oid = i.relam
+       left join pg_attribute a on a.attrelid = t.oid and a.attnum = any(x.indkey)
+      where n.nspname = $1 and t.relname = $2 and am.amname = any($3)
+      group by i.relname, am.amname, i.oid
+      order by i.relname`,
+    [db.getTenantSchema(), table.name, INDEX_METHODS],
+  );
+  return rows;
+}
+
+/**
+ * Does `ix` index `field` (directly or inside an expression)?
+ *
+ * @param {{columns:string[], definition:string}} ix
+ * @param {string} field
+ * @returns {boolean}
+ */
+function indexCovers(ix, field) {
+  return ix.columns.includes(field) || ix.definition.includes(`"${field}"`) ||
+    new RegExp(`[(\\s,]${field}[)\\s,:]`, 'u').test(ix.definition);
+}
+
+/**
+ * One line per index, for notifications and the config form.
+ *
+ * @param {Array<{name:string, method:string, columns:string[]}>} indexes
+ * @returns {string}
+ */
+function describeIndexes(indexes) {
+  if (!indexes.length) return 'No spatial indexes.';
+  return indexes
+    .map((ix) => `${ix.name} (${ix.method.toUpperCase()} on ${ix.columns.join(', ') || 'expression'})`)
+    .join('; ');
+}
+
+/**
+ * Default index name: `<table>_<field>_<method>_idx`, Postgres-safe.
+ *
+ * @param {string} table
+ * @param {string} field
+ * @param {string} method
+ * @returns {string}
+ */
+function indexName(table, field, method) {
+  return `${table}_${field}_${method}_idx`
+    .replace(/[^A-Za-z0-9_]/gu, '_')
+    .toLowerCase()
+    .slice(0, MAX_IDENTIFIER);
+}
+
+/* ───────────────────────── Action ─────────────────────────────────── */
+
+const spatialIndexAction = {
+  requireRow: false,
+  group: 'Database',
+  description:
+    'Create, rebuild or drop a GiST / SP-GiST / BRIN index on a PostGIS ' +
+    'field, and report the spatial indexes that already exist.',
+
+  /**
+   * @param {{table?: import('@saltcorn/types').Table}} ctx
+   * @returns {Promise<object[]>}
+   */
+  async configFields({ table } = {}) {
+    const tableFields = [];
+    let fieldOpts;
+    let existing = '';
+    if (table) {
+      fieldOpts = (await spatialFields(table)).map((f) => f.name);
+      try {
+        existing = describeIndexes(await listSpatialIndexes(table));
+      } catch (e) {
+        dbg.warn('manage_spatial_index – cannot list indexes', e.message);
+      }
+    } else {
+      const tables = await getTableClass().find({}, { cached: true });
+      tableFields.push({
+        name: 'table_name',
+        label: 'Table',
+        type: 'String',
+        required: true,
+        attributes: { options: tables.map((t) => t.name) },
+      });
+    }
+
+    return [
+      ...tableFields,
+      {
+        name: 'field_name',
+        label: 'PostGIS field',
+        sublabel: existing ? `Existing: ${existing}` : undefined,
+        type: 'String',
+        showIf: { operation: ['create', 'rebuild', 'drop'] },
+        ...(fieldOpts ? { attributes: { options: fieldOpts } } : {}),
+      },
+      {
+        name: 'operation',
+        label: 'Operation',
+        type: 'String',
+        required: true,
+        default: 'create',
+        attributes: { options: ['create', 'rebuild', 'drop', 'report'] },
+      },
+      {
+        name: 'method',
+        label: 'Index method',
+        sublabel: 'GiST suits almost everything; SP-GiST for many points; ' +
+          'BRIN for huge, spatially ordered, append-only tables',
+        type: 'String',
+        default: 'gist',
+        attributes: { options: INDEX_METHODS },
+        showIf: { operation: 'create' },
+      },
+      {
+        name: 'concurrently',
+        label: 'Concurrently',
+        sublabel: 'Build / drop without locking writes (slower)',
+        type: 'Bool',
+        default: false,
+        showIf: { operation: ['create', 'rebuild', 'drop'] },
+      },
+    ];
+  },
+
+  /**
+   * @param {{table?: any, configuration?: Record<string, any>}} args
+   * @returns {Promise<{notify?:string, notify_success?:string, error?:string}>}
+   */
+  async run({ table, configuration = {} }) {
+    const {
+      table_name,
+      field_name,
+      operation = 'create',
+      method = 'gist',
+      concurrently = false,
+    } = configuration;
+    dbg.info('Action:manage_spatial_index invoked', { table_name, field_name, operation, method });
+
+    const tbl = table_name ? await getTableClass().findOne({ name: table_name }) : table;
+    if (!tbl) return { error: 'Table not found.' };
+
+    try {
+      const indexes = await listSpatialIndexes(tbl);
+      if (operation === 'report') return { notify: `${tbl.name}: ${describeIndexes(indexes)}` };
+
+      const field = (await spatialFields(tbl)).find((f) => f.name === field_name);
+      if (!field) return { error: `“${field_name}” is not a PostGIS field of ${tbl.name}.` };
+      if (!INDEX_METHODS.includes(method)) return { error: `Unknown index method “${method}”.` };
+
+      const db = getDb();
+      const schema = db.getTenantSchema();
+      const q = (id) => `"${db.sqlsanitize(id)}"`;
+      const conc = concurrently ? ' concurrently' : '';
+      const mine = indexes.filter((ix) => indexCovers(ix, field.name));
+
+      switch (operation) {
+        case 'drop':
+          if (!mine.length) return { notify: `No spatial index on ${field.name}.` };
+          for (const ix of mine) {
+            await db.query(`drop index${conc} if exists ${q(schema)}.${q(ix.name)}`);
+          }
+          return { notify_success: `Dropped ${mine.map((ix) => ix.name).join(', ')}.` };
+
+        case 'rebuild':
+          if (!mine.length) {
+            return { error: `No spatial index on ${field.name} – create one first.` };
+          }
+          for (const ix of mine) {
+            await db.query(`reindex index${conc} ${q(schema)}.${q(ix.name)}`);
+          }
+          return { notify_success: `Rebuilt ${mine.map((ix) => ix.name).join(', ')}.` };
+
+        case 'create': {
+          const same = mine.find((ix) => ix.method === method);
+          if (same) {
+            return { notify: `${field.name} already has a ${method.toUpperCase()} index (${same.name}).` };
+          }
+          const name = indexName(tbl.name, field.name, method);
+          await db.query(
+            `create index${conc} if not exists ${q(name)} ` +
+              `on ${q(schema)}.${q(tbl.name)} using ${method} (${q(field.name)})`,
+          );
+          await db.query(`analyze ${q(schema)}.${q(tbl.name)}`);
+          return { notify_success: `Created ${method.toUpperCase()} index ${name} on ${field.name}.` };
+        }
+
+        default:
+          return { error: `Unknown operation “${operation}”.` };
+      }
+    } catch (e) {
+      dbg.error('manage_spatial_index failed', e);
+      return { error: `Index ${operation} failed: ${e.message}` };
+    }
+  },
+};
+
+module.exports = { spatialIndexAction, listSpatialIndexes };
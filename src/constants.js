@@ -382,6 +382,91 @@ const LEAFLET_LOCATE = Object.freeze({
   },
 });
 
+/**
+ * Leaflet.markercluster add-on – animated clustering for large point sets.
+ *
+ * @typedef {Object} LeafletMarkerClusterStatic
+ * @property {string} css          – Core cluster animation styles
+ * @property {string} cssDefault   – Default bubble theme
+ * @property {string} js
+ * @property {() => string} header
+ */
+
+/** @type {LeafletMarkerClusterStatic} */
+const LEAFLET_MARKERCLUSTER = Object.freeze({
+  css: `/plugins/public/${PLUGIN_SLUG}/leaflet-markercluster/MarkerCluster.css`,
+  cssDefault: `/plugins/public/${PLUGIN_SLUG}/leaflet-markercluster/MarkerCluster.Default.css`,
+  js: `/plugins/public/${PLUGIN_SLUG}/leaflet-markercluster/leaflet.markercluster.js`,
+  header() {
+    return `
+<link id="sc-leaflet-markercluster-css" rel="stylesheet" href="${this.css}">
+<link id="sc-leaflet-markercluster-default-css" rel="stylesheet" href="${this.cssDefault}">
+<script id="sc-leaflet-markercluster-js" src="${this.js}" defer></script>`;
+  },
+});
+
+/**
+ * Leaflet.heat add-on – canvas heatmap layer.
+ *
+ * @typedef {Object} LeafletHeatStatic
+ * @property {string} js
+ * @property {() => string} header
+ */
+
+/** @type {LeafletHeatStatic} */
+const LEAFLET_HEAT = Object.freeze({
+  js: `/plugins/public/${PLUGIN_SLUG}/leaflet-heat/leaflet-heat.js`,
+  header() {
+    return `<script id="sc-leaflet-heat-js" src="${this.js}" defer></script>`;
+  },
+});
+
+/**
+ * Leaflet-panel-layers add-on – grouped layer switcher.
+ *
+ * @typedef {Object} LeafletPanelLayersStatic
+ * @property {string} css
+ * @property {string} js
+ * @property {() => string} header
+ */
+
+/** @type {LeafletPanelLayersStatic} */
+const LEAFLET_PANEL_LAYERS = Object.freeze({
+  css: `/plugins/public/${PLUGIN_SLUG}/leaflet-panel-layers/leaflet-panel-layers.min.css`,
+  js: `/plugins/public/${PLUGIN_SLUG}/leaflet-panel-layers/leaflet-panel-layers.min.js`,
+  header() {
+    return `
+<link id="sc-leaflet-panel-layers-css" rel="stylesheet" href="${this.css}">
+<script id="sc-leaflet-panel-layers-js" src="${this.js}" defer></script>`;
+  },
+});
+
+/**
+ * Leaflet-Draw assets (CDN) – used by the `leaflet_draw` field-view and the
+ * composite map's selection tool.
+ *
+ * @type {{css:string,js:string}}
+ */
+const LEAFLET_DRAW = Object.freeze({
+  css: 'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css',
+  js:  'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js',
+});
+
+/**
+ * Named heatmap colour gradients (stop ➜ CSS colour).  `default` defers to
+ * the Leaflet.heat built-in blue → lime → red ramp.
+ *
+ * @type {Readonly<Record<string, Readonly<Record<string, string>>|null>>}
+ */
+const HEAT_GRADIENTS = Object.freeze({
+  default: null,
+  viridis: Object.freeze({ 0.0: '#440154', 0.25: '#3b528b', 0.5: '#21918c', 0.75: '#5ec962', 1.0: '#fde725' }),
+  inferno: Object.freeze({ 0.0: '#000004', 0.25: '#57106e', 0.5: '#bc3754', 0.75: '#f98e09', 1.0: '#fcffa4' }),
+  fire: Object.freeze({ 0.2: '#ffffb2', 0.4: '#fecc5c', 0.6: '#fd8d3c', 0.8: '#f03b20', 1.0: '#bd0026' }),
+  ocean: Object.freeze({ 0.2: '#f0f9e8', 0.4: '#bae4bc', 0.6: '#7bccc4', 0.8: '#43a2ca', 1.0: '#0868ac' }),
+  greyscale: Object.freeze({ 0.2: '#d9d9d9', 0.5: '#969696', 0.8: '#525252', 1.0: '#000000' }),
+});
+
 module.exports = {
   PLUGIN_DEBUG,
   PLUGIN_SLUG,
@@ -393,5 +478,10 @@ module.exports = {
   LEAFLET_PROVIDERS,
   LEAFLET_GESTURE,
   LEAFLET_LOCATE,
+  LEAFLET_MARKERCLUSTER,
+  LEAFLET_HEAT,
+  LEAFLET_PANEL_LAYERS,
+  LEAFLET_DRAW,
+  HEAT_GRADIENTS,
   PROVIDERS
 };
\ No newline at end of file
@@ -0,0 +1,356 @@
+/**
+ * catalogue.js
+ * ---------------------------------------------------------------------------
+ * Spatial functions surfaced to Saltcorn formulas, calculated fields and
+ * run-JS code.  Each entry is `{ run, isAsync, description, arguments }` so
+ * it is listed (with its signature) in the formula editor.
+ *
+ * Geometry arguments accept the EWKT that `getRows` returns – in any
+ * catalogued SRID – as well as every format a PostGIS field accepts
+ * (WKT, GeoJSON, `{ lat, lng }`, `"lat, lng"` …).  Geometry results are
+ * WGS-84 EWKT, which the write patch re-projects to the column SRID.
+ * Unparseable input yields `undefined` rather than an exception.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const {
+  toWkt,
+  wktToLonLat,
+  normaliseInput,
+  geoJSONParts,
+  geodesicDistance,
+  geodesicBearing,
+  geodesicDestination,
+  geodesicLength,
+  geodesicArea,
+} = require('../utils/geometry');
+const { reprojectWkt, toDisplayGeoJSON, sridOf } = require('../utils/reproject');
+const { validateGeometry } = require('../utils/validate-geometry');
+const {
+  bboxOf,
+  centroidOf,
+  intersects,
+  contains,
+  distanceBetween,
+  hasSelfIntersection,
+  bufferOf,
+  simplifyGeometry,
+  formatDMS,
+  geohash,
+} = require('../utils/spatial-ops');
+const { DEFAULT_SRID } = require('../constants');
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Any point value – `[lng, lat]`, `{ lat, lng }`, WKT / EWKT (any SRID),
+ * GeoJSON, `lat, lng` text – ➜ WGS-84 `[lng, lat]`.
+ *
+ * @param {unknown} v
+ * @returns {number[]|undefined}
+ */
+function lonLatOf(v) {
+  if (Array.isArray(v)) {
+    const [lng, lat] = v.map(Number);
+    return Number.isFinite(lng) && Number.isFinite(lat) ? [lng, lat] : undefined;
+  }
+  const ewkt = normaliseInput(v, { srid: DEFAULT_SRID });
+  if (!ewkt) return undefined;
+  return wktToLonLat(reprojectWkt(ewkt, DEFAULT_SRID) ?? ewkt);
+}
+
+/**
+ * Any geometry value ➜ WGS-84 GeoJSON geometry.
+ *
+ * @param {unknown} v
+ * @returns {Record<string, any>|undefined}
+ */
+function geometryOf(v) {
+  const ewkt = normaliseInput(v, { srid: DEFAULT_SRID });
+  const gj = /** @type {Record<string, any>|undefined} */ (ewkt && toDisplayGeoJSON(ewkt));
+  return gj?.type === 'Feature' ? gj.geometry : gj;
+}
+
+/**
+ * Any geometry value ➜ its WGS-84 parts (see `geoJSONParts`).
+ *
+ * @param {unknown} v
+ * @returns {ReturnType<typeof geoJSONParts>|undefined}
+ */
+function partsOf(v) {
+  const g = geometryOf(v);
+  return g ? geoJSONParts(g) : undefined;
+}
+
+/**
+ * GeoJSON geometry ➜ `SRID=4326;…` EWKT.
+ *
+ * @param {Record<string, any>|undefined} g
+ * @returns {string|undefined}
+ */
+function toEwkt(g) {
+  return g ? normaliseInput(g) : undefined;
+}
+
+/**
+ * Wrap `run` so a parse failure deep inside returns `undefined`.
+ *
+ * @param {string} name
+ * @param {(...args:any[]) => unknown} run
+ * @returns {(...args:any[]) => unknown}
+ */
+function safe(name, run) {
+  return (...args) => {
+    try {
+      return run(...args);
+    } catch (e) {
+      dbg.warn(`functions.${name}() failed`, e.message);
+      return undefined;
+    }
+  };
+}
+
+/** Argument descriptors reused below. */
+const GEOM = (name = 'geom') => ({ name, type: 'String' });
+const NUM = (name) => ({ name, type: 'Float' });
+const INT = (name) => ({ name, type: 'Integer' });
+
+/* ───────────────────────── Function table ─────────────────────────── */
+
+/**
+ * @type {Record<string, {run:Function, isAsync:boolean, description:string,
+ *   arguments:Array<{name:string,type:string}>}>}
+ */
+const definitions = {
+  toLatLng: {
+    description: 'Point ➜ { lat, lng, latlng } (WGS-84)',
+    arguments: [GEOM('point')],
+    run(point) {
+      const ll = lonLatOf(point);
+      return ll ? { lat: ll[1], lng: ll[0], latlng: ll } : undefined;
+    },
+  },
+
+  latitude: {
+    description: 'Latitude of a point (or of a geometry\'s centroid), WGS-84',
+    arguments: [GEOM()],
+    run(geom) {
+      const parts = partsOf(geom);
+      const c = parts && centroidOf(parts);
+      return c ? c[1] : undefined;
+    },
+  },
+
+  longitude: {
+    description: 'Longitude of a point (or of a geometry\'s centroid), WGS-84',
+    arguments: [GEOM()],
+    run(geom) {
+      const parts = partsOf(geom);
+      const c = parts && centroidOf(parts);
+      return c ? c[0] : undefined;
+    },
+  },
+
+  srid: {
+    description: 'SRID carried by an EWKT value',
+    arguments: [GEOM()],
+    run(geom) {
+      const ewkt = normaliseInput(geom);
+      return ewkt ? sridOf(ewkt) : undefined;
+    },
+  },
+
+  isValid: {
+    description: 'True when a geometry is well-formed and no polygon ring ' +
+      'self-intersects (JS counterpart of ST_IsValid)',
+    arguments: [GEOM()],
+    run(geom) {
+      const ewkt = normaliseInput(geom, { srid: DEFAULT_SRID });
+      if (!ewkt) return undefined;
+      if (validateGeometry(ewkt, { dim: 'any' }) !== true) return false;
+      const parts = partsOf(ewkt);
+      return parts ? !hasSelfIntersection(parts) : undefined;
+    },
+  },
+
+  asGeoJSON: {
+    description: 'Geometry ➜ GeoJSON geometry text (WGS-84)',
+    arguments: [GEOM()],
+    run(geom) {
+      const g = geometryOf(geom);
+      return g ? JSON.stringify(g) : undefined;
+    },
+  },
+
+  asWKT: {
+    description: 'Geometry ➜ WKT without SRID, optionally re-projected to `srid`',
+    arguments: [GEOM(), INT('srid')],
+    run(geom, srid) {
+      const ewkt = normaliseInput(geom, { srid: DEFAULT_SRID });
+      if (!ewkt) return undefined;
+      const out = srid ? reprojectWkt(ewkt, Number(srid)) : toWkt(ewkt);
+      return out ? out.replace(/^SRID=\d+;/iu, '') : undefined;
+    },
+  },
+
+  centroid: {
+    description: 'Centroid of a geometry as a WGS-84 EWKT point',
+    arguments: [GEOM()],
+    run(geom) {
+      const parts = partsOf(geom);
+      const c = parts && centroidOf(parts);
+      return c ? `SRID=4326;POINT(${c[0]} ${c[1]})` : undefined;
+    },
+  },
+
+  bbox: {
+    description: 'Bounding box [west, south, east, north] (WGS-84)',
+    arguments: [GEOM()],
+    run(geom) {
+      const parts = partsOf(geom);
+      return parts && bboxOf(parts);
+    },
+  },
+
+  buffer: {
+    description: 'Polygon within `metres` of a geometry (planar approximation; ' +
+      'convex hull for lines / polygons)',
+    arguments: [GEOM(), NUM('metres'), INT('segments')],
+    run(geom, metres, segments) {
+      const parts = partsOf(geom);
+      return parts && toEwkt(bufferOf(parts, Number(metres), Number(segments) || undefined));
+    },
+  },
+
+  contains: {
+    description: 'True when polygon `a` contains all of `b`',
+    arguments: [GEOM('a'), GEOM('b')],
+    run(a, b) {
+      const pa = partsOf(a);
+      const pb = partsOf(b);
+      return pa && pb ? contains(pa, pb) : undefined;
+    },
+  },
+
+  intersects: {
+    description: 'True when `a` and `b` share at least one point',
+    arguments: [GEOM('a'), GEOM('b')],
+    run(a, b) {
+      const pa = partsOf(a);
+      const pb = partsOf(b);
+      return pa && pb ? intersects(pa, pb) : undefined;
+    },
+  },
+
+  distance: {
+    description: 'Minimum distance in metres (geodesic between points)',
+    arguments: [GEOM('a'), GEOM('b')],
+    run(a, b) {
+      const pa = partsOf(a);
+      const pb = partsOf(b);
+      return pa && pb ? distanceBetween(pa, pb) : undefined;
+    },
+  },
+
+  simplify: {
+    description: 'Douglas–Peucker simplification with a tolerance in metres',
+    arguments: [GEOM(), NUM('metres')],
+    run(geom, metres) {
+      const g = geometryOf(geom);
+      return g && toEwkt(simplifyGeometry(g, Number(metres)));
+    },
+  },
+
+  formatDMS: {
+    description: 'Point ➜ degrees / minutes / seconds text, latitude first',
+    arguments: [GEOM('point'), INT('decimals')],
+    run(point, decimals) {
+      const ll = lonLatOf(point);
+      return ll ? formatDMS(ll, decimals === undefined ? 1 : Number(decimals)) : undefined;
+    },
+  },
+
+  geohash: {
+    description: 'Geohash of a point (default 9 characters)',
+    arguments: [GEOM('point'), INT('precision')],
+    run(point, precision) {
+      const ll = lonLatOf(point);
+      return ll ? geohash(ll, Number(precision) || 9) : undefined;
+    },
+  },
+
+  geoDistance: {
+    description: 'Geodesic distance between two points in metres (WGS-84 ellipsoid)',
+    arguments: [GEOM('from'), GEOM('to')],
+    run(from, to) {
+      const a = lonLatOf(from);
+      const b = lonLatOf(to);
+      return a && b ? geodesicDistance(a, b) : undefined;
+    },
+  },
+
+  geoBearing: {
+    description: 'Initial bearing from one point to another, degrees from north',
+    arguments: [GEOM('from'), GEOM('to')],
+    run(from, to) {
+      const a = lonLatOf(from);
+      const b = lonLatOf(to);
+      return a && b ? geodesicBearing(a, b) : undefined;
+    },
+  },
+
+  geoDestination: {
+    description: 'Point reached after `metres` on `bearing` ➜ { lat, lng, wkt }',
+    arguments: [GEOM('from'), NUM('bearing'), NUM('metres')],
+    run(from, bearing, metres) {
+      const a = lonLatOf(from);
+      if (!a || !Number.isFinite(Number(bearing)) || !Number.isFinite(Number(metres))) {
+        return undefined;
+      }
+      const [lng, lat] = geodesicDestination(a, Number(bearing), Number(metres));
+      return { lat, lng, wkt: `SRID=4326;POINT(${lng} ${lat})` };
+    },
+  },
+
+  geoLength: {
+    description: 'Geodesic length of every line in a geometry, in metres',
+    arguments: [GEOM()],
+    run(geom) {
+      const parts = partsOf(geom);
+      return parts && parts.lines.reduce((sum, l) => sum + geodesicLength(l), 0);
+    },
+  },
+
+  geoPerimeter: {
+    description: 'Geodesic perimeter of every polygon in a geometry (all rings), in metres',
+    arguments: [GEOM()],
+    run(geom) {
+      const parts = partsOf(geom);
+      return parts && parts.polygons.flat().reduce((sum, r) => sum + geodesicLength(r), 0);
+    },
+  },
+
+  geoArea: {
+    description: 'Geodesic area of every polygon in a geometry, in m² (holes subtracted)',
+    arguments: [GEOM()],
+    run(geom) {
+      const parts = partsOf(geom);
+      return parts && parts.polygons.reduce((sum, p) => sum + geodesicArea(p), 0);
+    },
+  },
+};
+
+/** Final export – every function synchronous and exception-safe. */
+const functions = Object.fromEntries(
+  Object.entries(definitions).map(([name, def]) => [
+    name,
+    { ...def, isAsync: false, run: safe(name, def.run) },
+  ]),
+);
+
+module.exports = { functions };
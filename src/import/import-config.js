@@ -0,0 +1,170 @@
+/**
+ * import-config.js
+ * ---------------------------------------------------------------------------
+ * Configuration form and argument resolution shared by the import actions:
+ * source file, target table and PostGIS field, source SRID, the
+ * all-or-nothing switch and the column mapping.
+ *
+ * The mapping form has one entry per writable column naming the source
+ * attribute to read.  Blank means “the attribute of the same name”
+ * (case-insensitive) and `-` skips the column.  Without a table context
+ * the mapping is a text area of `column = attribute` lines.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const { PGIS_TYPES } = require('../table/patch-table-reads');
+const { importFileOptions } = require('./source-file');
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Runtime Table class across Saltcorn 0.x / 1.x variants.
+ *
+ * @returns {any}
+ */
+function getTableClass() {
+  // eslint-disable-next-line global-require
+  const TableMod = require('@saltcorn/data/models/table');
+  return TableMod && typeof TableMod.findOne === 'function'
+    ? TableMod
+    : TableMod?.Table || TableMod;
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Config fields for an import action.
+ *
+ * @param {import('@saltcorn/types').Table|undefined} table
+ * @param {{extensions:string[], fileLabel:string, srcLabel?:string, sourceSrid?:boolean}} opts
+ *   `srcLabel` names the source attributes in the mapping (“feature
+ *   property”, “CSV column” …); `sourceSrid: false` omits the SRID field
+ *   for formats that are always WGS-84.
+ * @returns {Promise<object[]>}
+ */
+async function importConfigFields(table, {
+  extensions, fileLabel, srcLabel = 'attribute', sourceSrid = true,
+}) {
+  const out = [];
+  if (!table) {
+    const tables = await getTableClass().find({}, { cached: true });
+    out.push({
+      name: 'table_name',
+      label: 'Table',
+      type: 'String',
+      required: true,
+      attributes: { options: tables.map((t) => t.name) },
+    });
+  }
+
+  out.push({
+    name: 'file',
+    label: fileLabel,
+    sublabel: `Upload it on the Files page first (${extensions.join(', ')})`,
+    type: 'String',
+    required: true,
+    attributes: { options: await importFileOptions(extensions) },
+  });
+
+  const fields = table ? await table.getFields() : [];
+  const spatial = fields.filter((f) => PGIS_TYPES.has(f.type?.name)).map((f) => f.name);
+  out.push(
+    {
+      name: 'geom_field',
+      label: 'PostGIS field',
+      type: 'String',
+      required: true,
+      ...(table ? { attributes: { options: spatial } } : {}),
+    },
+    ...(sourceSrid ? [{
+      name: 'source_srid',
+      label: 'Source SRID',
+      sublabel: 'Blank: taken from the file, else 4326',
+      type: 'Integer',
+    }] : []),
+    {
+      name: 'all_or_nothing',
+      label: 'All or nothing',
+      sublabel: 'Import nothing if any record fails',
+      type: 'Bool',
+      default: true,
+    },
+  );
+
+  if (table) {
+    for (const f of fields) {
+      if (f.calculated || f.primary_key || PGIS_TYPES.has(f.type?.name)) continue;
+      out.push({
+        name: `map_${f.name}`,
+        label: `${f.label || f.name} ⇐`,
+        sublabel: `Source ${srcLabel}.  Blank: “${f.name}”; - to skip`,
+        type: 'String',
+      });
+    }
+  } else {
+    out.push({
+      name: 'mapping',
+      label: 'Column mapping',
+      sublabel: `One “column = ${srcLabel}” per line; unlisted columns use the ${srcLabel} ` +
+        'of the same name, “column = -” skips one',
+      type: 'String',
+      fieldview: 'textarea',
+    });
+  }
+  return out;
+}
+
+/**
+ * `column ➜ source attribute` mapping from the configuration; `''` skips.
+ *
+ * @param {Record<string, any>} configuration
+ * @returns {Record<string, string>}
+ */
+function mappingFrom(configuration) {
+  /** @type {Record<string, string>} */
+  const mapping = {};
+  const set = (col, src) => {
+    const v = String(src ?? '').trim();
+    if (v) mapping[col.trim()] = v === '-' ? '' : v;
+  };
+  for (const [k, v] of Object.entries(configuration)) {
+    if (k.startsWith('map_')) set(k.slice('map_'.length), v);
+  }
+  for (const line of String(configuration.mapping || '').split(/\r?\n/u)) {
+    const i = line.indexOf('=');
+    if (i > 0) set(line.slice(0, i), line.slice(i + 1));
+  }
+  return mapping;
+}
+
+/**
+ * Target table and PostGIS field named by the configuration.
+ *
+ * @param {any} table  Table context of the action, if any.
+ * @param {Record<string, any>} configuration
+ * @returns {Promise<{table:any, field:import('@saltcorn/types').Field}|{error:string}>}
+ */
+async function resolveImportTarget(table, configuration) {
+  const tbl = configuration.table_name
+    ? await getTableClass().findOne({ name: configuration.table_name })
+    : table;
+  if (!tbl) return { error: 'Table not found.' };
+  const spatial = (await tbl.getFields()).filter((f) => PGIS_TYPES.has(f.type?.name));
+  const field = configuration.geom_field
+    ? spatial.find((f) => f.name === configuration.geom_field)
+    : spatial[0];
+  if (!field) {
+    return {
+      error: configuration.geom_field
+        ? `“${configuration.geom_field}” is not a PostGIS field of ${tbl.name}.`
+        : `${tbl.name} has no PostGIS fields.`,
+    };
+  }
+  return { table: tbl, field };
+}
+
+module.exports = { importConfigFields, mappingFrom, resolveImportTarget };
@@ -0,0 +1,68 @@
+/**
+ * source-file.js
+ * ---------------------------------------------------------------------------
+ * Access to the files the import actions read.  Files are uploaded through
+ * Saltcorn's own file manager (*Settings ➜ Files*) and picked by path in the
+ * action configuration – actions have no upload widget of their own.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const path = require('path');
+const dbg = require('../utils/debug');
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Runtime File class across Saltcorn 0.x / 1.x variants.
+ *
+ * @returns {any}
+ */
+function getFileClass() {
+  // eslint-disable-next-line global-require
+  const FileMod = require('@saltcorn/data/models/file');
+  return FileMod?.File || FileMod;
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Paths of stored files with one of `extensions`, for a config drop-down.
+ * Returns an empty list (rather than throwing) when the file store cannot
+ * be read.
+ *
+ * @param {string[]} extensions  Lower-case, with the dot (`.geojson`).
+ * @returns {Promise<string[]>}
+ */
+async function importFileOptions(extensions) {
+  try {
+    const files = await getFileClass().find({}, { recursive: true });
+    return files
+      .filter((f) => !f.isDirectory)
+      .map((f) => f.path_to_serve ?? f.filename)
+      .filter((p) => typeof p === 'string' && extensions.includes(path.extname(p).toLowerCase()))
+      .sort();
+  } catch (e) {
+    dbg.warn('importFileOptions() – cannot list files', e.message);
+    return [];
+  }
+}
+
+/**
+ * Contents of a stored file.
+ *
+ * @param {string} filePath      Path as listed by `importFileOptions`.
+ * @param {BufferEncoding=} encoding  Omit for a Buffer.
+ * @returns {Promise<Buffer|string>}
+ */
+async function readImportFile(filePath, encoding) {
+  if (!filePath) throw new Error('No file selected.');
+  const file = await getFileClass().findOne(String(filePath));
+  if (!file) throw new Error(`File “${filePath}” not found.`);
+  return file.get_contents(encoding);
+}
+
+module.exports = { importFileOptions, readImportFile };
@@ -0,0 +1,371 @@
+/**
+ * write-rows.js
+ * ---------------------------------------------------------------------------
+ * Shared writer for the import actions.  Takes a stream of records
+ * `{ geometry, properties, label, error? }` (a parser sets `error` for a
+ * record it could not read), maps the properties onto table columns,
+ * runs the geometry through the column type's EWKT normaliser (`read` ➜
+ * re-projection to the column SRID ➜ `validate`) and inserts the rows in
+ * batched multi-row `INSERT`s.  Tables that need Saltcorn's own row
+ * bookkeeping – stored calculated fields, history, sync info, or ownership
+ * checks for a non-admin user – get their rows through `table.insertRow`
+ * one at a time instead.  Insert triggers are not run either way.
+ *
+ * Every record that fails – unparseable geometry, a value the column type
+ * rejects, a database error – is reported with its label.  In
+ * all-or-nothing mode the whole import runs in one transaction and is
+ * rolled back when anything failed; otherwise good rows are kept and a
+ * failing batch is retried row by row to pinpoint the culprits.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { normaliseInput } = require('../utils/geometry');
+const { sridOf } = require('../utils/reproject');
+const { DEFAULT_SRID } = require('../constants');
+
+/** Rows per `INSERT` unless the caller asks otherwise. */
+const DEFAULT_BATCH_SIZE = 500;
+
+/** Postgres allows 65 535 bind parameters per statement; stay well below. */
+const MAX_PARAMS = 60000;
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Lazily resolve the Saltcorn db module (absent when linted stand-alone).
+ *
+ * @returns {any}
+ */
+function getDb() {
+  // eslint-disable-next-line global-require
+  return require('@saltcorn/data/db');
+}
+
+/**
+ * Property value by name – exact match first, then case-insensitive.
+ *
+ * @param {Record<string, unknown>} props
+ * @param {string} name
+ * @returns {unknown}
+ */
+function lookup(props, name) {
+  if (!props) return undefined;
+  if (name in props) return props[name];
+  const lower = name.toLowerCase();
+  const key = Object.keys(props).find((k) => k.toLowerCase() === lower);
+  return key === undefined ? undefined : props[key];
+}
+
+/**
+ * Coerce a property value with the column type's `read`.
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @param {unknown} raw
+ * @returns {unknown}
+ */
+function coerceValue(field, raw) {
+  if (raw === null || raw === '') return null;
+  const read = field.type?.read;
+  if (typeof read !== 'function') return raw;
+  const v = read(typeof raw === 'object' ? JSON.stringify(raw) : raw, field.attributes || {});
+  if (v === undefined || (typeof v === 'number' && Number.isNaN(v))) {
+    throw new Error(`“${raw}” is not a valid ${field.type.name} for ${field.name}`);
+  }
+  return v;
+}
+
+/**
+ * Build one `INSERT` for `rows`; columns missing from a row get `DEFAULT`.
+ *
+ * @param {string} from  Quoted `schema.table`.
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {(id:string) => string} sanitize
+ * @returns {{sql:string, values:unknown[]}}
+ */
+function insertStatement(from, rows, sanitize) {
+  const cols = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  const values = [];
+  const tuples = rows.map((r) =>
+    `(${cols.map((c) => (c in r ? `$${values.push(r[c])}` : 'default')).join(',')})`);
+  return {
+    sql: `insert into ${from} (${cols.map((c) => `"${sanitize(c)}"`).join(',')}) ` +
+      `values ${tuples.join(',')}`,
+    values,
+  };
+}
+
+/**
+ * Whether rows must go through `table.insertRow` rather than a raw
+ * `INSERT`: stored calculated fields, history and sync info are only
+ * maintained there, and so are ownership / field write-role checks.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @param {{role_id:number}=} user
+ * @returns {boolean}
+ */
+function needsRowApi(table, fields, user) {
+  const t = /** @type {any} */ (table);
+  if (typeof t.insertRow !== 'function') return false;
+  if (t.versioned || t.has_sync_info) return true;
+  if (fields.some((f) => f.calculated && f.stored)) return true;
+  if (!user) return false;
+  return user.role_id > Number(t.min_role_write ?? 1)
+    || fields.some((f) => f.attributes?.min_role_write
+      && user.role_id > Number(f.attributes.min_role_write));
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Any geometry value ➜ EWKT ready for `field`; throws a readable Error when
+ * it is not usable.  `sourceSrid` applies to values that carry no SRID of their own;
+ * GeoJSON objects are tagged through their (legacy) `crs` member.
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @param {unknown} value
+ * @param {number=} sourceSrid
+ * @returns {string}
+ */
+function toColumnEwkt(field, value, sourceSrid) {
+  const attrs = field.attributes || {};
+  const srid = attrs.srid ?? DEFAULT_SRID;
+
+  let v = value;
+  if (sourceSrid && v && typeof v === 'object' && v.type && !v.crs) {
+    v = { ...v, crs: { type: 'name', properties: { name: `EPSG:${sourceSrid}` } } };
+  }
+  const tagged = normaliseInput(v, { srid: sourceSrid || srid });
+  if (!tagged) throw new Error('Unrecognised geometry');
+
+  const ewkt = field.type.read(tagged, { ...attrs, srid });
+  if (!ewkt) throw new Error('Unrecognised geometry');
+  const got = sridOf(ewkt);
+  if (got && got !== srid) {
+    throw new Error(`Cannot re-project EPSG:${got} to EPSG:${srid} (CRS not catalogued)`);
+  }
+  const ok = typeof field.type.validate === 'function' ? field.type.validate(attrs)(ewkt) : true;
+  if (ok !== true) throw new Error(ok?.error || 'Invalid geometry');
+  return ewkt;
+}
+
+/**
+ * `column ➜ property` pairs for every writable column: the explicit
+ * mapping where given, else the property of the same name.  `''` in the
+ * mapping skips a column.
+ *
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @param {Record<string, string>} mapping
+ * @param {string} geomField
+ * @returns {Array<{field: import('@saltcorn/types').Field, prop: string}>}
+ */
+function mappedColumns(fields, mapping, geomField) {
+  return fields
+    .filter((f) => f.name !== geomField && !f.calculated && !f.primary_key)
+    .map((f) => ({ field: f, prop: f.name in mapping ? mapping[f.name] : f.name }))
+    .filter((c) => c.prop);
+}
+
+/**
+ * @typedef {{geometry?:unknown, properties?:Record<string, unknown>, label?:string,
+ *   error?:string}} ImportRecord
+ */
+
+/**
+ * Import `records` into `table`.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {Iterable<ImportRecord>|AsyncIterable<ImportRecord>} records
+ * @param {{
+ *   geomField: string,
+ *   mapping?: Record<string, string>,
+ *   sourceSrid?: number,
+ *   allOrNothing?: boolean,
+ *   batchSize?: number,
+ *   onProgress?: (done:number) => void,
+ *   dryRun?: boolean,
+ *   onRow?: (row:Record<string, unknown>, label:string) => void,
+ *   user?: {id?:number, role_id:number},
+ * }} opts  `user` is checked against the table's ownership and field
+ *   write roles (rows are then inserted one by one).  `dryRun` converts
+ *   and checks every record without writing anything – `inserted` is then
+ *   the number that passed, so database errors (constraints, WKT only
+ *   PostGIS rejects) are not counted; `onRow` sees each converted row.
+ * @returns {Promise<{total:number, inserted:number, rolledBack:boolean,
+ *   errors:Array<{label:string, message:string}>}>}
+ */
+async function importRecords(table, records, opts) {
+  const {
+    geomField, mapping = {}, sourceSrid, allOrNothing = true, onProgress, dryRun = false, onRow, user,
+  } = opts;
+  const fields = await table.getFields();
+  const gField = fields.find((f) => f.name === geomField);
+  if (!gField) throw new Error(`“${geomField}” is not a field of ${table.name}.`);
+  const columns = mappedColumns(fields, mapping, geomField);
+
+  const db = getDb();
+  const sanitize = (id) => db.sqlsanitize(id);
+  const from = `"${sanitize(db.getTenantSchema())}"."${sanitize(table.name)}"`;
+  const batchRows = Math.max(1, Math.min(
+    Number(opts.batchSize) || DEFAULT_BATCH_SIZE,
+    Math.floor(MAX_PARAMS / (columns.length + 1)),
+  ));
+
+  const rowApi = needsRowApi(table, fields, user);
+  const inTransaction = !dryRun && allOrNothing && typeof db.withTransaction === 'function';
+  if (!dryRun && allOrNothing && !inTransaction) {
+    dbg.warn('Import – no transaction support, rows are kept as inserted.');
+  }
+
+  /** @type {Array<{label:string, message:string}>} */
+  const errors = [];
+  let total = 0;
+  let inserted = 0;
+
+  /**
+   * Insert a single row (raw, or through `table.insertRow` with its
+   * Insert triggers switched off).
+   *
+   * @param {Record<string, unknown>} row
+   * @returns {Promise<void>}
+   */
+  const insertOne = async (row) => {
+    if (!rowApi) {
+      const { sql, values } = insertStatement(from, [row], sanitize);
+      await db.query(sql, values);
+      return;
+    }
+    const r = await table.insertRow(row, user, undefined, true);
+    if (typeof r === 'string') throw new Error(r);
+    if (r && typeof r === 'object') throw new Error(r.error || 'Rejected by a Validate trigger');
+    if (r === undefined || r === null) throw new Error('Not authorised to insert this row');
+  };
+
+  /**
+   * Insert one batch; on failure, retry row by row (inside a savepoint when
+   * in a transaction, so the failure does not abort it).  Row-API tables
+   * are always inserted row by row.
+   *
+   * @param {Array<{row:Record<string, unknown>, label:string}>} batch
+   */
+  const flush = async (batch) => {
+    if (!batch.length) return;
+    if (dryRun) {
+      inserted += batch.length;
+      onProgress?.(total);
+      return;
+    }
+    const sp = (cmd) => (inTransaction ? db.query(`${cmd} postgis_import`) : undefined);
+    let single = rowApi;
+    if (!single) {
+      try {
+        await sp('savepoint');
+        const { sql, values } = insertStatement(from, batch.map((b) => b.row), sanitize);
+        await db.query(sql, values);
+        await sp('release savepoint');
+        inserted += batch.length;
+      } catch (batchErr) {
+        await sp('rollback to savepoint');
+        dbg.debug('Import batch failed – retrying row by row', batchErr.message);
+        single = true;
+      }
+    }
+    if (single) {
+      for (const b of batch) {
+        try {
+          await sp('savepoint');
+          await insertOne(b.row);
+          await sp('release savepoint');
+          inserted += 1;
+        } catch (e) {
+          await sp('rollback to savepoint');
+          errors.push({ label: b.label, message: e.message });
+        }
+      }
+    }
+    onProgress?.(total);
+  };
+
+  const run = async () => {
+    let batch = [];
+    for await (const rec of records) {
+      total += 1;
+      const label = rec.label || `#${total}`;
+      try {
+        if (rec.error) throw new Error(rec.error);
+        const row = {};
+        for (const { field, prop } of columns) {
+          const raw = lookup(rec.properties, prop);
+          if (raw !== undefined) row[field.name] = coerceValue(field, raw);
+        }
+        row[gField.name] = rec.geometry === null || rec.geometry === undefined
+          ? null
+          : toColumnEwkt(gField, rec.geometry, sourceSrid);
+        onRow?.(row, label);
+        batch.push({ row, label });
+      } catch (e) {
+        errors.push({ label, message: e.message });
+      }
+      if (batch.length >= batchRows) {
+        await flush(batch);
+        batch = [];
+      }
+    }
+    await flush(batch);
+  };
+
+  let rolledBack = false;
+  if (inTransaction) {
+    await db.withTransaction(async (rollback) => {
+      await run();
+      if (errors.length) {
+        rolledBack = true;
+        await rollback();
+      }
+    });
+  } else {
+    await run();
+  }
+  if (rolledBack) inserted = 0;
+
+  dbg.info('Import finished', {
+    table: table.name, total, inserted, errors: errors.length, rolledBack, dryRun, rowApi,
+  });
+  return { total, inserted, rolledBack, errors };
+}
+
+/**
+ * Notification for an import result, listing up to `maxErrors` failures.
+ *
+ * @param {string} what  E.g. `features`.
+ * @param {Awaited<ReturnType<typeof importRecords>>} r
+ * @param {{note?:string, maxErrors?:number}=} opts  `note` is appended to
+ *   the headline (e.g. records skipped before the import).
+ * @returns {{notify?:string, notify_success?:string, error?:string}}
+ */
+function importResult(what, r, { note, maxErrors = 20 } = {}) {
+  const listed = r.errors.slice(0, maxErrors).map((e) => `${e.label}: ${e.message}`);
+  if (r.errors.length > maxErrors) listed.push(`… and ${r.errors.length - maxErrors} more`);
+  if (r.rolledBack) {
+    return {
+      error: `Nothing imported – ${r.errors.length} of ${r.total} ${what} failed ` +
+        `(all-or-nothing).\n${listed.join('\n')}`,
+    };
+  }
+  const head = `Imported ${r.inserted} of ${r.total} ${what}.${note ? ` ${note}` : ''}`;
+  if (!r.errors.length) return { notify_success: head };
+  return { notify: `${head} ${r.errors.length} failed:\n${listed.join('\n')}` };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  toColumnEwkt,
+  mappedColumns,
+  importRecords,
+  importResult,
+};
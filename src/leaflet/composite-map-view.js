@@ -13,6 +13,30 @@
  *     A fourth wizard page “Locate” lets administrators enable / disable the
  *     feature and customise key behaviour (follow, fly-to, etc.).  When OFF
  *     (default) the add-on is not loaded so there is **zero** overhead.
+ * v6.1 – Rows stored in a projected SRID are re-projected to EPSG:4326
+ *   server-side before plotting.
+ * v6.2 – Optional marker clustering (bundled Leaflet.markercluster).  Cluster
+ *   bubbles take the colour of the dominant `group_field` value.  The add-on
+ *   is only loaded when clustering is switched on.
+ * v6.3 – Ordering and row limit are pushed into SQL instead of sorting and
+ *   slicing every row in JS.  Optional WGS-84 bounding-box restriction
+ *   (wizard setting or `_bbox` query parameter) uses `&&` + `ST_Intersects`.
+ * v6.4 – Optional viewport-driven lazy loading.  Features are fetched from
+ *   the `features` view route on `moveend` (debounced, per-tile cache)
+ *   instead of being inlined into the page.
+ * v6.5 – “Render as heatmap” mode (bundled Leaflet.heat) with optional
+ *   numeric weight column, radius / blur / max-zoom and gradient presets.
+ * v6.6 – Choropleth mode: polygons (and points, as circle markers) are
+ *   filled by a numeric or categorical column.  Class breaks (quantile,
+ *   equal interval, Jenks) are computed server-side; the browser only
+ *   applies the colours and draws a legend.
+ * v6.7 – Extra data layers from other tables (own geometry column, popup
+ *   template, style and row-inclusion formula) plus a layer switcher
+ *   (bundled Leaflet-panel-layers, falling back to `L.control.layers`).
+ * v6.8 – Two-way page-state binding.  Table fields are exposed as state
+ *   fields (standard filters narrow the plotted rows) and the map can
+ *   publish its viewport (`<key>[bbox]`) or a drawn selection polygon
+ *   (`<key>[intersects]`) so sibling views filter to the same area.
  *
  * Author:  Troy Kelly <troy@team.production.city>
  * Licence: CC0-1.0
@@ -27,14 +51,45 @@ const dbg = require('../utils/debug');
 const Table = require('@saltcorn/data/models/table');
 const Workflow = require('@saltcorn/data/models/workflow');
 const Form = require('@saltcorn/data/models/form');
+const FieldRepeat = require('@saltcorn/data/models/fieldrepeat');
+const Field = require('@saltcorn/data/models/field');
+const { stateFieldsToWhere } = require('@saltcorn/data/plugin-helper');
+const { jsexprToWhere } = require('@saltcorn/data/models/expression');
 
-const { wktToGeoJSON } = require('../utils/geometry');
+const { toDisplayGeoJSON } = require('../utils/reproject');
+const { normaliseInput } = require('../utils/geometry');
+const {
+  parseBbox,
+  intersectBbox,
+  bboxCondition,
+  selectIdsWhere,
+  estimatedExtent,
+} = require('../table/spatial-where');
+const {
+  splitSpatialWhere,
+  combineConditions,
+  sortByIds,
+} = require('../table/patch-spatial-where');
+const { columnValues } = require('../table/column-values');
+const {
+  COLOUR_RAMPS,
+  OTHER_COLOUR,
+  numericClasses,
+  categoricalClasses,
+} = require('../utils/classify');
 const {
   LEAFLET,
   LEAFLET_PROVIDERS,
   LEAFLET_GESTURE,
   LEAFLET_LOCATE,
+  LEAFLET_MARKERCLUSTER,
+  LEAFLET_HEAT,
+  LEAFLET_PANEL_LAYERS,
+  LEAFLET_DRAW,
+  HEAT_GRADIENTS,
+  BASE_GEOM_TYPES,
   DEFAULT_CENTER,
+  DEFAULT_SRID,
   PLUGIN_DEBUG,
   PROVIDERS
 } = require('../constants');
@@ -70,6 +125,17 @@ function getProviderOptions() {
   return PROVIDERS;
 }
 
+/**
+ * Is the field one of this plug-in's spatial types?
+ *
+ * @param {import('@saltcorn/types').Field} f
+ * @returns {boolean}
+ */
+function isSpatialField(f) {
+  const n = String(f.type?.name || '').toUpperCase();
+  return n === 'GEOGRAPHY' || BASE_GEOM_TYPES.includes(n);
+}
+
 /* ─────────────────────── wizard field builders ─────────────────────── */
 
 /**
@@ -166,6 +232,43 @@ function buildDataFields(fields) {
       default: 0,
       attributes: { min: 0 },
     },
+    {
+      name: 'bbox_filter',
+      label: 'Restrict to bounding box (optional)',
+      sublabel:
+        'WGS-84 “west,south,east,north”, e.g. 150.5,-34.2,151.4,-33.5.  Only ' +
+        'rows intersecting the box are fetched.  A `_bbox` query parameter ' +
+        'in the same format overrides it.',
+      type: 'String',
+    },
+    {
+      name: 'lazy_load',
+      label: 'Load features for the visible area only',
+      sublabel:
+        'Fetches features from the server as the map is panned / zoomed ' +
+        'instead of embedding every row in the page.  Recommended for very ' +
+        'large tables.',
+      type: 'Bool',
+      default: false,
+    },
+    {
+      name: 'lazy_max_features',
+      label: 'Maximum features per request',
+      sublabel: 'Used when “Maximum rows” is 0.',
+      type: 'Integer',
+      default: 2000,
+      attributes: { min: 1 },
+      showIf: { lazy_load: true },
+    },
+    {
+      name: 'lazy_min_zoom',
+      label: 'Minimum zoom for loading',
+      sublabel: 'Nothing is fetched while zoomed out further than this.',
+      type: 'Integer',
+      default: 0,
+      attributes: { min: 0, max: 22 },
+      showIf: { lazy_load: true },
+    },
     {
       name: 'height',
       label: 'Map height (px)',
@@ -177,7 +280,366 @@ function buildDataFields(fields) {
 }
 
 /**
- * Wizard page 2 – tile provider settings.
+ * Wizard page 2 – marker clustering.
+ * @returns {import('@saltcorn/types').TypeAttribute[]}
+ */
+function buildClusterFields() {
+  return [
+    {
+      name: 'cluster_enabled',
+      label: 'Cluster point markers',
+      sublabel:
+        'Groups nearby points into numbered bubbles – essential for tables ' +
+        'with thousands of rows.  Lines and polygons are never clustered.',
+      type: 'Bool',
+      default: false,
+    },
+    {
+      name: 'cluster_radius',
+      label: 'Cluster radius (px)',
+      sublabel: 'Maximum distance a cluster covers from its centre.',
+      type: 'Integer',
+      default: 80,
+      attributes: { min: 10, max: 300 },
+      showIf: { cluster_enabled: true },
+    },
+    {
+      name: 'cluster_disable_at_zoom',
+      label: 'Stop clustering at zoom (0 = never)',
+      sublabel: 'From this zoom level upwards every marker is shown individually.',
+      type: 'Integer',
+      default: 0,
+      attributes: { min: 0, max: 22 },
+      showIf: { cluster_enabled: true },
+    },
+    {
+      name: 'cluster_spiderfy',
+      label: 'Spiderfy on max zoom',
+      sublabel: 'Fan out overlapping markers when a cluster cannot split further.',
+      type: 'Bool',
+      default: true,
+      showIf: { cluster_enabled: true },
+    },
+    {
+      name: 'cluster_group_colour',
+      label: 'Colour clusters by dominant group',
+      sublabel: 'Uses the “Group by column” from the first page.',
+      type: 'Bool',
+      default: true,
+      showIf: { cluster_enabled: true },
+    },
+  ];
+}
+
+/**
+ * Parse a heatmap gradient: a preset name from `HEAT_GRADIENTS` or a custom
+ * `stop:colour` list such as `0.4:blue,0.65:lime,1:red`.
+ *
+ * @param {string=} preset
+ * @param {string=} custom
+ * @returns {Record<string, string>|null}  `null` = plug-in default.
+ */
+function resolveHeatGradient(preset, custom) {
+  if (preset === 'custom' && custom) {
+    const out = {};
+    for (const part of String(custom).split(',')) {
+      const [stop, colour] = part.split(':').map((x) => x.trim());
+      const n = Number(stop);
+      if (colour && Number.isFinite(n) && n >= 0 && n <= 1) out[n] = colour;
+    }
+    return Object.keys(out).length ? out : null;
+  }
+  return HEAT_GRADIENTS[preset] || null;
+}
+
+/**
+ * Wizard page 3 – heatmap rendering.
+ *
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @returns {import('@saltcorn/types').TypeAttribute[]}
+ */
+function buildHeatmapFields(fields) {
+  const numeric = fields
+    .filter((f) => ['Integer', 'Float', 'Money'].includes(f.type?.name))
+    .map((f) => f.name);
+
+  return [
+    {
+      name: 'heatmap_enabled',
+      label: 'Render as heatmap',
+      sublabel:
+        'Shows feature density instead of individual markers.  Lines and ' +
+        'polygons contribute their centre point.',
+      type: 'Bool',
+      default: false,
+    },
+    {
+      name: 'heat_weight_field',
+      label: 'Weight column (optional)',
+      sublabel: 'Numeric column scaling each feature’s intensity.  Blank = 1.',
+      type: 'String',
+      attributes: { options: numeric },
+      showIf: { heatmap_enabled: true },
+    },
+    {
+      name: 'heat_radius',
+      label: 'Radius (px)',
+      type: 'Integer',
+      default: 25,
+      attributes: { min: 1, max: 100 },
+      showIf: { heatmap_enabled: true },
+    },
+    {
+      name: 'heat_blur',
+      label: 'Blur (px)',
+      type: 'Integer',
+      default: 15,
+      attributes: { min: 0, max: 100 },
+      showIf: { heatmap_enabled: true },
+    },
+    {
+      name: 'heat_max_zoom',
+      label: 'Zoom of maximum intensity',
+      sublabel: 'Points reach full intensity at this zoom level.',
+      type: 'Integer',
+      default: 18,
+      attributes: { min: 0, max: 22 },
+      showIf: { heatmap_enabled: true },
+    },
+    {
+      name: 'heat_gradient',
+      label: 'Colour gradient',
+      type: 'String',
+      default: 'default',
+      attributes: { options: [...Object.keys(HEAT_GRADIENTS), 'custom'] },
+      showIf: { heatmap_enabled: true },
+    },
+    {
+      name: 'heat_gradient_custom',
+      label: 'Custom gradient',
+      sublabel: 'Comma-separated stop:colour pairs, e.g. 0.4:blue,0.65:lime,1:red',
+      type: 'String',
+      showIf: { heatmap_enabled: true, heat_gradient: 'custom' },
+    },
+  ];
+}
+
+/**
+ * Wizard page 4 – choropleth (thematic) styling.
+ *
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @returns {import('@saltcorn/types').TypeAttribute[]}
+ */
+function buildChoroplethFields(fields) {
+  const colOpts = fields
+    .filter((f) => !f.primary_key && !isSpatialField(f))
+    .map((f) => f.name);
+  const on = { choropleth_enabled: true };
+
+  return [
+    {
+      name: 'choropleth_enabled',
+      label: 'Choropleth styling',
+      sublabel:
+        'Fill polygons by the value of a column.  Replaces the “Group by ' +
+        'column” colours; ignored when the heatmap is on.',
+      type: 'Bool',
+      default: false,
+    },
+    {
+      name: 'choro_field',
+      label: 'Value column',
+      type: 'String',
+      attributes: { options: colOpts },
+      showIf: on,
+    },
+    {
+      name: 'choro_categorical',
+      label: 'Treat values as categories',
+      sublabel: 'Always the case for non-numeric columns.',
+      type: 'Bool',
+      default: false,
+      showIf: on,
+    },
+    {
+      name: 'choro_method',
+      label: 'Classification',
+      type: 'String',
+      default: 'quantile',
+      attributes: { options: ['quantile', 'equal_interval', 'jenks'] },
+      showIf: { ...on, choro_categorical: false },
+    },
+    {
+      name: 'choro_classes',
+      label: 'Number of classes',
+      sublabel: 'For categories: the most frequent values get a colour, the rest are “Other”.',
+      type: 'Integer',
+      default: 5,
+      attributes: { min: 2, max: 12 },
+      showIf: on,
+    },
+    {
+      name: 'choro_ramp',
+      label: 'Colour ramp',
+      type: 'String',
+      default: 'YlOrRd',
+      attributes: { options: Object.keys(COLOUR_RAMPS) },
+      showIf: on,
+    },
+    {
+      name: 'choro_fill_opacity',
+      label: 'Fill opacity',
+      type: 'Float',
+      default: 0.7,
+      attributes: { min: 0, max: 1, decimal_places: 2 },
+      showIf: on,
+    },
+    {
+      name: 'choro_stroke_colour',
+      label: 'Outline colour',
+      type: 'Color',
+      default: '#ffffff',
+      showIf: on,
+    },
+    {
+      name: 'choro_stroke_weight',
+      label: 'Outline width (px)',
+      type: 'Float',
+      default: 1,
+      attributes: { min: 0, max: 10 },
+      showIf: on,
+    },
+    {
+      name: 'choro_stroke_opacity',
+      label: 'Outline opacity',
+      type: 'Float',
+      default: 1,
+      attributes: { min: 0, max: 1, decimal_places: 2 },
+      showIf: on,
+    },
+    {
+      name: 'choro_legend',
+      label: 'Show legend',
+      type: 'Bool',
+      default: true,
+      showIf: on,
+    },
+    {
+      name: 'choro_legend_title',
+      label: 'Legend title',
+      sublabel: 'Blank = column name.',
+      type: 'String',
+      showIf: { ...on, choro_legend: true },
+    },
+    {
+      name: 'choro_legend_position',
+      label: 'Legend position',
+      type: 'String',
+      default: 'bottomright',
+      attributes: { options: ['topleft', 'topright', 'bottomleft', 'bottomright'] },
+      showIf: { ...on, choro_legend: true },
+    },
+  ];
+}
+
+/**
+ * Wizard page 5 – extra layers from other tables.
+ *
+ * @param {string[]} tableNames
+ * @returns {Array<import('@saltcorn/types').TypeAttribute|FieldRepeat>}
+ */
+function buildLayerFields(tableNames) {
+  return [
+    {
+      name: 'main_layer_name',
+      label: 'Name of this view’s layer',
+      sublabel: 'Shown in the layer switcher.  Blank = table name.',
+      type: 'String',
+    },
+    {
+      name: 'layer_switcher_position',
+      label: 'Layer switcher position',
+      sublabel: 'The switcher appears only when extra layers are configured.',
+      type: 'String',
+      default: 'topright',
+      attributes: { options: ['topleft', 'topright', 'bottomleft', 'bottomright'] },
+    },
+    new FieldRepeat({
+      name: 'layers',
+      label: 'Extra layers',
+      fields: [
+        {
+          name: 'layer_name',
+          label: 'Layer name',
+          type: 'String',
+        },
+        {
+          name: 'layer_table',
+          label: 'Table',
+          type: 'String',
+          required: true,
+          attributes: { options: tableNames },
+        },
+        {
+          name: 'layer_geometry_field',
+          label: 'Geometry column',
+          sublabel: 'Blank = first PostGIS column of the table.',
+          type: 'String',
+        },
+        {
+          name: 'layer_popup_template',
+          label: 'Popup Handlebars template',
+          sublabel: 'Only the fields this template uses are sent to the browser.',
+          type: 'String',
+          attributes: { input_type: 'textarea', rows: 2 },
+        },
+        {
+          name: 'layer_where',
+          label: 'Row inclusion formula',
+          sublabel: 'Only rows where this formula is true, e.g. status === "active".',
+          type: 'String',
+          class: 'validate-expression',
+        },
+        {
+          name: 'layer_colour',
+          label: 'Colour',
+          type: 'Color',
+          default: '#3388ff',
+        },
+        {
+          name: 'layer_weight',
+          label: 'Line width (px)',
+          type: 'Float',
+          default: 2,
+          attributes: { min: 0, max: 10 },
+        },
+        {
+          name: 'layer_fill_opacity',
+          label: 'Fill opacity',
+          type: 'Float',
+          default: 0.2,
+          attributes: { min: 0, max: 1, decimal_places: 2 },
+        },
+        {
+          name: 'layer_row_limit',
+          label: 'Maximum rows (0 = unlimited)',
+          type: 'Integer',
+          default: 0,
+          attributes: { min: 0 },
+        },
+        {
+          name: 'layer_visible',
+          label: 'Visible initially',
+          type: 'Bool',
+          default: true,
+        },
+      ],
+    }),
+  ];
+}
+
+/**
+ * Wizard page 6 – tile provider settings.
  * @returns {import('@saltcorn/types').TypeAttribute[]}
  */
 function buildProviderFields() {
@@ -217,7 +679,7 @@ function buildProviderFields() {
 }
 
 /**
- * Wizard page 3 – interaction settings.
+ * Wizard page 7 – interaction settings.
  * @returns {import('@saltcorn/types').TypeAttribute[]}
  */
 function buildInteractionFields() {
@@ -232,11 +694,30 @@ function buildInteractionFields() {
       type: 'Bool',
       default: false,
     },
+    {
+      name: 'publish_state',
+      label: 'Publish map area as page state',
+      sublabel:
+        '“viewport” publishes the visible bounding box after every pan / zoom; ' +
+        '“selection” adds a polygon / rectangle tool.  Other views on the page ' +
+        'showing a table with the same geometry column filter to that area ' +
+        '(updated through the page state shortly after each change).',
+      type: 'String',
+      default: 'none',
+      attributes: { options: ['none', 'viewport', 'selection'] },
+    },
+    {
+      name: 'publish_key',
+      label: 'State key',
+      sublabel: 'Geometry column name the filter is published under.  Blank = this map’s geometry column.',
+      type: 'String',
+      showIf: { publish_state: ['viewport', 'selection'] },
+    },
   ];
 }
 
 /**
- * Wizard page 4 – geolocation locate-control settings.
+ * Wizard page 8 – geolocation locate-control settings.
  * @returns {import('@saltcorn/types').TypeAttribute[]}
  */
 function buildLocateFields() {
@@ -327,7 +808,7 @@ async function resolveTable(sig) {
 }
 
 /**
- * Four-step configuration wizard.
+ * Eight-step configuration wizard.
  */
 function configurationWorkflow(...sig) {
   return new Workflow({
@@ -340,6 +821,33 @@ function configurationWorkflow(...sig) {
           return new Form({ fields: buildDataFields(flds) });
         },
       },
+      {
+        name: 'Clustering',
+        form: async () => new Form({ fields: buildClusterFields() }),
+      },
+      {
+        name: 'Heatmap',
+        form: async () => {
+          const tbl = await resolveTable(sig);
+          const flds = tbl ? await tbl.getFields() : [];
+          return new Form({ fields: buildHeatmapFields(flds) });
+        },
+      },
+      {
+        name: 'Choropleth',
+        form: async () => {
+          const tbl = await resolveTable(sig);
+          const flds = tbl ? await tbl.getFields() : [];
+          return new Form({ fields: buildChoroplethFields(flds) });
+        },
+      },
+      {
+        name: 'Layers',
+        form: async () => {
+          const tables = await TableCls.find({});
+          return new Form({ fields: buildLayerFields(tables.map((t) => t.name)) });
+        },
+      },
       {
         name: 'Tile Provider',
         form: async () => new Form({ fields: buildProviderFields() }),
@@ -356,6 +864,305 @@ function configurationWorkflow(...sig) {
   });
 }
 
+/* ──────────────────────────── data loading ──────────────────────────── */
+
+/**
+ * Load the rows to plot, with order / limit / bbox applied in SQL.  Spatial
+ * operands in `where` (from page state) are split off and ANDed with the
+ * bbox in the id query; `db.mkWhere` only ever sees the plain part.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {import('@saltcorn/types').Field|undefined} geomField
+ * @param {Record<string, unknown>} where
+ * @param {[number, number, number, number]|undefined} bbox  WGS-84.
+ * @param {{orderBy?:string, orderDesc?:boolean, limit?:number, forUser?:object}} selopts
+ * @returns {Promise<Array<Record<string, unknown>>>}
+ */
+async function loadRows(table, geomField, where, bbox, selopts) {
+  if (!bbox || !geomField) return table.getRows(where, selopts);
+
+  const split = await splitSpatialWhere(table, where);
+  const inView = (firstIndex) => bboxCondition(geomField.name, bbox, {
+    srid: geomField.attributes?.srid,
+    geography: geomField.type?.name === 'geography',
+    firstIndex,
+  });
+  const ids = await selectIdsWhere(
+    table,
+    split.where,
+    combineConditions(split.spatial ? [split.spatial, inView] : [inView]),
+    selopts,
+  );
+  if (!ids.length) return [];
+
+  const pk = table.pk_name || 'id';
+  const { limit, ...rest } = selopts;
+  const { orderBy, orderDesc, ...unordered } = rest;
+  const rows = await table.getRows(
+    { ...split.where, [pk]: { in: ids } },
+    split.ordered ? unordered : rest,
+  );
+  return split.ordered ? sortByIds(rows, ids, pk) : rows;
+}
+
+/**
+ * Rows ➜ GeoJSON features (always EPSG:4326 for Leaflet).
+ *
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {string} geomCol
+ * @param {number=} geomSrid
+ * @param {string[]=} keep  Only these row values become properties
+ *   (default: all of them).
+ * @returns {Array<Record<string, unknown>>}
+ */
+function rowsToFeatures(rows, geomCol, geomSrid, keep) {
+  const features = [];
+  for (const row of rows) {
+    const gj = toDisplayGeoJSON(row[geomCol], geomSrid);
+    if (!gj) continue;
+    const props = keep
+      ? Object.fromEntries(keep.filter((k) => k in row).map((k) => [k, row[k]]))
+      : row;
+    features.push({
+      type: 'Feature',
+      properties: { __id: row.id, ...props },
+      geometry: gj.type === 'Feature' ? gj.geometry : gj,
+    });
+  }
+  return features;
+}
+
+/**
+ * Order / limit options derived from the view configuration.
+ *
+ * @param {Record<string, any>} cfg
+ * @returns {{orderBy?:string, orderDesc?:boolean, limit?:number}}
+ */
+function selectOptions(cfg) {
+  const rowLimit = Number(cfg.row_limit) || 0;
+  const limit = rowLimit > 0
+    ? rowLimit
+    : cfg.lazy_load ? Number(cfg.lazy_max_features) || 2000 : 0;
+  return {
+    ...(cfg.order_field ? { orderBy: cfg.order_field, orderDesc: !!cfg.order_desc } : {}),
+    ...(limit > 0 ? { limit } : {}),
+  };
+}
+
+/** Is `v` a plain filter value? */
+const isScalar = (v) => ['string', 'number', 'boolean'].includes(typeof v);
+
+/** Is `v` a list of plain filter values? */
+const isScalarList = (v) => Array.isArray(v) && v.every(isScalar);
+
+/**
+ * Operators a client may put in a field's state object, each with the
+ * operand it accepts: the range / list / text forms `mkWhere` understands
+ * plus the spatial operands.
+ */
+const STATE_OPERATORS = {
+  in: isScalarList,
+  gt: isScalar,
+  lt: isScalar,
+  equal: (v) => typeof v === 'boolean',
+  day_only: (v) => typeof v === 'boolean',
+  ilike: (v) => typeof v === 'string',
+  fullMatch: (v) => typeof v === 'boolean',
+  bbox: (v) => typeof v === 'string',
+  intersects: (v) => typeof v === 'string',
+  near: (v) => typeof v === 'string' || isScalarList(v),
+  within_m: isScalar,
+  order: (v) => typeof v === 'string',
+};
+
+/** Is `v` a non-empty object built only from `STATE_OPERATORS`? */
+const isOperatorObject = (v) =>
+  !!v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length > 0
+  && Object.entries(v).every(([op, operand]) => Object.hasOwn(STATE_OPERATORS, op) && STATE_OPERATORS[op](operand));
+
+/** State key prefixes Saltcorn turns into a range on the named field. */
+const RANGE_PREFIXES = ['_fromdate_', '_todate_', '_fromneqdate_', '_toneqdate_', '_gte_', '_lte_'];
+
+/**
+ * Check client-supplied state before it reaches `stateFieldsToWhere` so the
+ * feature route cannot be handed arbitrary where-object operators
+ * (sub-selects, raw JSON paths …).  Field values may be scalars, lists of
+ * scalars or objects built from `STATE_OPERATORS`; the range keys filter
+ * widgets send (`_gte_<field>` …) pass with a scalar.  Anything else on a
+ * field is refused rather than silently dropped; keys that name no field
+ * are ignored.
+ *
+ * @param {unknown} state
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @returns {{state: Record<string, unknown>, error?: string}}
+ */
+function clientFieldState(state, fields) {
+  const names = new Set(fields.map((f) => f.name));
+  const out = {};
+  if (!state || typeof state !== 'object') return { state: out };
+  for (const [k, v] of Object.entries(state)) {
+    const prefix = RANGE_PREFIXES.find((p) => k.startsWith(p));
+    const name = prefix ? k.slice(prefix.length) : k;
+    if (!names.has(name)) continue;
+    const ok = prefix ? isScalar(v) : isScalar(v) || isScalarList(v) || isOperatorObject(v);
+    if (!ok) return { state: out, error: `Unsupported filter on ${name}` };
+    out[k] = v;
+  }
+  return { state: out };
+}
+
+/**
+ * Choropleth classes and styling for the browser, or `null` when the mode
+ * is off.  Numeric columns are classified unless “Treat values as
+ * categories” is ticked; anything else is always categorical.
+ *
+ * @param {Record<string, any>} cfg
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @param {unknown[]} values  Column values the breaks are computed from.
+ * @returns {object|null}
+ */
+function choroplethConfig(cfg, fields, values) {
+  if (!cfg.choropleth_enabled || !cfg.choro_field) return null;
+  const field = fields.find((f) => f.name === cfg.choro_field);
+  if (!field) return null;
+
+  const numeric = ['Integer', 'Float', 'Money'].includes(field.type?.name);
+  const categorical = !numeric || !!cfg.choro_categorical;
+  const opts = {
+    method: cfg.choro_method || 'quantile',
+    classes: Number(cfg.choro_classes) || 5,
+    ramp: cfg.choro_ramp || 'YlOrRd',
+  };
+  const classes = categorical
+    ? categoricalClasses(values, opts)
+    : numericClasses(values, opts);
+
+  /* “Other” only appears in the legend when some categories were dropped */
+  const distinct = new Set(
+    values.filter((v) => v !== null && v !== undefined && v !== '').map(String),
+  ).size;
+  const num = (v, d) => (v === undefined || v === null || v === '' ? d : Number(v));
+
+  return {
+    field: field.name,
+    categorical,
+    classes,
+    other: OTHER_COLOUR,
+    showOther: categorical && distinct > classes.length,
+    fillOpacity: num(cfg.choro_fill_opacity, 0.7),
+    stroke: {
+      color: cfg.choro_stroke_colour || '#ffffff',
+      weight: num(cfg.choro_stroke_weight, 1),
+      opacity: num(cfg.choro_stroke_opacity, 1),
+    },
+    legend: cfg.choro_legend !== undefined ? !!cfg.choro_legend : true,
+    legendTitle: cfg.choro_legend_title || field.label || field.name,
+    legendPosition: cfg.choro_legend_position || 'bottomright',
+  };
+}
+
+/**
+ * Field names a Handlebars template refers to (`{{name}}`, `{{#if name}}`,
+ * `{{name.sub}}` …).
+ *
+ * @param {string} tpl
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @returns {string[]}
+ */
+function templateFields(tpl, fields) {
+  const words = new Set();
+  for (const m of String(tpl || '').matchAll(/\{\{\{?([^}]*)\}?\}\}/gu)) {
+    for (const w of m[1].match(/[A-Za-z_]\w*/gu) || []) words.add(w);
+  }
+  return fields.map((f) => f.name).filter((n) => words.has(n));
+}
+
+/**
+ * Load the extra layers configured on the “Layers” wizard page.  Layers whose
+ * table, geometry column or formula cannot be resolved are skipped (and
+ * logged) rather than failing the whole map.
+ *
+ * The layer table's read role applies to the viewer: below it, only owned
+ * rows are shown (tables without ownership are skipped), and features carry
+ * only the fields the popup template uses.
+ *
+ * @param {Record<string, any>} cfg
+ * @param {[number, number, number, number]|undefined} bbox  WGS-84.
+ * @param {any=} req  Express request – `user` is in scope for formulas.
+ * @returns {Promise<Array<object>>}
+ */
+async function loadExtraLayers(cfg, bbox, req) {
+  const defs = Array.isArray(cfg.layers) ? cfg.layers : [];
+  const out = [];
+  const num = (v, d) => (v === undefined || v === null || v === '' ? d : Number(v));
+
+  for (const def of defs) {
+    if (!def?.layer_table) continue;
+    const table = await TableCls.findOne({ name: def.layer_table });
+    if (!table) {
+      dbg.warn('composite_map: layer table not found', def.layer_table);
+      continue;
+    }
+    const user = req?.user;
+    const restricted = (user?.role_id ?? 100) > Number(table.min_role_read ?? 1);
+    if (restricted && (!user || (!table.ownership_field_id && !table.ownership_formula))) {
+      dbg.warn('composite_map: layer table not readable by this user', def.layer_table);
+      continue;
+    }
+    const fields = await table.getFields();
+    const geomField = def.layer_geometry_field
+      ? fields.find((f) => f.name === def.layer_geometry_field)
+      : fields.find(isSpatialField);
+    if (!geomField) {
+      dbg.warn('composite_map: layer has no geometry column', def.layer_table);
+      continue;
+    }
+
+    let where = {};
+    if (def.layer_where) {
+      try {
+        where = jsexprToWhere(
+          def.layer_where,
+          { user_id: req?.user?.id ?? null, user: req?.user },
+          fields,
+        );
+      } catch (e) {
+        dbg.warn('composite_map: invalid layer formula', def.layer_where, e.message);
+        continue;
+      }
+    }
+
+    /* owned rows only – filtered before the row cap, not after it */
+    const ownerField = restricted && table.ownership_field_id
+      ? fields.find((f) => f.id === table.ownership_field_id)
+      : undefined;
+    if (ownerField) where = { ...where, [ownerField.name]: user.id };
+
+    const limit = Number(def.layer_row_limit) || 0;
+    const rows = await loadRows(table, geomField, where, bbox, {
+      ...(limit > 0 ? { limit } : {}),
+      ...(restricted ? { forUser: user } : {}),
+    });
+    out.push({
+      name: def.layer_name || table.name,
+      features: rowsToFeatures(
+        rows,
+        geomField.name,
+        geomField.attributes?.srid,
+        templateFields(def.layer_popup_template, fields),
+      ),
+      popup: def.layer_popup_template || '',
+      style: {
+        color: def.layer_colour || '#3388ff',
+        weight: num(def.layer_weight, 2),
+        fillOpacity: num(def.layer_fill_opacity, 0.2),
+      },
+      visible: def.layer_visible !== undefined ? !!def.layer_visible : true,
+    });
+  }
+  return out;
+}
+
 /* ─────────────────────────── View template ─────────────────────────── */
 
 const compositeMapTemplate = {
@@ -364,9 +1171,75 @@ const compositeMapTemplate = {
     'Plots the query result on a Leaflet map.  Hover shows pop-ups; ' +
     'click/tap can navigate to another view.',
   display_state_form: false,
-  get_state_fields: () => [],
+
+  /**
+   * Every table field is an (optional) state field, as in the list view –
+   * standard filters on the page narrow what is plotted.
+   *
+   * @param {number|string} tableRef
+   * @returns {Promise<import('@saltcorn/types').Field[]>}
+   */
+  async get_state_fields(tableRef) {
+    const table = await TableCls.findOne(
+      typeof tableRef === 'number' ? { id: tableRef } : { name: tableRef },
+    );
+    if (!table) return [];
+    return (await table.getFields()).map((f) => {
+      const sf = new Field(f);
+      sf.required = false;
+      return sf;
+    });
+  },
   configuration_workflow: configurationWorkflow,
 
+  routes: {
+    /**
+     * Lazy-loading endpoint: POST `/view/<name>/features` with
+     * `{ bbox:[w,s,e,n], zoom, state }` ➜ GeoJSON FeatureCollection.
+     * `complete` is false when the row cap truncated the answer.
+     *
+     * @param {number|string} tableRef
+     * @param {string} viewname
+     * @param {object} cfg
+     * @param {object} body
+     * @returns {Promise<{json: object}>}
+     */
+    async features(tableRef, viewname, cfg, body) {
+      const table = await TableCls.findOne(
+        typeof tableRef === 'number' ? { id: tableRef } : { name: tableRef },
+      );
+      if (!table) return { json: { error: 'Table not found' } };
+
+      const fields = await table.getFields();
+      const geomCol = cfg.geometry_field || 'geom';
+      const geomField = fields.find((f) => f.name === geomCol);
+      if (!geomField) return { json: { error: 'Geometry column not found' } };
+
+      const bbox = intersectBbox(parseBbox(body?.bbox), parseBbox(cfg.bbox_filter));
+      const empty = { type: 'FeatureCollection', features: [], complete: true };
+      if (bbox === null) return { json: empty };
+
+      const filter = clientFieldState(body?.state, fields);
+      if (filter.error) {
+        dbg.warn('composite_map.features: state refused', { viewname, error: filter.error });
+        return { json: { error: filter.error } };
+      }
+
+      const selopts = selectOptions({ ...cfg, lazy_load: true });
+      const where = stateFieldsToWhere({ fields, state: filter.state, table });
+      const rows = await loadRows(table, geomField, where, bbox, selopts);
+      dbg.debug('composite_map.features', { viewname, bbox, rows: rows.length });
+
+      return {
+        json: {
+          ...empty,
+          features: rowsToFeatures(rows, geomCol, geomField.attributes?.srid),
+          complete: rows.length < (selopts.limit || Infinity),
+        },
+      };
+    },
+  },
+
   /**
    * Renderer.
    *
@@ -374,9 +1247,10 @@ const compositeMapTemplate = {
    * @param {string}        viewname
    * @param {object}        cfg
    * @param {object}        state
+   * @param {{req?: any}=}    extraArgs
    * @returns {Promise<string>}
    */
-  async run(tableRef, viewname, cfg, state) {
+  async run(tableRef, viewname, cfg, state, extraArgs) {
     dbg.info('composite_map.run()', { cfg });
 
     /* ───── page 1 config ───── */
@@ -391,12 +1265,36 @@ const compositeMapTemplate = {
     const showCreate = cfg.show_create && cfg.create_view;
     const createView = cfg.create_view || '';
 
-    const orderField = cfg.order_field || '';
-    const orderDesc = !!cfg.order_desc;
     const groupField = cfg.group_field || '';
-    const rowLimit = Number(cfg.row_limit) || 0;
 
     /* ───── page 2 config ───── */
+    const clusterEnabled = !!cfg.cluster_enabled;
+    const clusterDisableAt = Number(cfg.cluster_disable_at_zoom) || 0;
+    const clusterOpts = {
+      maxClusterRadius: Number(cfg.cluster_radius) || 80,
+      spiderfyOnMaxZoom: cfg.cluster_spiderfy !== undefined
+        ? !!cfg.cluster_spiderfy : true,
+      chunkedLoading: true,
+      ...(clusterDisableAt > 0 ? { disableClusteringAtZoom: clusterDisableAt } : {}),
+    };
+    const clusterGroupColour = cfg.cluster_group_colour !== undefined
+      ? !!cfg.cluster_group_colour : true;
+
+    /* ───── page 3 config ───── */
+    const heatEnabled = !!cfg.heatmap_enabled;
+    const heatGradient = resolveHeatGradient(cfg.heat_gradient, cfg.heat_gradient_custom);
+    const heatCfg = {
+      weight: cfg.heat_weight_field || '',
+      options: {
+        radius: Number(cfg.heat_radius) || 25,
+        blur: cfg.heat_blur !== undefined && cfg.heat_blur !== null
+          ? Number(cfg.heat_blur) : 15,
+        maxZoom: Number(cfg.heat_max_zoom) || 18,
+        ...(heatGradient ? { gradient: heatGradient } : {}),
+      },
+    };
+
+    /* ───── page 6 config ───── */
     const providerEnabled = !!cfg.tile_provider_enabled;
     const providerName = cfg.tile_provider_name || '';
     let providerOpts = {};
@@ -406,10 +1304,10 @@ const compositeMapTemplate = {
       catch { } // ignore malformed JSON
     }
 
-    /* ───── page 3 config ───── */
+    /* ───── page 7 config ───── */
     const gestureEnabled = !!cfg.gesture_handling_enabled;
 
-    /* ───── page 4 config ───── */
+    /* ───── page 8 config ───── */
     const locateEnabled = !!cfg.locate_enabled;
     const locateFollow = !!cfg.locate_follow;
     const locateKeepZoom = !!cfg.locate_keep_zoom;
@@ -427,37 +1325,77 @@ const compositeMapTemplate = {
       flyTo: locateFlyTo,
     };
 
+    /* ───── page-state publishing ───── */
+    const publishMode = ['viewport', 'selection'].includes(cfg.publish_state)
+      ? cfg.publish_state : '';
+    const publishCfg = publishMode
+      ? {
+        mode: publishMode,
+        key: cfg.publish_key || geomCol,
+        op: publishMode === 'viewport' ? 'bbox' : 'intersects',
+      }
+      : null;
+
     /* ───── fetch rows ───── */
     const table = await TableCls.findOne(
       typeof tableRef === 'number' ? { id: tableRef } : { name: tableRef },
     );
     if (!table) return '<div class="alert alert-danger">Table not found.</div>';
 
-    let rows = await table.getRows(state);
+    const fields = await table.getFields();
+    const geomFieldObj = fields.find((f) => f.name === geomCol);
+    const geomSrid = geomFieldObj?.attributes?.srid;
+
+    /* the map never filters itself by the area it publishes */
+    const { _bbox: stateBbox, ...plainState } = state || {};
+    const published = publishCfg ? plainState[publishCfg.key] : undefined;
+    if (publishCfg) delete plainState[publishCfg.key];
+    const where = stateFieldsToWhere({ fields, state: plainState, table });
+    const bbox = parseBbox(stateBbox) || parseBbox(cfg.bbox_filter);
+
+    /* restore the published viewport / selection after the state update re-renders the map */
+    const publishedBbox = publishCfg?.op === 'bbox' ? parseBbox(published?.bbox) : undefined;
+    const selectionWkt = publishCfg?.op === 'intersects' && published?.intersects
+      ? normaliseInput(published.intersects, { srid: DEFAULT_SRID })
+      : undefined;
+    const selection = selectionWkt ? toDisplayGeoJSON(selectionWkt) : undefined;
+
+    /* lazy mode ships an empty collection; the browser asks for its viewport */
+    const lazy = !!cfg.lazy_load && !!geomFieldObj;
+    const rows = lazy
+      ? []
+      : await loadRows(table, geomFieldObj, where, bbox, selectOptions(cfg));
+    const features = rowsToFeatures(rows, geomCol, geomSrid);
+
+    /* choropleth breaks: from the plotted rows, or a column scan when lazy */
+    const choroCfg = cfg.choropleth_enabled && !heatEnabled && cfg.choro_field
+      ? choroplethConfig(
+        cfg,
+        fields,
+        lazy
+          ? await columnValues(table, cfg.choro_field, where)
+          : rows.map((r) => r[cfg.choro_field]),
+      )
+      : null;
+    const initialBounds = lazy
+      ? bbox || await estimatedExtent(table, geomCol, geomSrid)
+      : undefined;
+    const lazyCfg = lazy
+      ? {
+        url: `/view/${encodeURIComponent(viewname)}/features`,
+        state: plainState,
+        minZoom: Number(cfg.lazy_min_zoom) || 0,
+      }
+      : null;
 
-    /* order / limit on server side for speed */
-    if (orderField) {
-      rows.sort((a, b) =>
-        a[orderField] === b[orderField]
-          ? 0
-          : a[orderField] > b[orderField] ? 1 : -1,
-      );
-      if (orderDesc) rows.reverse();
-    }
-    if (rowLimit > 0) rows = rows.slice(0, rowLimit);
-
-    /* GeoJSON FeatureCollection */
-    const features = [];
-    for (const row of rows) {
-      const gj = wktToGeoJSON(row[geomCol]);
-      if (!gj) continue;
-      features.push({
-        type: 'Feature',
-        properties: { __id: row.id, ...row },
-        geometry: gj.type === 'Feature' ? gj.geometry : gj,
-      });
-    }
     const collection = { type: 'FeatureCollection', features };
+    const extraLayers = await loadExtraLayers(cfg, bbox, extraArgs?.req);
+    const switcher = extraLayers.length
+      ? {
+        mainName: cfg.main_layer_name || table.name,
+        position: cfg.layer_switcher_position || 'topright',
+      }
+      : null;
 
     /* ───── HTML scaffold ───── */
     const mapId = `cmp_${Math.random().toString(36).slice(2)}`;
@@ -489,7 +1427,20 @@ ${createBtn}
         navView=${js(clickView)},
         provEnabled=${js(providerEnabled)}, provName=${js(providerName)},
         provOpts=${js(providerOpts)}, gestureEnabled=${js(gestureEnabled)},
-        locateEnabled=${js(locateEnabled)}, locateOpts=${js(locateOpts)};
+        locateEnabled=${js(locateEnabled)}, locateOpts=${js(locateOpts)},
+        clusterEnabled=${js(clusterEnabled)}, clusterOpts=${js(clusterOpts)},
+        clusterGroupColour=${js(clusterGroupColour)},
+        clusterCss=${js(LEAFLET_MARKERCLUSTER.css)},
+        clusterCssDefault=${js(LEAFLET_MARKERCLUSTER.cssDefault)},
+        clusterJs=${js(LEAFLET_MARKERCLUSTER.js)},
+        lazy=${js(lazyCfg)}, initialBounds=${js(initialBounds)},
+        heatEnabled=${js(heatEnabled)}, heatCfg=${js(heatCfg)},
+        heatJs=${js(LEAFLET_HEAT.js)}, choro=${js(choroCfg)},
+        extraLayers=${js(extraLayers)}, switcher=${js(switcher)},
+        panelCss=${js(LEAFLET_PANEL_LAYERS.css)}, panelJs=${js(LEAFLET_PANEL_LAYERS.js)},
+        publish=${js(publishCfg)}, publishedBbox=${js(publishedBbox)},
+        selection=${js(selection)}, drawCss=${js(LEAFLET_DRAW.css)},
+        drawJs=${js(LEAFLET_DRAW.js)};
 
   /* dynamic loaders */
   function hasCss(h){return !!document.querySelector('link[href="'+h+'"]');}
@@ -505,13 +1456,43 @@ ${createBtn}
   const PALETTE=['red','blue','green','orange','purple','darkred','cadetblue',
                  'darkgreen','darkblue','darkpurple'];
   const grpColour={};
+  function colourFor(g){
+    if(!(g in grpColour)){
+      grpColour[g]=PALETTE[Object.keys(grpColour).length%PALETTE.length];
+    }
+    return grpColour[g];
+  }
+
+  /* choropleth: value ➜ class colour (classes were computed server-side) */
+  function choroColour(v){
+    if(v===null||v===undefined||v==='') return choro.other;
+    if(choro.categorical){
+      const c=choro.classes.find(c=>c.value===String(v));
+      return c?c.colour:choro.other;
+    }
+    const n=Number(v);
+    if(!Number.isFinite(n)||!choro.classes.length) return choro.other;
+    for(const c of choro.classes){ if(n<=c.max) return c.colour; }
+    return choro.classes[choro.classes.length-1].colour;
+  }
+  function choroStyle(f){
+    return { ...choro.stroke, fillColor:choroColour(f.properties?.[choro.field]),
+             fillOpacity:choro.fillOpacity };
+  }
 
   (async()=>{
     await loadCss(css); await loadJs(jsSrc);
-    if(tplSrc||iconTplSrc) await loadJs(hbSrc);
+    if(tplSrc||iconTplSrc||extraLayers.some(x=>x.popup)) await loadJs(hbSrc);
     if(provEnabled) await loadJs(providersSrc);
     if(gestureEnabled) await loadJs(gestureSrc);
     if(locateEnabled){ await loadCss(locateCss); await loadJs(locateJs); }
+    if(clusterEnabled){
+      await loadCss(clusterCss); await loadCss(clusterCssDefault);
+      await loadJs(clusterJs);
+    }
+    if(heatEnabled) await loadJs(heatJs);
+    if(switcher){ await loadCss(panelCss); await loadJs(panelJs); }
+    if(publish&&publish.mode==='selection'){ await loadCss(drawCss); await loadJs(drawJs); }
 
     const popupFn = window.Handlebars&&tplSrc ? Handlebars.compile(tplSrc) : null;
     const iconFn  = window.Handlebars&&iconTplSrc ? Handlebars.compile(iconTplSrc) : null;
@@ -548,11 +1529,7 @@ ${createBtn}
       }
 
       if(grp){
-        const g=f.properties?.[grp];
-        if(!(g in grpColour)){
-          grpColour[g]=PALETTE[Object.keys(grpColour).length%PALETTE.length];
-        }
-        const col=grpColour[g];
+        const col=colourFor(f.properties?.[grp]);
         return L.marker(latlng,{
           icon:L.divIcon({className:'',html:
             '<i class="fas fa-map-marker-alt" style="color:'+col+';font-size:1.5rem;"></i>',
@@ -562,16 +1539,50 @@ ${createBtn}
       return L.marker(latlng);
     }
 
+    /* cluster bubble tinted by the most common group among its markers */
+    function clusterIcon(c){
+      const counts={}; let best, max=0;
+      for(const m of c.getAllChildMarkers()){
+        if(m.__grp===undefined) continue;
+        counts[m.__grp]=(counts[m.__grp]||0)+1;
+        if(counts[m.__grp]>max){ max=counts[m.__grp]; best=m.__grp; }
+      }
+      const n=c.getChildCount();
+      const size=n<10?'small':n<100?'medium':'large';
+      const col=best!==undefined?colourFor(best):'';
+      return L.divIcon({
+        className:'marker-cluster marker-cluster-'+size,
+        iconSize:L.point(40,40),
+        html:'<div'+(col?' style="background:'+col+';color:#fff;opacity:.85"':'')+
+             '><span>'+n+'</span></div>'
+      });
+    }
+
+    /* hover / touch pop-up */
+    function attachPopup(l,pop){
+      const show=e=>{
+        const ll=e?.latlng||(l.getBounds?.().getCenter?.());
+        if(!ll) return;
+        l.__p=L.popup({closeButton:false,autoClose:true})
+               .setLatLng(ll).setContent(pop).openOn(map);
+      };
+      const hide=()=>{ if(l.__p){ map.closePopup(l.__p); l.__p=null; } };
+      l.on('mouseover',show).on('mouseout',hide)
+       .on('touchstart',show).on('touchend touchcancel',hide);
+    }
+
     /* main layer */
-    const layer=L.geoJSON(geo,{
-      pointToLayer:(f,latlng)=>makeMarker(f,latlng),
+    const layerOpts={
+      pointToLayer:(f,latlng)=>{
+        if(choro&&!iconFn) return L.circleMarker(latlng,{radius:7,...choroStyle(f)});
+        const m=makeMarker(f,latlng);
+        if(grp) m.__grp=f.properties?.[grp];
+        return m;
+      },
       style:(f)=>{
+        if(choro) return choroStyle(f);
         if(iconFn||!grp) return {};
-        const g=f.properties?.[grp];
-        if(!(g in grpColour)){
-          grpColour[g]=PALETTE[Object.keys(grpColour).length%PALETTE.length];
-        }
-        return { color:grpColour[g] };
+        return { color:colourFor(f.properties?.[grp]) };
       },
       onEachFeature:(f,l)=>{
         let pop='';
@@ -580,25 +1591,233 @@ ${createBtn}
         }else if(lbl && f.properties?.[lbl]!==undefined){
           pop=String(f.properties[lbl]);
         }
-        if(pop){
-          const show=e=>{
-            const ll=e?.latlng||(l.getBounds?.().getCenter?.());
-            if(!ll) return;
-            l.__p=L.popup({closeButton:false,autoClose:true})
-                   .setLatLng(ll).setContent(pop).openOn(map);
-          };
-          const hide=()=>{ if(l.__p){ map.closePopup(l.__p); l.__p=null; } };
-          l.on('mouseover',show).on('mouseout',hide)
-           .on('touchstart',show).on('touchend touchcancel',hide);
-        }
+        if(pop) attachPopup(l,pop);
 
         if(navView && f.properties?.__id){
           l.on('click',()=>{ location.href='/view/'+navView+'?id='+f.properties.__id; });
         }
       }
-    }).addTo(map);
+    };
+    const layer=L.geoJSON(null,layerOpts);
+
+    /* points → cluster group, everything else stays on the GeoJSON layer */
+    const cluster=clusterEnabled && L.markerClusterGroup
+      ? L.markerClusterGroup({
+        ...clusterOpts,
+        ...(grp&&clusterGroupColour&&!iconFn ? { iconCreateFunction:clusterIcon } : {})
+      })
+      : null;
+    /* heatmap: every feature becomes one weighted point (or several) */
+    const heat=heatEnabled && L.heatLayer ? L.heatLayer([],heatCfg.options) : null;
+    const heatPts=[];
+    let heatMax=0;
+    function addHeat(fc){
+      for(const f of fc.features||[]){
+        const g=f.geometry; if(!g) continue;
+        let w=1;
+        if(heatCfg.weight){
+          w=Number(f.properties?.[heatCfg.weight]);
+          if(!Number.isFinite(w)) continue;
+        }
+        const pts=g.type==='Point'?[g.coordinates]
+          :g.type==='MultiPoint'?g.coordinates
+          :(()=>{ const c=L.geoJSON(g).getBounds().getCenter(); return [[c.lng,c.lat]]; })();
+        for(const p of pts){ heatPts.push([p[1],p[0],w]); }
+        heatMax=Math.max(heatMax,w);
+      }
+      heat.setOptions({max:heatMax||1});
+      heat.setLatLngs(heatPts);
+    }
 
-    if(layer.getLayers().length) map.fitBounds(layer.getBounds(),{maxZoom:14});
+    function addData(fc){
+      if(heat){ addHeat(fc); return; }
+      const pts=[];
+      L.geoJSON(fc,layerOpts).eachLayer(l=>{
+        if(cluster && l instanceof L.Marker) pts.push(l); else layer.addLayer(l);
+      });
+      if(pts.length) cluster.addLayers(pts);
+    }
+    addData(geo);
+    const mainGroup=L.layerGroup().addTo(map);
+    if(heat) mainGroup.addLayer(heat);
+    else if(cluster) mainGroup.addLayer(cluster);
+    mainGroup.addLayer(layer);
+
+    /* extra layers from other tables */
+    const extras=extraLayers.map(x=>{
+      const fn=window.Handlebars&&x.popup ? Handlebars.compile(x.popup) : null;
+      const l=L.geoJSON({type:'FeatureCollection',features:x.features},{
+        style:()=>x.style,
+        pointToLayer:(f,latlng)=>L.circleMarker(latlng,{radius:6,...x.style,
+          fillColor:x.style.color,fillOpacity:Math.max(x.style.fillOpacity,.6)}),
+        onEachFeature:(f,fl)=>{
+          if(!fn) return;
+          let pop='';
+          try{ pop=fn(f.properties); }catch(e){ if(DBG)console.warn(e); }
+          if(pop) attachPopup(fl,pop);
+        }
+      });
+      if(x.visible) l.addTo(map);
+      return {def:x,layer:l};
+    });
+
+    const bounds=heat
+      ? L.latLngBounds(heatPts.map(p=>[p[0],p[1]]))
+      : layer.getLayers().length?layer.getBounds():L.latLngBounds([]);
+    if(cluster&&cluster.getLayers().length) bounds.extend(cluster.getBounds());
+    for(const x of extras){
+      if(x.def.visible&&x.layer.getLayers().length) bounds.extend(x.layer.getBounds());
+    }
+    if(publishedBbox){
+      map.fitBounds([[publishedBbox[1],publishedBbox[0]],[publishedBbox[3],publishedBbox[2]]]);
+    }
+    else if(bounds.isValid()) map.fitBounds(bounds,{maxZoom:14});
+    else if(initialBounds){
+      map.fitBounds([[initialBounds[1],initialBounds[0]],[initialBounds[3],initialBounds[2]]]);
+    }
+
+    /* ───── lazy loading: debounced, per-tile cache ───── */
+    if(lazy){
+      const seen=new Set(), doneTiles=new Set();
+      let timer=null;
+      const lon2x=(lon,n)=>Math.floor((lon+180)/360*n);
+      const lat2y=(lat,n)=>{
+        const r=Math.max(-85.0511,Math.min(85.0511,lat))*Math.PI/180;
+        return Math.floor((1-Math.log(Math.tan(r)+1/Math.cos(r))/Math.PI)/2*n);
+      };
+      const x2lon=(x,n)=>x/n*360-180;
+      const y2lat=(y,n)=>Math.atan(Math.sinh(Math.PI*(1-2*y/n)))*180/Math.PI;
+      /* a finished ancestor tile covers all of its children */
+      function covered(z,x,y){
+        for(let k=z;k>=0;k--){
+          if(doneTiles.has(k+'/'+(x>>(z-k))+'/'+(y>>(z-k)))) return true;
+        }
+        return false;
+      }
+      async function refresh(){
+        const z=Math.max(0,Math.min(18,Math.floor(map.getZoom())));
+        if(z<lazy.minZoom) return;
+        const n=2**z, b=map.getBounds();
+        const x0=Math.max(0,lon2x(b.getWest(),n)), x1=Math.min(n-1,lon2x(b.getEast(),n));
+        const y0=Math.max(0,lat2y(b.getNorth(),n)), y1=Math.min(n-1,lat2y(b.getSouth(),n));
+        const missing=[];
+        let mx0=Infinity,mx1=-Infinity,my0=Infinity,my1=-Infinity;
+        for(let x=x0;x<=x1;x++) for(let y=y0;y<=y1;y++){
+          if(covered(z,x,y)) continue;
+          missing.push(z+'/'+x+'/'+y);
+          mx0=Math.min(mx0,x); mx1=Math.max(mx1,x); my0=Math.min(my0,y); my1=Math.max(my1,y);
+        }
+        if(!missing.length) return;
+        const bbox=[x2lon(mx0,n),y2lat(my1+1,n),x2lon(mx1+1,n),y2lat(my0,n)];
+        try{
+          const res=await fetch(lazy.url,{
+            method:'POST',
+            headers:{'Content-Type':'application/json','CSRF-Token':window._sc_globalCsrf||''},
+            body:JSON.stringify({bbox,zoom:z,state:lazy.state})
+          });
+          const fc=await res.json();
+          const fresh=(fc.features||[]).filter(f=>{
+            const id=f.properties?.__id;
+            if(id===undefined||id===null) return true;
+            if(seen.has(id)) return false;
+            seen.add(id); return true;
+          });
+          if(fresh.length) addData({type:'FeatureCollection',features:fresh});
+          /* truncated answers are not cached – zooming in fetches the rest */
+          if(fc.complete) missing.forEach(k=>doneTiles.add(k));
+        }catch(e){ if(DBG)console.error('Feature fetch failed',e); }
+      }
+      map.on('moveend',()=>{ clearTimeout(timer); timer=setTimeout(refresh,250); });
+      refresh();
+    }
+
+    /* ───── publish viewport / selection as page state ───── */
+    if(publish){
+      const stateKey=publish.key+'['+publish.op+']';
+      /* debounced; Saltcorn's set_state_fields (pjax) where the page has it */
+      let pt=null;
+      const go=v=>{
+        clearTimeout(pt);
+        pt=setTimeout(()=>{
+          const u=new URL(location.href);
+          if((u.searchParams.get(stateKey)??null)===v) return;
+          if(typeof set_state_fields==='function'){
+            set_state_fields({[stateKey]:v===null?{unset:true}:v});
+            return;
+          }
+          if(v===null) u.searchParams.delete(stateKey); else u.searchParams.set(stateKey,v);
+          location.assign(u.toString());
+        },600);
+      };
+      const r=n=>+n.toFixed(6);
+      if(publish.mode==='viewport'){
+        /* attach after the initial fit so only user moves publish */
+        setTimeout(()=>map.on('moveend',()=>{
+          const b=map.getBounds();
+          go([b.getWest(),b.getSouth(),b.getEast(),b.getNorth()].map(r).join(','));
+        }),0);
+      }else if(L.Control.Draw){
+        const drawn=new L.FeatureGroup().addTo(map);
+        if(selection){
+          L.geoJSON(selection,{style:{color:'#ff7800',weight:2,fillOpacity:.05}})
+            .eachLayer(l=>drawn.addLayer(l));
+        }
+        map.addControl(new L.Control.Draw({
+          edit:{featureGroup:drawn,edit:false},
+          draw:{polygon:true,rectangle:true,polyline:false,circle:false,
+                marker:false,circlemarker:false}
+        }));
+        const ring=ll=>{
+          const pts=ll.map(p=>r(p.lng)+' '+r(p.lat)); pts.push(pts[0]);
+          return '('+pts.join(',')+')';
+        };
+        map.on(L.Draw.Event.CREATED,e=>{
+          go('POLYGON('+e.layer.getLatLngs().map(ring).join(',')+')');
+        });
+        map.on(L.Draw.Event.DELETED,()=>{ if(!drawn.getLayers().length) go(null); });
+      }
+    }
+
+    /* ───── layer switcher ───── */
+    if(switcher){
+      const esc=t=>String(t).replace(/[&<>"']/g,c=>'&#'+c.charCodeAt(0)+';');
+      const overlays=[{name:esc(switcher.mainName),layer:mainGroup,active:true},
+        ...extras.map(x=>({name:esc(x.def.name),layer:x.layer,active:x.def.visible}))];
+      try{
+        if(L.control.panelLayers){
+          L.control.panelLayers(null,overlays,
+            {position:switcher.position,compact:true,collapsed:overlays.length>4}).addTo(map);
+        }else{
+          const o={}; overlays.forEach(x=>{ o[x.name]=x.layer; });
+          L.control.layers(null,o,{position:switcher.position,collapsed:false}).addTo(map);
+        }
+      }catch(e){ if(DBG)console.error('Layer switcher failed',e); }
+    }
+
+    /* ───── choropleth legend ───── */
+    if(choro&&choro.legend&&choro.classes.length){
+      const legend=L.control({position:choro.legendPosition});
+      legend.onAdd=()=>{
+        const div=L.DomUtil.create('div','leaflet-control choropleth-legend');
+        div.style.cssText='background:rgba(255,255,255,.9);padding:6px 8px;'+
+          'border-radius:4px;box-shadow:0 1px 4px rgba(0,0,0,.3);font-size:.8rem;line-height:1.4;';
+        const title=L.DomUtil.create('div','',div);
+        title.style.fontWeight='bold';
+        title.textContent=choro.legendTitle;
+        const rows=choro.classes.map(c=>[c.colour,c.label]);
+        if(choro.showOther) rows.push([choro.other,'Other']);
+        for(const [colour,label] of rows){
+          const row=L.DomUtil.create('div','',div);
+          const sw=L.DomUtil.create('span','',row);
+          sw.style.cssText='display:inline-block;width:14px;height:14px;margin-right:6px;'+
+            'vertical-align:middle;border:1px solid rgba(0,0,0,.2);opacity:'+
+            Math.max(choro.fillOpacity,.3)+';background:'+colour;
+          row.appendChild(document.createTextNode(label));
+        }
+        return div;
+      };
+      legend.addTo(map);
+    }
 
     /* ───── locate control ───── */
     if(locateEnabled && L.control && L.control.locate){
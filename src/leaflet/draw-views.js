@@ -1,11 +1,15 @@
 /**
  * draw-views.js
- * Full create / edit / delete Leaflet‑Draw support for Point, Polygon and
- * arbitrary Geometry fields. Originally in a stand‑alone file; now integrated
- * into the new modular structure.
+ * Full create / edit / delete Leaflet‑Draw support for Point, LineString,
+ * Polygon and arbitrary Geometry fields. Originally in a stand‑alone file; now
+ * integrated into the new modular structure.
  *
  * Author:       Troy Kelly <troy@team.production.city>
  * First‑created: 2025‑04‑18
+ * This revision: Registered as the `leaflet_draw` field‑view from
+ *                `type-factory.js`; gains the provider / gesture / locate
+ *                configuration surface, SRID re‑projection and emits a single
+ *                EWKT value (Multi* / GeometryCollection when needed).
  * Licence:      CC0‑1.0  (see LICENCE)
  */
 
@@ -13,169 +17,295 @@
 
 /* eslint-disable max-len, camelcase */
 
-const { div, script, domReady, text: esc } = require('@saltcorn/markup/tags');
-const { LEAFLET } = require('../constants');
+const { text: esc } = require('@saltcorn/markup/tags');
+const {
+  DEFAULT_CENTER,
+  DEFAULT_SRID,
+  LEAFLET,
+  LEAFLET_PROVIDERS,
+  LEAFLET_GESTURE,
+  LEAFLET_LOCATE,
+  LEAFLET_DRAW,
+} = require('../constants');
+const { toWkt } = require('../utils/geometry');
+const { toDisplayGeoJSON, editorSrid } = require('../utils/reproject');
+const {
+  mapConfigFields,
+  resolveMapConfig,
+  leafletAddonOptions,
+} = require('./map-config');
+const dbg = require('../utils/debug');
+
+/** Global Wellknown CDN. */
+const WELLKNOWN_JS = 'https://unpkg.com/wellknown@0.5.0/wellknown.js';
+
+/** Config fields – identical surface to the `edit` map editor. */
+const CONFIG_FIELDS = mapConfigFields(300);
 
 /**
- * Leaflet‑Draw CDN assets.
+ * Which Leaflet‑Draw kind to offer for each PostGIS type name.  Multi*
+ * types get their member's tools; the shapes drawn are combined into the
+ * Multi* value on save.  Types absent from the map (curves, TIN, …) get no
+ * draw editor.
  *
- * @type {{css:string,js:string,header:string}}
+ * @type {Readonly<Record<string, 'point'|'linestring'|'polygon'|'geometry'>>}
  */
-const LEAFLET_DRAW = Object.freeze({
-  css: 'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css',
-  js:  'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js',
-  get header() {
-    return (
-      `<link rel="stylesheet" href="${this.css}"/>\n` +
-      `<script defer src="${this.js}"></script>`
-    );
-  },
+const DRAW_KINDS = Object.freeze({
+  point:              'point',
+  linestring:         'linestring',
+  polygon:            'polygon',
+  geometry:           'geometry',
+  geography:          'geometry',
+  geometrycollection: 'geometry',
+  multipoint:         'point',
+  multilinestring:    'linestring',
+  multipolygon:       'polygon',
 });
 
-/** Global Wellknown CDN. */
-const WELLKNOWN_JS =
-  '<script defer src="https://unpkg.com/wellknown@0.5.0/wellknown.js"></script>';
-
 /**
- * Combined CDN header (Leaflet + Draw + Wellknown).
+ * JSON → safe inline JS literal (single-escape <).
+ *
+ * @param {unknown} v
  * @returns {string}
  */
-function leafletDrawHeader() {
-  return LEAFLET.header + LEAFLET_DRAW.header + WELLKNOWN_JS;
+function js(v) {
+  return JSON.stringify(v === undefined ? null : v).replace(/</g, '\\u003c');
+}
+
+/**
+ * Z of the first vertex of a WKT / EWKT value – the seed for the altitude
+ * input – or `undefined` when the value has no Z.
+ *
+ * @param {string} wkt
+ * @returns {number|undefined}
+ */
+function firstZ(wkt) {
+  const head = /^(?:SRID=\d+;)?\s*[A-Z]+\s*(ZM|Z|M)?\s*\(/iu.exec(wkt || '');
+  if (!head || /^m$/iu.test(head[1] || '')) return undefined;
+  const tuple = /\(\s*(-?[\d.]+(?:e[-+]?\d+)?(?:\s+-?[\d.]+(?:e[-+]?\d+)?)+)\s*[,)]/iu.exec(wkt);
+  const z = tuple ? Number(tuple[1].split(/\s+/u)[2]) : NaN;
+  return Number.isFinite(z) ? z : undefined;
+}
+
+/**
+ * Leaflet‑Draw toolbar options for the given kind.
+ *
+ * @param {'point'|'linestring'|'polygon'|'geometry'} kind
+ * @returns {Record<string, boolean>}
+ */
+function drawTools(kind) {
+  const none = {
+    marker: false, polygon: false, polyline: false,
+    rectangle: false, circle: false, circlemarker: false,
+  };
+  switch (kind) {
+    case 'point':      return { ...none, marker: true };
+    case 'linestring': return { ...none, polyline: true };
+    case 'polygon':    return { ...none, polygon: true, rectangle: true };
+    default:           return { ...none, marker: true, polyline: true, polygon: true, rectangle: true };
+  }
 }
 
 /**
  * Factory that returns a Leaflet‑Draw field‑view for the given geometry kind.
  *
- * @param {'point'|'polygon'|'geometry'} kind
+ * @param {'point'|'linestring'|'polygon'|'geometry'} kind
+ * @param {string} typeName  Lower‑case PostGIS type (drives Multi* output).
  * @returns {import('@saltcorn/types/base_plugin').FieldView}
  */
-function makeDrawFieldView(kind) {
+function makeDrawFieldView(kind, typeName = kind) {
   return {
+    name: 'leaflet_draw',
     isEdit: true,
     blockDisplay: true,
-    description: `Leaflet‑draw editor for ${kind}`,
+    description:
+      `Leaflet‑draw editor for ${kind} with configurable provider, gesture ` +
+      'and locate controls.',
+    configFields: CONFIG_FIELDS,
 
     /* Saltcorn calls this to render the HTML. */
     run(nm, value, attrs = {}, cls) {
+      dbg.debug('leaflet_draw.run() invoked', { kind });
+
+      const cfg = { ...attrs, ...resolveMapConfig(arguments) };
+      const addons = leafletAddonOptions(cfg);
+
       const id = `ld${Math.random().toString(36).slice(2)}`;
+      const canonical = toWkt(value) || '';
+      const colSrid = Number(cfg.srid) || DEFAULT_SRID;
+      const outSrid = editorSrid(colSrid);
+      const initGeo = canonical ? toDisplayGeoJSON(canonical, colSrid) : null;
+      const expect = String(cfg.subtype || typeName).toLowerCase();
+      const mapHeight = Number(cfg.map_height) || 300;
 
       /* 3‑D altitude helper if dim contains Z */
-      const needZ = String(attrs.dim || '').toUpperCase().includes('Z');
+      const needZ = String(cfg.dim || '').toUpperCase().includes('Z');
       const zId = `z${id}`;
       const zInput = needZ
         ? `<div class="mb-1"><label for="${zId}" class="form-label">Z&nbsp;(altitude)</label>` +
-          `<input id="${zId}" type="number" step="any" class="form-control" value="0"/>` +
+          `<input id="${zId}" type="number" step="any" class="form-control" ` +
+          `value="${firstZ(canonical) ?? 0}"/>` +
           '</div>'
         : '';
 
-      /* ---------- HTML to send back ---------- */
-      const header = leafletDrawHeader();
-
-      const js = `
+      return `
+<div class="${cls || ''}">
+  ${zInput}
+  <div id="${id}" class="border rounded" style="height:${mapHeight}px;"></div>
+  <input type="hidden" id="inp${id}" name="${esc(nm)}" value="${esc(canonical)}">
+</div>
+<script>
 (function(){
-  /* Helper: convert drawn layer → WKT */
-  function layerToWkt(layer, wantZ, zVal) {
-    const gj = layer.toGeoJSON();
-    if (wantZ) {
-      (function addZ(c) {
-        if (typeof c[0] === 'number') { if (c.length === 2) c.push(zVal); }
-        else c.forEach(addZ);
-      })(gj.geometry?.coordinates ?? gj.coordinates ?? gj);
+  const CFG={
+    mapId:${js(id)}, inputId:${js(`inp${id}`)}, zId:${js(needZ ? zId : null)},
+    tools:${js(drawTools(kind))}, expect:${js(expect)}, srid:${outSrid},
+    initGeo:${js(initGeo)},
+    providerEnabled:${js(addons.providerEnabled)}, providerName:${js(addons.providerName)},
+    providerOpts:${js(addons.providerOpts)},
+    gestureEnabled:${js(addons.gestureEnabled)},
+    locateEnabled:${js(addons.locateEnabled)}, locateOpts:${js(addons.locateOpts)},
+    center:{lat:${DEFAULT_CENTER.lat}, lng:${DEFAULT_CENTER.lng}, zoom:${DEFAULT_CENTER.zoom}},
+    assets:{
+      leaflet:{css:${js(LEAFLET.css)}, js:${js(LEAFLET.js)}},
+      draw:{css:${js(LEAFLET_DRAW.css)}, js:${js(LEAFLET_DRAW.js)}},
+      wk:${js(WELLKNOWN_JS)},
+      provider:${js(LEAFLET_PROVIDERS.js)},
+      gesture:${js(LEAFLET_GESTURE.js)},
+      locate:{css:${js(LEAFLET_LOCATE.css)}, js:${js(LEAFLET_LOCATE.js)}},
     }
-    return window.wellknown.stringify(gj);
-  }
+  };
 
-  const map = L.map("${id}");
-  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png')
-    .addTo(map);
-
-  const drawn = new L.FeatureGroup().addTo(map);
-  const drawCtl = new L.Control.Draw(${JSON.stringify({
-        draw:
-          kind === 'point'
-            ? { marker: true, polygon: false, polyline: false, rectangle: false, circle: false, circlemarker: false }
-            : kind === 'polygon'
-              ? { marker: false, polygon: true, polyline: false, rectangle: false, circle: false, circlemarker: false }
-              : { polygon: true, polyline: true, rectangle: true, circle: false, circlemarker: false, marker: true },
-        edit: { featureGroup: 'PLACEHOLDER' },
-      }).replace('"PLACEHOLDER"', 'drawn')}).addTo(map);
-
-  const hidden = document.getElementById("inp${id}");
-  function refreshHidden(){
-    const out = [];
-    drawn.eachLayer(l => out.push(
-      layerToWkt(l, ${needZ}, parseFloat(document.getElementById("${zId}")?.value || 0))
-    ));
-    hidden.value = out.join(';');
-  }
+  function hasCss(h){return !!document.querySelector('link[href="'+h+'"]');}
+  function hasJs(s){ return !!(document._loadedScripts&&document._loadedScripts[s]);}
+  function loadCss(h){return new Promise(r=>{if(hasCss(h))return r();
+    const l=document.createElement('link');l.rel='stylesheet';l.href=h;l.onload=r;
+    document.head.appendChild(l);});}
+  function loadJs(s){return new Promise(r=>{if(hasJs(s))return r();
+    const sc=document.createElement('script');sc.src=s;sc.async=true;sc.onload=function(){
+      document._loadedScripts=document._loadedScripts||{};document._loadedScripts[s]=true;r();};
+    document.head.appendChild(sc);});}
 
-  map.on(L.Draw.Event.CREATED, e => { drawn.addLayer(e.layer); refreshHidden(); });
-  map.on(L.Draw.Event.EDITED, refreshHidden);
-  map.on(L.Draw.Event.DELETED, refreshHidden);
-
-  /* Load existing value */
-  (function loadInitial(){
-    const init = ${JSON.stringify(value || '')};
-    if (!init) return;
-    init.split(';').forEach(w => {
-      try {
-        const gj = window.wellknown.parse(w);
-        const lyr = L.geoJSON(gj).getLayers()[0];
-        drawn.addLayer(lyr);
-      } catch{}
-    });
-    if (drawn.getLayers().length)
-      map.fitBounds(drawn.getBounds());
+  (async function(){
+    await loadCss(CFG.assets.leaflet.css); await loadCss(CFG.assets.draw.css);
+    await loadJs(CFG.assets.leaflet.js);   await loadJs(CFG.assets.draw.js);
+    await loadJs(CFG.assets.wk);
+
+    if(CFG.providerEnabled) await loadJs(CFG.assets.provider);
+    if(CFG.gestureEnabled)  await loadJs(CFG.assets.gesture);
+    if(CFG.locateEnabled){ await loadCss(CFG.assets.locate.css); await loadJs(CFG.assets.locate.js); }
+
+    init();
   })();
 
-  /* Default centre = Sydney if still empty */
-  if (!drawn.getLayers().length) map.setView([-33.8688, 151.2093], 11);
-
-  /* Grey‑box fix: invalidate size when control becomes visible */
-  const obs = new ResizeObserver(() => map.invalidateSize());
-  obs.observe(document.getElementById("${id}"));
-})();`;
-
-      return (
-        header +
-        `<div class="${cls || ''}">` +
-        zInput +
-        div({ id, style: 'height:300px' }) +
-        `</div>` +
-        `<input type="hidden" id="inp${id}" name="${esc(nm)}" value="${esc(value || '')}">` +
-        script(domReady(js))
-      );
+  function init(){
+    const el=document.getElementById(CFG.mapId);
+    const hidden=document.getElementById(CFG.inputId);
+    if(!el||!hidden||!window.L||!window.L.Draw) return;
+
+    const map=L.map(el, CFG.gestureEnabled?{gestureHandling:true}:{})
+               .setView([CFG.center.lat,CFG.center.lng],CFG.center.zoom);
+
+    let base;
+    if(CFG.providerEnabled && L.tileLayer.provider && CFG.providerName){
+      try{ base=L.tileLayer.provider(CFG.providerName,CFG.providerOpts).addTo(map); }
+      catch(e){ console.warn('Provider error',e); }
+    }
+    if(!base){
+      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',{
+        attribution:'&copy; OpenStreetMap contributors'
+      }).addTo(map);
+    }
+
+    const drawn=new L.FeatureGroup().addTo(map);
+    if(CFG.initGeo){
+      L.geoJSON(CFG.initGeo).eachLayer(l=>drawn.addLayer(l));
+      if(drawn.getLayers().length) map.fitBounds(drawn.getBounds(),{maxZoom:14});
+    }
+
+    map.addControl(new L.Control.Draw({ draw:CFG.tools, edit:{ featureGroup:drawn } }));
+
+    /* Optional constant Z for every vertex */
+    function addZ(c,z){
+      if(typeof c[0]==='number'){ if(c.length===2)c.push(z);else c[2]=z; return c; }
+      return c.map(x=>addZ(x,z));
+    }
+    function withZ(g){
+      if(!CFG.zId) return g;
+      const z=parseFloat(document.getElementById(CFG.zId)?.value||'0');
+      const out=JSON.parse(JSON.stringify(g)); out.coordinates=addZ(out.coordinates,z);
+      return out;
+    }
+
+    /* Layers → single EWKT */
+    function serialise(){
+      const geoms=drawn.toGeoJSON().features.map(f=>withZ(f.geometry));
+      if(!geoms.length) return '';
+      const multi={multipoint:'MultiPoint',multilinestring:'MultiLineString',multipolygon:'MultiPolygon'}[CFG.expect];
+      let wkt;
+      if(multi){
+        wkt=window.wellknown.stringify({type:multi,coordinates:geoms.map(g=>g.coordinates)});
+      }else if(geoms.length===1 && CFG.expect!=='geometrycollection'){
+        wkt=window.wellknown.stringify(geoms[0]);
+      }else{
+        wkt=window.wellknown.stringify({type:'GeometryCollection',geometries:geoms});
+      }
+      return 'SRID='+CFG.srid+';'+wkt;
+    }
+    function refreshHidden(){ hidden.value=serialise(); }
+
+    map.on(L.Draw.Event.CREATED, e=>{
+      /* Single-geometry kinds keep only the newest shape */
+      if(CFG.expect==='point'||CFG.expect==='linestring'||CFG.expect==='polygon') drawn.clearLayers();
+      drawn.addLayer(e.layer); refreshHidden();
+    });
+    map.on(L.Draw.Event.EDITED,  refreshHidden);
+    map.on(L.Draw.Event.DELETED, refreshHidden);
+    if(CFG.zId){
+      const zEl=document.getElementById(CFG.zId);
+      if(zEl) zEl.addEventListener('change', refreshHidden);
+    }
+
+    if(CFG.locateEnabled && L.control && L.control.locate){
+      try{ L.control.locate(CFG.locateOpts).addTo(map); }
+      catch(e){ console.error('Locate error',e); }
+    }
+
+    /* Grey‑box fix: invalidate size when control becomes visible */
+    if(window.ResizeObserver){
+      new ResizeObserver(()=>map.invalidateSize()).observe(el);
+    }
+  }
+})();
+</script>`;
     },
   };
 }
 
+/**
+ * Leaflet‑Draw field‑view for a single PostGIS type, or `undefined` when the
+ * type has no sensible draw tools (curves, TIN, …).
+ *
+ * @param {string} typeName
+ * @returns {import('@saltcorn/types/base_plugin').FieldView|undefined}
+ */
+function drawFieldViewFor(typeName) {
+  const kind = DRAW_KINDS[typeName];
+  return kind ? makeDrawFieldView(kind, typeName) : undefined;
+}
+
 /**
  * Hooks Leaflet‑Draw field‑views into the supplied PostGIS types array.
+ * Kept for callers that assembled their own type list; the catalogue now
+ * wires the view directly in `makeType()`.
  *
  * @param {Array<import('@saltcorn/types/base_plugin').Type>} types
  * @returns {void}
  */
 function registerLeafletDrawFieldViews(types) {
   for (const t of types) {
-    switch (t.name) {
-      case 'point':
-        t.fieldviews.leaflet_draw = makeDrawFieldView('point');
-        break;
-      case 'polygon':
-        t.fieldviews.leaflet_draw = makeDrawFieldView('polygon');
-        break;
-      case 'geometry':
-      case 'geography':
-      case 'geometrycollection':
-      case 'multipoint':
-      case 'multilinestring':
-      case 'multipolygon':
-        t.fieldviews.leaflet_draw = makeDrawFieldView('geometry');
-        break;
-      /* others deliberately skipped */
-    }
+    const fv = drawFieldViewFor(t.name);
+    if (fv) t.fieldviews.leaflet_draw = fv;
   }
 }
 
-module.exports = { registerLeafletDrawFieldViews };
\ No newline at end of file
+module.exports = { drawFieldViewFor, registerLeafletDrawFieldViews };
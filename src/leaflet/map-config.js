@@ -0,0 +1,169 @@
+/**
+ * map-config.js
+ * -----------------------------------------------------------------------------
+ * Per-instance Leaflet configuration surface (basemap provider, gesture
+ * handling, “locate me”) shared by the field-views that were added after the
+ * original edit / show pair.  Mirrors the `CONFIG_FIELDS` blocks found in
+ * `map-edit-view.js` and `show-view.js` field-for-field so builders see the
+ * same options whichever editor they pick.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const { PROVIDERS } = require('../constants');
+
+/**
+ * Build the config-field list with a view-specific default map height.
+ *
+ * @param {number} defaultHeight
+ * @returns {import('@saltcorn/types').TypeAttribute[]}
+ */
+function mapConfigFields(defaultHeight) {
+  return [
+    {
+      name: 'map_height',
+      label: 'Map height (px)',
+      type: 'Integer',
+      default: defaultHeight,
+      attributes: { min: 100 },
+    },
+    {
+      name: 'tile_provider_enabled',
+      label: 'Enable Leaflet-providers basemap',
+      type: 'Bool',
+      default: false,
+    },
+    {
+      name: 'tile_provider_name',
+      label: 'Provider key',
+      type: 'String',
+      showIf: { tile_provider_enabled: true },
+      attributes: { options: PROVIDERS },
+    },
+    {
+      name: 'tile_provider_options',
+      label: 'Provider options (JSON)',
+      sublabel: 'Raw JSON passed to the provider – e.g. {"apikey":"…"}',
+      type: 'String',
+      fieldview: 'textarea',
+      attributes: { rows: 3 },
+      showIf: { tile_provider_enabled: true },
+    },
+    {
+      name: 'gesture_handling_enabled',
+      label: 'Enable touch gesture handling',
+      type: 'Bool',
+      default: false,
+    },
+    {
+      name: 'locate_enabled',
+      label: 'Enable “Locate me” control',
+      type: 'Bool',
+      default: false,
+    },
+    {
+      name: 'locate_position',
+      label: 'Locate control position',
+      type: 'String',
+      default: 'topleft',
+      showIf: { locate_enabled: true },
+      attributes: {
+        options: ['topleft', 'topright', 'bottomleft', 'bottomright'],
+      },
+    },
+    {
+      name: 'locate_follow',
+      label: 'Auto-follow user position',
+      type: 'Bool',
+      default: true,
+      showIf: { locate_enabled: true },
+    },
+    {
+      name: 'locate_keep_zoom',
+      label: 'Keep current zoom level',
+      type: 'Bool',
+      default: false,
+      showIf: { locate_enabled: true },
+    },
+    {
+      name: 'locate_fly_to',
+      label: 'Smooth fly-to animation',
+      type: 'Bool',
+      default: false,
+      showIf: { locate_enabled: true },
+    },
+    {
+      name: 'locate_show_compass',
+      label: 'Show compass bearing',
+      type: 'Bool',
+      default: true,
+      showIf: { locate_enabled: true },
+    },
+  ];
+}
+
+/**
+ * Extract per-instance view configuration from Saltcorn’s variadic `run()`
+ * arguments.
+ *
+ * @param {ArrayLike<unknown>} args
+ * @returns {Record<string, unknown>}
+ */
+function resolveMapConfig(args) {
+  for (const a of Array.from(args)) {
+    if (
+      a &&
+      typeof a === 'object' &&
+      ('tile_provider_enabled' in a ||
+        'gesture_handling_enabled' in a ||
+        'locate_enabled' in a ||
+        'map_height' in a)
+    ) {
+      return /** @type {Record<string, unknown>} */ (a);
+    }
+  }
+  return {};
+}
+
+/**
+ * Turn a merged config object into the flags the browser bootstrap expects.
+ *
+ * @param {Record<string, any>} cfg
+ * @returns {{
+ *   providerEnabled:boolean, providerName:string, providerOpts:object,
+ *   gestureEnabled:boolean, locateEnabled:boolean, locateOpts:object
+ * }}
+ */
+function leafletAddonOptions(cfg) {
+  const providerEnabled = !!cfg.tile_provider_enabled;
+  let providerOpts = {};
+  if (providerEnabled && cfg.tile_provider_options) {
+    try { providerOpts = JSON.parse(cfg.tile_provider_options); }
+    // eslint-disable-next-line no-empty
+    catch { }
+  }
+
+  const locateFollow = cfg.locate_follow !== undefined
+    ? !!cfg.locate_follow : true;
+
+  return {
+    providerEnabled,
+    providerName: cfg.tile_provider_name || '',
+    providerOpts,
+    gestureEnabled: !!cfg.gesture_handling_enabled,
+    locateEnabled: !!cfg.locate_enabled,
+    locateOpts: {
+      position: cfg.locate_position || 'topleft',
+      setView: locateFollow ? 'untilPanOrZoom' : 'once',
+      keepCurrentZoomLevel: !!cfg.locate_keep_zoom,
+      showCompass: cfg.locate_show_compass !== undefined
+        ? !!cfg.locate_show_compass : true,
+      flyTo: !!cfg.locate_fly_to,
+    },
+  };
+}
+
+module.exports = { mapConfigFields, resolveMapConfig, leafletAddonOptions };
@@ -13,6 +13,9 @@
  *     touching the underlying column attributes.
  *   • Runtime now merges:  field attributes  ←  view-config  (← wins)
  *   • Custom map height supported.
+ * v7.1 – SRID aware: non-4326 columns are re-projected server-side for
+ *   display and the editor submits EPSG:4326 EWKT which `type.read()` turns
+ *   back into the column SRID.
  *
  * Licence: CC0-1.0
  */
@@ -31,10 +34,10 @@ const {
 } = require('../constants');
 
 const {
-  wktToGeoJSON,
   extractFirstZ,
   toWkt,
 } = require('../utils/geometry');
+const { toDisplayGeoJSON, editorSrid } = require('../utils/reproject');
 
 const dbg = require('../utils/debug');
 
@@ -234,6 +237,8 @@ function mapEditView(fallbackType = '') {
       const sridVal = Number.isFinite(Number(cfg.srid))
         ? Number(cfg.srid)
         : 4326;
+      /* Drawn shapes are 4326; type.read() re-projects them back on save */
+      const outSrid = editorSrid(sridVal);
 
       const mapId = `map_${Math.random().toString(36).slice(2)}`;
       const inputId = `inp_${mapId}`;
@@ -274,7 +279,7 @@ function mapEditView(fallbackType = '') {
       };
 
       /* -------- 2. Server-side GeoJSON (for initial display) ----- */
-      const initGeoJSON = wktToGeoJSON(canonical);
+      const initGeoJSON = toDisplayGeoJSON(canonical, sridVal);
       const { lat, lng, zoom } = DEFAULT_CENTER;
 
       const mapHeight = Number(cfg.map_height) || 300;
@@ -299,7 +304,7 @@ function mapEditView(fallbackType = '') {
   /* ---------- 0. Config → constants ---------- */
   const CFG = {
     mapId:${js(mapId)}, inputId:${js(inputId)}, zId:${js(zId)},
-    wantZ:${wantZ}, expect:${js(expectType)}, srid:${sridVal},
+    wantZ:${wantZ}, expect:${js(expectType)}, srid:${outSrid},
     initGeo:${js(initGeoJSON)},
     providerEnabled:${js(providerEnabled)}, providerName:${js(providerName)},
     providerOpts:${js(providerOpts)},
@@ -9,21 +9,32 @@
  * v5.0 – 27-Apr-2025
  *   • Added `configFields` plus runtime override logic (view config wins over
  *     column attributes).
+ * v5.1
+ *   • Registered as the `point_marker` field-view; config surface now shared
+ *     via `map-config.js`.
+ *   • Projected columns are displayed in EPSG:4326 and the marker emits
+ *     `SRID=…;POINT(…)` so `type.read()` can re-project on save.
  *
  * Licence: CC0-1.0
  */
 
 'use strict';
 
-const { wktToLonLat } = require('../utils/geometry');
+const { toWkt, wktToLonLat } = require('../utils/geometry');
+const { reprojectWkt, editorSrid } = require('../utils/reproject');
 const {
   DEFAULT_CENTER,
+  DEFAULT_SRID,
   LEAFLET,
   LEAFLET_PROVIDERS,
   LEAFLET_GESTURE,
   LEAFLET_LOCATE,
-  PROVIDERS
 } = require('../constants');
+const {
+  mapConfigFields,
+  resolveMapConfig,
+  leafletAddonOptions,
+} = require('./map-config');
 
 const dbg = require('../utils/debug');
 
@@ -34,116 +45,32 @@ const dbg = require('../utils/debug');
  *
  * @type {import('@saltcorn/types').TypeAttribute[]}
  */
-const CONFIG_FIELDS = [
-  {
-    name: 'map_height',
-    label: 'Map height (px)',
-    type: 'Integer',
-    default: 220,
-    attributes: { min: 100 },
-  },
-  {
-    name: 'tile_provider_enabled',
-    label: 'Enable Leaflet-providers basemap',
-    type: 'Bool',
-    default: false,
-  },
-  {
-    name: 'tile_provider_name',
-    label: 'Provider key',
-    type: 'String',
-    showIf: { tile_provider_enabled: true },
-    attributes: { options: PROVIDERS },
-  },
-  {
-    name: 'tile_provider_options',
-    label: 'Provider options (JSON)',
-    sublabel: 'Raw JSON passed to the provider – e.g. {"apikey":"…"}',
-    type: 'String',
-    fieldview: 'textarea',
-    attributes: { rows: 3 },
-    showIf: { tile_provider_enabled: true },
-  },
-  {
-    name: 'gesture_handling_enabled',
-    label: 'Enable touch gesture handling',
-    type: 'Bool',
-    default: false,
-  },
-  {
-    name: 'locate_enabled',
-    label: 'Enable “Locate me” control',
-    type: 'Bool',
-    default: false,
-  },
-  {
-    name: 'locate_position',
-    label: 'Locate control position',
-    type: 'String',
-    default: 'topleft',
-    showIf: { locate_enabled: true },
-    attributes: {
-      options: ['topleft', 'topright', 'bottomleft', 'bottomright'],
-    },
-  },
-  {
-    name: 'locate_follow',
-    label: 'Auto-follow user position',
-    type: 'Bool',
-    default: true,
-    showIf: { locate_enabled: true },
-  },
-  {
-    name: 'locate_keep_zoom',
-    label: 'Keep current zoom level',
-    type: 'Bool',
-    default: false,
-    showIf: { locate_enabled: true },
-  },
-  {
-    name: 'locate_fly_to',
-    label: 'Smooth fly-to animation',
-    type: 'Bool',
-    default: false,
-    showIf: { locate_enabled: true },
-  },
-  {
-    name: 'locate_show_compass',
-    label: 'Show compass bearing',
-    type: 'Bool',
-    default: true,
-    showIf: { locate_enabled: true },
-  },
-];
+const CONFIG_FIELDS = mapConfigFields(220);
 
 /* ───────────────────────── Helper ────────────────────────── */
 
 /**
- * Retrieve per-instance view configuration object.
+ * Escape a value for use inside a double-quoted HTML attribute.
  *
- * @param {IArguments} args
- * @returns {Record<string, unknown>}
+ * @param {string} s
+ * @returns {string}
  */
-function resolveConfig(args) {
-  for (const a of args) {
-    if (
-      a &&
-      typeof a === 'object' &&
-      ('tile_provider_enabled' in a ||
-        'gesture_handling_enabled' in a ||
-        'locate_enabled' in a ||
-        'map_height' in a)
-    ) {
-      return a;
-    }
-  }
-  return {};
+function attr(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
 }
 
 /* ───────────────────────── Field-view ───────────────────────── */
 
+/**
+ * Build the `point_marker` field-view.
+ *
+ * @param {string} fieldName  Prefix for generated DOM ids.
+ * @returns {import('@saltcorn/types').FieldViewObj}
+ */
 function leafletPointEditView(fieldName) {
   return {
+    name: 'point_marker',
     isEdit: true,
     description:
       'Leaflet draggable marker editor with configurable provider, gesture ' +
@@ -153,7 +80,7 @@ function leafletPointEditView(fieldName) {
     run(nm, value, attrs = {}, cls) {
       dbg.debug('leafletPointEditView.run() invoked');
 
-      const viewCfg = resolveConfig(arguments);
+      const viewCfg = resolveMapConfig(arguments);
       const cfg = { ...attrs, ...viewCfg };
 
       /* ------------------------------------------------------------------ */
@@ -162,37 +89,26 @@ function leafletPointEditView(fieldName) {
       const id = `${fieldName}_${Math.random().toString(36).slice(2)}`;
       const input = `inp_${id}`;
 
-      const ll = wktToLonLat(value) || [DEFAULT_CENTER.lng, DEFAULT_CENTER.lat];
+      /* Stored value may be in a projected SRID – show it in 4326 */
+      const colSrid = Number(cfg.srid) || DEFAULT_SRID;
+      const outSrid = editorSrid(colSrid);
+      const canonical = toWkt(value) || '';
+      const display = canonical
+        ? reprojectWkt(canonical, DEFAULT_SRID, colSrid) ?? canonical
+        : '';
+      const ll = wktToLonLat(display) || [DEFAULT_CENTER.lng, DEFAULT_CENTER.lat];
 
       /* ------------------------------------------------------------------ */
       /* 2. Leaflet add-ons (from combined cfg)                             */
       /* ------------------------------------------------------------------ */
-      const providerEnabled = !!cfg.tile_provider_enabled;
-      const providerName = cfg.tile_provider_name || '';
-      let providerOpts = {};
-      if (providerEnabled && cfg.tile_provider_options) {
-        try { providerOpts = JSON.parse(cfg.tile_provider_options); }
-        // eslint-disable-next-line no-empty
-        catch { }
-      }
-      const gestureEnabled = !!cfg.gesture_handling_enabled;
-
-      const locateEnabled = !!cfg.locate_enabled;
-      const locateFollow = cfg.locate_follow !== undefined
-        ? !!cfg.locate_follow : true;
-      const locateKeepZoom = !!cfg.locate_keep_zoom;
-      const locateFlyTo = !!cfg.locate_fly_to;
-      const locateShowCompass = cfg.locate_show_compass !== undefined
-        ? !!cfg.locate_show_compass : true;
-      const locatePosition = cfg.locate_position || 'topleft';
-
-      const locateOpts = {
-        position: locatePosition,
-        setView: locateFollow ? 'untilPanOrZoom' : 'once',
-        keepCurrentZoomLevel: locateKeepZoom,
-        showCompass: locateShowCompass,
-        flyTo: locateFlyTo,
-      };
+      const {
+        providerEnabled,
+        providerName,
+        providerOpts,
+        gestureEnabled,
+        locateEnabled,
+        locateOpts,
+      } = leafletAddonOptions(cfg);
 
       const mapHeight = Number(cfg.map_height) || 220;
 
@@ -202,14 +118,14 @@ function leafletPointEditView(fieldName) {
       return `
 <div class="${cls || ''}">
   <div id="${id}" class="border rounded" style="height:${mapHeight}px;"></div>
-  <input type="hidden" id="${input}" name="${nm}" value="${value || ''}">
+  <input type="hidden" id="${input}" name="${attr(nm)}" value="${attr(canonical)}">
 </div>
 
 <script>
 (function(){
   const CFG={
     mapId:${JSON.stringify(id)}, inpId:${JSON.stringify(input)},
-    start:[${ll[1]},${ll[0]}],
+    start:[${ll[1]},${ll[0]}], srid:${outSrid},
     providerEnabled:${JSON.stringify(providerEnabled)},
     providerName:${JSON.stringify(providerName)},
     providerOpts:${JSON.stringify(providerOpts)},
@@ -268,7 +184,7 @@ function leafletPointEditView(fieldName) {
     }
 
     const mk=L.marker(CFG.start,{draggable:true}).addTo(map);
-    function sync(pt){ hidden.value='POINT('+pt.lng+' '+pt.lat+')'; }
+    function sync(pt){ hidden.value='SRID='+CFG.srid+';POINT('+pt.lng+' '+pt.lat+')'; }
     mk.on('dragend',e=>sync(e.target.getLatLng()));
     map.on('click',e=>{ mk.setLatLng(e.latlng); sync(e.latlng); });
 
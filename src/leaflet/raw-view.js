@@ -14,7 +14,7 @@
 'use strict';
 
 const { DEFAULT_CENTER, LEAFLET } = require('../constants');
-const { wktToGeoJSON } = require('../utils/geometry');
+const { toDisplayGeoJSON } = require('../utils/reproject');
 
 const WELLKNOWN_JS =
   'https://cdn.jsdelivr.net/npm/wellknown@0.5.0/wellknown.min.js';
@@ -22,12 +22,13 @@ const WELLKNOWN_JS =
 /**
  * Build the preview‑map toggle block.
  *
- * @param {string} id   DOM id base.
- * @param {string} wkt  Raw value (may be '').
+ * @param {string} id    DOM id base.
+ * @param {string} wkt   Raw value (may be '').
+ * @param {number=} srid Column SRID (used when the value carries none).
  * @returns {string}
  */
-function previewBlock(id, wkt) {
-  const gj = wkt ? wktToGeoJSON(wkt) : null;
+function previewBlock(id, wkt, srid) {
+  const gj = wkt ? toDisplayGeoJSON(wkt, srid) : null;
   const { lat, lng, zoom } = DEFAULT_CENTER;
 
   return `
@@ -99,7 +100,7 @@ function rawView() {
           class="${classes}" style="min-height:6rem;">${safe}</textarea>
 <button type="button" id="${mapId}_btn"
         class="btn btn-outline-secondary btn-sm mt-1">Preview map</button>
-${previewBlock(mapId, current)}`;
+${previewBlock(mapId, current, field.attributes?.srid)}`;
       }
 
       /* ——— SHOW ——— */
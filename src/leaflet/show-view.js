@@ -10,6 +10,8 @@
  * v6.0 – 27-Apr-2025
  *   • Added `configFields` and runtime merging of field attributes with
  *     per-view configuration (view settings win).
+ * v6.1 – Geometries in any catalogued SRID are re-projected to EPSG:4326
+ *   before they reach Leaflet.
  *
  * Licence: CC0-1.0
  */
@@ -25,7 +27,7 @@ const {
   PROVIDERS
 } = require('../constants');
 
-const { wktToGeoJSON } = require('../utils/geometry');
+const { toDisplayGeoJSON } = require('../utils/reproject');
 const dbg = require('../utils/debug');
 
 /* ────────────────────────── helpers ────────────────────────── */
@@ -223,7 +225,8 @@ function showView() {
       const fieldAttrs = resolveAttrs(args);
       const cfg = { ...fieldAttrs, ...resolveConfig(args) };
 
-      const gj = wkt ? wktToGeoJSON(wkt) : undefined;
+      /* Leaflet is EPSG:4326 – re-project from the column SRID if needed */
+      const gj = wkt ? toDisplayGeoJSON(wkt, cfg.srid) : undefined;
 
       /* Leaflet add-on flags (defaults OFF) ----------------------- */
       const providerEnabled = !!cfg.tile_provider_enabled;
@@ -3,7 +3,7 @@
  * -----------------------------------------------------------------------------
  * Minimalist raw text editor for any PostGIS value.
  *
- * This view is surfaced as “raw” in the type catalogue and is handy when users
+ * This view is surfaced as “text” in the type catalogue and is handy when users
  * explicitly prefer hand‑editing WKT/EWKT/GeoJSON without the Leaflet helper.
  *
  * Author:  Troy Kelly  <troy@team.production.city>
@@ -12,7 +12,7 @@
 
 'use strict';
 
-const { textarea } = require('@saltcorn/markup/tags');
+const { textarea, text: esc } = require('@saltcorn/markup/tags');
 
 /**
  * @returns {import('@saltcorn/types').FieldViewObj}
@@ -34,10 +34,11 @@ function textEditView() {
         id:    `input-${fieldName}`,
         placeholder: 'Enter WKT, EWKT or GeoJSON',
       },
-      typeof value === 'string' ? value : '',
+      typeof value === 'string' ? esc(value) : '',
     );
 
   return {
+    name:         'text',
     isEdit:       true,
     description:  'Raw text WKT/EWKT/GeoJSON editor.',
     configFields: [],
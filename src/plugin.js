@@ -1,7 +1,8 @@
 /**
  * plugin.js
  * ---------------------------------------------------------------------------
- * Root export – wires PostGIS types into Saltcorn and patches Table.getRows.
+ * Root export – wires PostGIS types into Saltcorn, patches Table reads
+ * and writes, and patches Field type changes to migrate the column SRID.
  *
  * Author:  Troy Kelly  <troy@team.production.city>
  * Licence: CC0-1.0
@@ -13,76 +14,22 @@
 
 const dbg                       = require('./utils/debug');
 const { types }                 = require('./types/catalogue');
-const { patchGetRows }          = require('./table/patch-get-rows');
-const { wktToLonLat }           = require('./utils/geometry');
+const { patchTableReads }       = require('./table/patch-table-reads');
+const { patchSpatialWhere }     = require('./table/patch-spatial-where');
+const { patchTableWrites }      = require('./table/patch-table-writes');
+const { patchFieldAlter }       = require('./table/srid-migration');
+const { functions }             = require('./functions/catalogue');
+const { spatialIndexAction }    = require('./actions/spatial-index');
+const { derivedColumnsAction }  = require('./actions/derived-columns');
+const { changeSridAction }      = require('./actions/change-srid');
+const { repairGeometryAction }  = require('./actions/repair-geometry');
+const { importGeoJSONAction }   = require('./actions/import-geojson');
+const { importGpsAction }       = require('./actions/import-gps');
+const { importShapefileAction } = require('./actions/import-shapefile');
+const { importCsvRoutes }       = require('./routes/import-csv');
 const { LEAFLET }               = require('./constants');
 const { compositeMapTemplate }  = require('./leaflet/composite-map-view');
 
-const TableMod = require('@saltcorn/data/models/table');
-const Field    = require('@saltcorn/data/models/field');
-
-/* Resolve Table class across Saltcorn 0.x / 1.x variants */
-const Table =
-  TableMod && typeof TableMod.findOne === 'function'
-    ? TableMod
-    : TableMod && TableMod.Table
-      ? TableMod.Table
-      : TableMod;
-
-/* ───────────────────────── Actions ────────────────────────── */
-
-const createLatLngColumnsAction = {
-  requireRow: false,
-  group: 'Database',
-  description:
-    'Creates calculated Float columns <point>_lat and <point>_lng ' +
-    'using PostGIS ST_Y/ST_X.',
-  /**
-   * @param {{table_id:number}} args
-   * @returns {Promise<{success?:string,error?:string}>}
-   */
-  async run({ table_id }) {
-    dbg.info('Action:create_point_latlng_columns invoked', { table_id });
-    const tbl = await Table.findOne({ id: table_id });
-    if (!tbl) {
-      dbg.warn('Table not found – aborting.');
-      return { error: 'Table not found.' };
-    }
-
-    const pointField = (await tbl.getFields()).find(
-      (f) => f.type?.name === 'point',
-    );
-    if (!pointField) {
-      dbg.warn('No point field detected – aborting.');
-      return { error: 'No point field detected.' };
-    }
-
-    const base = pointField.name;
-    const lat = await Field.create({
-      table_id,
-      name: `${base}_lat`,
-      label: `${base} latitude`,
-      type: 'Float',
-      calculated: true,
-      expression: `ST_Y("${base}")`,
-    });
-    const lng = await Field.create({
-      table_id,
-      name: `${base}_lng`,
-      label: `${base} longitude`,
-      type: 'Float',
-      calculated: true,
-      expression: `ST_X("${base}")`,
-    });
-
-    /* Force Saltcorn to refresh calculated column cache */
-    await tbl.update({ min_role_read: tbl.min_role_read });
-    const msg = `Created columns #${lat.id} and #${lng.id}.`;
-    dbg.info(msg);
-    return { success: msg };
-  },
-};
-
 /* ─────────────────────── Plug-in Export ───────────────────── */
 
 module.exports = {
@@ -105,14 +52,19 @@ module.exports = {
     let T = require('@saltcorn/data/models/table');
     if (T && T.Table) T = T.Table;
     if (T && T.prototype) {
-      patchGetRows(T);
-      dbg.info('Table.getRows successfully patched.');
+      patchTableReads(T);
+      patchSpatialWhere(T);
+      patchTableWrites(T);
+      dbg.info('Table read and write methods successfully patched.');
     } else {
       // eslint-disable-next-line no-console
       console.error(
-        'saltcorn-postgis-type: Unable to patch Table.getRows – Table class not found',
+        'saltcorn-postgis-type: Unable to patch Table methods – Table class not found',
       );
     }
+    let F = require('@saltcorn/data/models/field');
+    if (F && F.Field) F = F.Field;
+    patchFieldAlter(F);
   },
 
   /* PostGIS scalar types */
@@ -123,23 +75,21 @@ module.exports = {
 
   /* Extra actions */
   actions: {
-    create_point_latlng_columns: createLatLngColumnsAction,
+    create_point_latlng_columns: derivedColumnsAction,
+    manage_spatial_index: spatialIndexAction,
+    change_postgis_srid: changeSridAction,
+    validate_postgis_geometries: repairGeometryAction,
+    import_geojson: importGeoJSONAction,
+    import_kml_gpx: importGpsAction,
+    import_shapefile: importShapefileAction,
   },
 
-  /* Helper functions surfaced to Saltcorn */
-  functions: {
-    /**
-     * Convert POINT WKT → plain lat/lng numbers.
-     * @param {string} wkt
-     * @returns {{lat:number,lng:number,latlng:[number,number]}|undefined}
-     */
-    toLatLng(wkt) {
-      dbg.trace('functions.toLatLng()', wkt);
-      const ll = wktToLonLat(wkt);
-      return ll ? { lat: ll[1], lng: ll[0], latlng: ll } : undefined;
-    },
-  },
+  /* CSV import page (/postgis/import-csv) */
+  routes: importCsvRoutes,
+
+  /* Spatial functions for formulas / calculated fields */
+  functions,
 
   /* Run-time dependency info for Saltcorn “Store” UI */
-  dependencies: ['wkx'],
+  dependencies: ['wkx', 'proj4'],
 };
\ No newline at end of file
@@ -0,0 +1,457 @@
+/**
+ * import-csv.js
+ * ---------------------------------------------------------------------------
+ * `/postgis/import-csv` – CSV import page for tables with a PostGIS field.
+ * Saltcorn's own CSV upload cannot build a geometry from the file, so this
+ * page lets an admin declare where it comes from:
+ *
+ *   • two coordinate columns (latitude / Y and longitude / X), or
+ *   • one column holding WKT, EWKT or GeoJSON,
+ *
+ * plus the source SRID.  *Preview* converts every row without writing
+ * anything and plots the first ones on a small map; *Import* then loads
+ * the file through the shared import writer (mapping, batching and the
+ * all-or-nothing transaction work as in the import actions; insert
+ * triggers are not run).
+ *
+ * The CSV is picked from Saltcorn's file store like the other imports.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable max-len */
+
+const { text_attr: esc } = require('@saltcorn/markup/tags');
+const dbg = require('../utils/debug');
+const { parseCsv } = require('../utils/csv');
+const { toDisplayGeoJSON } = require('../utils/reproject');
+const { PGIS_TYPES } = require('../table/patch-table-reads');
+const { importFileOptions, readImportFile } = require('../import/source-file');
+const { mappingFrom } = require('../import/import-config');
+const { importRecords, importResult } = require('../import/write-rows');
+const { DEFAULT_CENTER, DEFAULT_SRID, LEAFLET } = require('../constants');
+
+const ROUTE_URL = '/postgis/import-csv';
+
+/** Rows plotted on the preview map. */
+const PREVIEW_FEATURES = 500;
+
+/** Failures listed under the preview. */
+const PREVIEW_ERRORS = 20;
+
+const CSV_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+const LAT_NAMES = ['lat', 'latitude', 'y', 'northing'];
+const LNG_NAMES = ['lng', 'lon', 'long', 'longitude', 'x', 'easting'];
+const GEOM_NAMES = ['geom', 'geometry', 'wkt', 'the_geom', 'shape', 'geojson'];
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Runtime Table class across Saltcorn 0.x / 1.x variants.
+ *
+ * @returns {any}
+ */
+function getTableClass() {
+  // eslint-disable-next-line global-require
+  const TableMod = require('@saltcorn/data/models/table');
+  return TableMod && typeof TableMod.findOne === 'function'
+    ? TableMod
+    : TableMod?.Table || TableMod;
+}
+
+/**
+ * JS-safe JSON stringifier for direct `<script>` embedding.
+ *
+ * @param {unknown} v
+ * @returns {string}
+ */
+function js(v) {
+  return JSON.stringify(v ?? null).replace(/</g, '\\u003c');
+}
+
+/**
+ * First header matching one of `names` (case-insensitive).
+ *
+ * @param {string[]} header
+ * @param {string[]} names
+ * @returns {string}
+ */
+function guessColumn(header, names) {
+  return header.find((h) => names.includes(h.toLowerCase())) || '';
+}
+
+/**
+ * Coordinate cells ➜ GeoJSON Point (`null` when both are blank).
+ *
+ * @param {string} latText
+ * @param {string} lngText
+ * @returns {{type:'Point', coordinates:number[]}|null}
+ */
+function pointFrom(latText, lngText) {
+  const lat = String(latText ?? '').trim();
+  const lng = String(lngText ?? '').trim();
+  if (!lat && !lng) return null;
+  const y = Number(lat);
+  const x = Number(lng);
+  if (!lat || !lng || !Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new Error(`“${lat}, ${lng}” are not coordinates`);
+  }
+  return { type: 'Point', coordinates: [x, y] };
+}
+
+/**
+ * Geometry cell ➜ GeoJSON object or WKT / EWKT text (`null` when blank).
+ *
+ * @param {string} cell
+ * @returns {unknown}
+ */
+function geometryFrom(cell) {
+  const v = String(cell ?? '').trim();
+  if (!v) return null;
+  if (!v.startsWith('{')) return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    throw new Error('Invalid GeoJSON');
+  }
+}
+
+/**
+ * Import records from parsed CSV rows.
+ *
+ * @param {{header:string[], rows:string[][]}} csv
+ * @param {{source:string, lat_col?:string, lng_col?:string, geom_col?:string}} opts
+ * @returns {Generator<{geometry?:unknown, properties:Record<string, string>,
+ *   label:string, error?:string}>}
+ */
+function* csvRecords({ header, rows }, opts) {
+  const col = (name) => header.indexOf(name);
+  const latAt = col(opts.lat_col);
+  const lngAt = col(opts.lng_col);
+  const geomAt = col(opts.geom_col);
+  const byCoords = opts.source !== 'geometry';
+  if (byCoords && (latAt < 0 || lngAt < 0)) throw new Error('Choose the latitude and longitude columns.');
+  if (!byCoords && geomAt < 0) throw new Error('Choose the geometry column.');
+
+  for (let i = 0; i < rows.length; i += 1) {
+    /** @type {Record<string, string>} */
+    const properties = {};
+    header.forEach((h, j) => {
+      if (h) properties[h] = rows[i][j];
+    });
+    const label = `Row ${i + 1}`;
+    try {
+      const geometry = byCoords
+        ? pointFrom(rows[i][latAt], rows[i][lngAt])
+        : geometryFrom(rows[i][geomAt]);
+      yield { geometry, properties, label };
+    } catch (e) {
+      yield { properties, label, error: e.message };
+    }
+  }
+}
+
+/**
+ * Tables with at least one PostGIS field, with those fields.
+ *
+ * @returns {Promise<Array<{table:any, spatial:any[]}>>}
+ */
+async function spatialTables() {
+  const out = [];
+  for (const table of await getTableClass().find({}, { cached: true })) {
+    if (table.external || table.provider_name) continue;
+    const spatial = (await table.getFields()).filter((f) => PGIS_TYPES.has(f.type?.name));
+    if (spatial.length) out.push({ table, spatial });
+  }
+  return out.sort((a, b) => a.table.name.localeCompare(b.table.name));
+}
+
+/* ───────────────────────── HTML ───────────────────────────────────── */
+
+/**
+ * `<select>` with `options` (values or `[value, label]` pairs).
+ *
+ * @param {string} name
+ * @param {Array<string|[string, string]>} options
+ * @param {string} selected
+ * @param {string=} extra  Extra attributes.
+ * @returns {string}
+ */
+function selectHtml(name, options, selected, extra = '') {
+  const opts = options.map((o) => {
+    const [v, l] = Array.isArray(o) ? o : [o, o];
+    return `<option value="${esc(v)}"${v === selected ? ' selected' : ''}>${esc(l)}</option>`;
+  });
+  return `<select class="form-select" name="${esc(name)}" id="inp_${esc(name)}" ${extra}>${opts.join('')}</select>`;
+}
+
+/**
+ * Labelled form row.
+ *
+ * @param {string} label
+ * @param {string} control
+ * @param {string=} help
+ * @param {string=} attrs  Extra attributes of the row.
+ * @returns {string}
+ */
+function formRow(label, control, help = '', attrs = '') {
+  return `<div class="mb-3 row" ${attrs}>
+  <label class="col-sm-3 col-form-label">${esc(label)}</label>
+  <div class="col-sm-9">${control}${help ? `<div class="form-text">${esc(help)}</div>` : ''}</div>
+</div>`;
+}
+
+/**
+ * Step 1: pick the table and the CSV file (a GET form).
+ *
+ * @param {Array<{table:any}>} tables
+ * @param {string[]} files
+ * @param {Record<string, any>} q
+ * @returns {string}
+ */
+function pickForm(tables, files, q) {
+  return `<form method="get" action="${ROUTE_URL}">
+${formRow('Table', selectHtml('table', [['', ''], ...tables.map((t) => t.table.name)], q.table || ''), 'Tables with a PostGIS field')}
+${formRow('CSV file', selectHtml('file', [['', ''], ...files], q.file || ''), `Upload it on the Files page first (${CSV_EXTENSIONS.join(', ')})`)}
+<button type="submit" class="btn btn-secondary">Choose columns</button>
+</form>`;
+}
+
+/**
+ * Step 2: geometry source, SRID and column mapping (a POST form).
+ *
+ * @param {any} req
+ * @param {{table:any, spatial:any[]}} target
+ * @param {string} file
+ * @param {string[]} header
+ * @param {Record<string, any>} b  Submitted (or default) values.
+ * @param {boolean} canImport  Show the *Import* button.
+ * @returns {Promise<string>}
+ */
+async function optionsForm(req, target, file, header, b, canImport) {
+  const cols = [['', ''], ...header];
+  const source = b.source === 'geometry' ? 'geometry' : 'coords';
+  const mapRows = (await target.table.getFields())
+    .filter((f) => !f.calculated && !f.primary_key && !PGIS_TYPES.has(f.type?.name))
+    .map((f) => formRow(
+      `${f.label || f.name} ⇐`,
+      selectHtml(`map_${f.name}`, [['', `(same name: ${f.name})`], ['-', '(skip)'], ...header], b[`map_${f.name}`] || ''),
+    ));
+  const csrf = typeof req.csrfToken === 'function' ? req.csrfToken() : '';
+
+  return `<form method="post" action="${ROUTE_URL}">
+<input type="hidden" name="_csrf" value="${esc(csrf)}">
+<input type="hidden" name="table" value="${esc(target.table.name)}">
+<input type="hidden" name="file" value="${esc(file)}">
+${formRow('PostGIS field', selectHtml('geom_field', target.spatial.map((f) => f.name), b.geom_field || ''))}
+${formRow('Geometry from', selectHtml('source', [['coords', 'Latitude / longitude columns'], ['geometry', 'WKT / GeoJSON column']], source,
+    `onchange="this.form.querySelectorAll('[data-source]').forEach(e=>{e.style.display=e.dataset.source===this.value?'':'none';})"`))}
+${formRow('Latitude / Y column', selectHtml('lat_col', cols, b.lat_col ?? guessColumn(header, LAT_NAMES)), '', `data-source="coords"${source === 'coords' ? '' : ' style="display:none"'}`)}
+${formRow('Longitude / X column', selectHtml('lng_col', cols, b.lng_col ?? guessColumn(header, LNG_NAMES)), '', `data-source="coords"${source === 'coords' ? '' : ' style="display:none"'}`)}
+${formRow('Geometry column', selectHtml('geom_col', cols, b.geom_col ?? guessColumn(header, GEOM_NAMES)), 'WKT, EWKT or GeoJSON', `data-source="geometry"${source === 'geometry' ? '' : ' style="display:none"'}`)}
+${formRow('Source SRID', `<input type="number" class="form-control" name="source_srid" value="${esc(b.source_srid ?? DEFAULT_SRID)}" min="1">`, 'SRID of the coordinates in the file (EWKT values carry their own)')}
+${formRow('All or nothing', `<input type="checkbox" class="form-check-input" name="all_or_nothing"${b.all_or_nothing ? ' checked' : ''}>`, 'Import nothing if any row fails')}
+<h5 class="mt-4">Columns</h5>
+${mapRows.join('\n')}
+<button type="submit" name="stage" value="preview" class="btn btn-secondary">Preview</button>
+${canImport ? '<button type="submit" name="stage" value="import" class="btn btn-primary ms-2">Import</button>' : ''}
+</form>`;
+}
+
+/**
+ * Small Leaflet map of the preview features (composite-map style: circle
+ * markers, attribute pop-ups, fitted to the data).
+ *
+ * @param {object[]} features  GeoJSON Features in EPSG:4326.
+ * @returns {string}
+ */
+function previewMap(features) {
+  const mapId = `csvprev_${Math.random().toString(36).slice(2)}`;
+  const { lat, lng, zoom } = DEFAULT_CENTER;
+  return `
+<div id="${mapId}" style="height:320px;" class="border mb-3"></div>
+<script>
+(function(){
+  const CFG={mapId:${js(mapId)}, fc:${js({ type: 'FeatureCollection', features })},
+    center:{lat:${lat},lng:${lng},zoom:${zoom}}, css:${js(LEAFLET.css)}, jsSrc:${js(LEAFLET.js)}};
+  function loadCss(h){return new Promise(r=>{if(document.querySelector('link[href="'+h+'"]'))return r();
+    const l=document.createElement('link');l.rel='stylesheet';l.href=h;l.onload=r;document.head.appendChild(l);});}
+  function loadJs(s){return new Promise(r=>{if(window.L)return r();
+    const sc=document.createElement('script');sc.src=s;sc.async=true;sc.onload=r;document.head.appendChild(sc);});}
+  function popup(p){
+    const t=document.createElement('table');t.className='table table-sm mb-0';
+    Object.entries(p||{}).forEach(([k,v])=>{const tr=t.insertRow();
+      tr.insertCell().textContent=k;tr.insertCell().textContent=v===null?'':String(v);});
+    return t;
+  }
+  (async function(){
+    await loadCss(CFG.css);await loadJs(CFG.jsSrc);
+    if(!window.L) return;
+    const map=L.map(CFG.mapId).setView([CFG.center.lat,CFG.center.lng],CFG.center.zoom);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',{
+      attribution:'&copy; OpenStreetMap contributors'}).addTo(map);
+    const style={color:'#3388ff',weight:2,fillOpacity:0.4};
+    const lyr=L.geoJSON(CFG.fc,{
+      style:()=>style,
+      pointToLayer:(f,ll)=>L.circleMarker(ll,{radius:6,...style}),
+      onEachFeature:(f,l)=>l.bindPopup(()=>popup(f.properties)),
+    }).addTo(map);
+    const b=lyr.getBounds();
+    if(b.isValid()) map.fitBounds(b,{maxZoom:14});
+  })();
+})();
+</script>`;
+}
+
+/**
+ * Preview block: counts, failures and the map.
+ *
+ * @param {{total:number, inserted:number, errors:Array<{label:string, message:string}>}} r
+ * @param {object[]} features
+ * @param {boolean} allOrNothing
+ * @returns {string}
+ */
+function previewHtml(r, features, allOrNothing) {
+  const failed = r.errors.length;
+  const listed = r.errors.slice(0, PREVIEW_ERRORS)
+    .map((e) => `<li>${esc(e.label)}: ${esc(e.message)}</li>`);
+  if (failed > PREVIEW_ERRORS) listed.push(`<li>… and ${failed - PREVIEW_ERRORS} more</li>`);
+  const level = !failed ? 'success' : allOrNothing ? 'danger' : 'warning';
+  const blocked = failed && allOrNothing
+    ? ' With “All or nothing” on, nothing would be imported.'
+    : '';
+  const shown = features.length < r.inserted
+    ? `<p class="text-muted small">Map shows the first ${features.length} rows.</p>`
+    : '';
+  return `<h5 class="mt-4">Preview</h5>
+<div class="alert alert-${level}">${r.inserted} of ${r.total} rows ready to import, ${failed} failed.${blocked}
+${listed.length ? `<ul class="mb-0 mt-2">${listed.join('')}</ul>` : ''}</div>
+${features.length ? previewMap(features) : ''}${shown}`;
+}
+
+/**
+ * Send a page in the Saltcorn layout.
+ *
+ * @param {any} res
+ * @param {string} body
+ * @returns {void}
+ */
+function sendPage(res, body) {
+  const html = `<div class="card shadow mt-2"><div class="card-body">
+<h4 class="card-title">Import CSV into a PostGIS table</h4>
+${body}
+</div></div>`;
+  if (typeof res.sendWrap === 'function') res.sendWrap('Import CSV', html);
+  else res.send(html);
+}
+
+/* ───────────────────────── Handler ────────────────────────────────── */
+
+/**
+ * GET shows the pickers (and the options once a table and file are
+ * chosen); POST previews (`stage=preview`) or imports (`stage=import`).
+ *
+ * @param {{req:any, res:any}} ctx
+ * @returns {Promise<void>}
+ */
+async function importCsvPage({ req, res }) {
+  if (req.user?.role_id !== 1) {
+    res.status(403);
+    sendPage(res, '<div class="alert alert-danger">Only administrators can import data.</div>');
+    return;
+  }
+  const posted = req.method === 'POST';
+  const b = posted ? { ...(req.body || {}) } : { ...(req.query || {}), all_or_nothing: true };
+  if (posted) b.all_or_nothing = b.all_or_nothing === 'on' || b.all_or_nothing === true;
+
+  const tables = await spatialTables();
+  const files = await importFileOptions(CSV_EXTENSIONS);
+  const parts = [pickForm(tables, files, b)];
+
+  const target = tables.find((t) => t.table.name === b.table);
+  if (!target || !b.file) {
+    sendPage(res, parts.join('\n'));
+    return;
+  }
+
+  let csv;
+  try {
+    csv = parseCsv(String(await readImportFile(b.file, 'utf8')));
+    if (!csv.header.length) throw new Error('The file is empty.');
+  } catch (e) {
+    parts.push(`<div class="alert alert-danger mt-3">${esc(e.message)}</div>`);
+    sendPage(res, parts.join('\n'));
+    return;
+  }
+  parts.push(`<hr><p>${esc(b.file)}: ${csv.rows.length} rows, columns ${esc(csv.header.join(', '))}</p>`);
+
+  const geomField = target.spatial.find((f) => f.name === b.geom_field) || target.spatial[0];
+  const opts = {
+    geomField: geomField.name,
+    mapping: mappingFrom(b),
+    sourceSrid: Number(b.source_srid) || DEFAULT_SRID,
+    allOrNothing: b.all_or_nothing,
+    user: req.user,
+  };
+
+  let canImport = false;
+  let outcome = '';
+  if (posted) {
+    try {
+      if (b.stage === 'import') {
+        dbg.info('CSV import', { table: target.table.name, file: b.file });
+        const r = await importRecords(target.table, csvRecords(csv, b), opts);
+        const msg = importResult('rows', r);
+        const [level, text] = msg.error ? ['danger', msg.error]
+          : msg.notify ? ['warning', msg.notify] : ['success', msg.notify_success];
+        outcome = `<div class="alert alert-${level}" style="white-space:pre-line">${esc(text)}</div>`;
+        if (r.inserted && target.table.id) {
+          outcome += `<p><a href="/table/${esc(target.table.id)}">Open ${esc(target.table.name)}</a></p>`;
+        }
+      } else {
+        const features = [];
+        const colSrid = geomField.attributes?.srid;
+        const r = await importRecords(target.table, csvRecords(csv, b), {
+          ...opts,
+          dryRun: true,
+          onRow: (row) => {
+            if (features.length >= PREVIEW_FEATURES || !row[geomField.name]) return;
+            const { [geomField.name]: geom, ...properties } = row;
+            const gj = toDisplayGeoJSON(geom, colSrid);
+            if (!gj) return;
+            features.push({
+              type: 'Feature',
+              properties,
+              geometry: gj.type === 'Feature' ? gj.geometry : gj,
+            });
+          },
+        });
+        canImport = r.inserted > 0 && !(opts.allOrNothing && r.errors.length);
+        outcome = previewHtml(r, features, opts.allOrNothing);
+      }
+    } catch (e) {
+      dbg.error('CSV import failed', e);
+      outcome = `<div class="alert alert-danger">${esc(e.message)}</div>`;
+    }
+  }
+
+  parts.push(await optionsForm(req, target, b.file, csv.header, { ...b, geom_field: geomField.name }, canImport));
+  if (outcome) parts.push(outcome);
+  sendPage(res, parts.join('\n'));
+}
+
+/**
+ * Plug-in routes.
+ *
+ * @type {Array<{url:string, method:string, callback:(ctx:{req:any, res:any}) => Promise<void>}>}
+ */
+const importCsvRoutes = [
+  { url: ROUTE_URL, method: 'get', callback: importCsvPage },
+  { url: ROUTE_URL, method: 'post', callback: importCsvPage },
+];
+
+module.exports = { importCsvRoutes };
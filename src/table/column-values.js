@@ -0,0 +1,79 @@
+/**
+ * column-values.js
+ * ---------------------------------------------------------------------------
+ * Fetch a single column's values without pulling whole rows (and their
+ * geometries) through `table.getRows()`.  Used where only statistics are
+ * needed – e.g. choropleth class breaks in lazy-loading mode, where the
+ * rows themselves are never loaded server-side.
+ *
+ * Spatial operands in `where` are translated like `getRows()` translates
+ * them, and when more rows match than the cap a uniform random sample is
+ * read (`TABLESAMPLE BERNOULLI`, no sort) rather than whatever the heap
+ * yields first.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { splitSpatialWhere } = require('./patch-spatial-where');
+
+/** Default cap on the number of values read. */
+const DEFAULT_LIMIT = 10000;
+
+/** Over-sampling so a Bernoulli sample rarely falls short of the cap. */
+const SAMPLE_SLACK = 1.2;
+
+/**
+ * Lazily resolve the Saltcorn db module (absent when linted stand-alone).
+ *
+ * @returns {any}
+ */
+function getDb() {
+  // eslint-disable-next-line global-require
+  return require('@saltcorn/data/db');
+}
+
+/**
+ * Non-NULL values of `column` for rows matching `where` (a random sample
+ * of them when more than `opts.limit` match).
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {string} column
+ * @param {Record<string, unknown>=} where
+ * @param {object=} opts
+ * @param {number=} opts.limit  Maximum values returned (default 10 000).
+ * @returns {Promise<unknown[]>}
+ */
+async function columnValues(table, column, where = {}, opts = {}) {
+  const db = getDb();
+  const col = `"${db.sqlsanitize(column)}"`;
+  const split = await splitSpatialWhere(table, where || {}, { unordered: true });
+  const { where: whereSql, values } = db.mkWhere(split.where || {});
+  const clauses = [`${col} is not null`];
+  if (whereSql) clauses.push(whereSql.replace(/^where\s+/iu, ''));
+  const spatial = split.spatial?.(values.length + 1);
+  if (spatial?.sql) {
+    clauses.push(spatial.sql);
+    values.push(...spatial.values);
+  }
+
+  const limit = Number(opts.limit) > 0 ? Math.floor(Number(opts.limit)) : DEFAULT_LIMIT;
+  const from = `${db.getTenantSchemaPrefix()}"${db.sqlsanitize(table.name)}"`;
+  const cond = `where ${clauses.join(' and ')}`;
+
+  /* sample only when more rows match than the cap */
+  const { rows: counted } = await db.query(`select count(*) as n from ${from} ${cond}`, values);
+  const n = Number(counted[0]?.n) || 0;
+  const pct = Math.min(100, (100 * limit * SAMPLE_SLACK) / Math.max(n, 1));
+  const sample = n > limit ? ` tablesample bernoulli (${pct.toFixed(6)})` : '';
+  const sql = `select ${col} as v from ${from}${sample} ${cond} limit ${limit}`;
+
+  dbg.debug('columnValues()', { sql, values, matching: n });
+  const { rows } = await db.query(sql, values);
+  return rows.map((r) => r.v);
+}
+
+module.exports = { columnValues };
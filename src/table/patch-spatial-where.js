@@ -0,0 +1,332 @@
+/**
+ * patch-spatial-where.js
+ * ---------------------------------------------------------------------------
+ * Lets where-objects carry spatial operators on PostGIS fields:
+ *
+ *   { geom: { bbox: [w, s, e, n] } }          – WGS-84 box (or "w,s,e,n")
+ *   { geom: { intersects: 'POLYGON((…))' } }  – any WKT / EWKT / GeoJSON
+ *   { geom: { near: [lng, lat], within_m: 5000 } }
+ *                                             – radius in metres
+ *   { geom: { near: [lng, lat], order: 'distance' } }
+ *                                             – nearest first
+ *
+ * These arrive from page state (`?geom[bbox]=…`, published by the composite
+ * map), views, the API or actions.  Saltcorn's where DSL cannot express
+ * them, so the spatial operators and every other filter are resolved by one
+ * id-only query (see `spatial-where.js`) – paged by the caller's order /
+ * limit / offset – and replaced with `{ <pk>: { in: ids } }` before the
+ * original `getRows` / `getRow` / `getJoinedRows` runs; the rows are then
+ * returned in id order.  `countRows` counts in SQL without fetching ids.
+ * Distance ordering (`getRow` returns the nearest) also happens in the id
+ * query.
+ *
+ * An invalid or incomplete operand (unparseable box or shape, `near`
+ * without `within_m` or `order`) matches nothing.
+ *
+ * The patch is idempotent (`__postgisWherePatched`) and keeps any flags set
+ * by earlier patches on the wrapped functions.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { normaliseInput, wktToLonLat } = require('../utils/geometry');
+const { reprojectWkt } = require('../utils/reproject');
+const { PGIS_TYPES } = require('./patch-table-reads');
+const {
+  parseBbox,
+  bboxCondition,
+  intersectsCondition,
+  nearCondition,
+  selectIdsWhere,
+  countWhere,
+} = require('./spatial-where');
+const { DEFAULT_SRID } = require('../constants');
+
+/** Operator keys recognised on PostGIS fields. */
+const SPATIAL_OPS = ['bbox', 'intersects', 'near'];
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Is `v` a `{ bbox | intersects | near: … }` operand object?
+ *
+ * @param {unknown} v
+ * @returns {boolean}
+ */
+function isSpatialOperand(v) {
+  return (
+    !!v &&
+    typeof v === 'object' &&
+    !Array.isArray(v) &&
+    !(v instanceof Date) &&
+    SPATIAL_OPS.some((op) => Object.prototype.hasOwnProperty.call(v, op))
+  );
+}
+
+/**
+ * Parse a `near` point: `[lng, lat]`, `"lng,lat"` (same axis order as
+ * `bbox`) or any point geometry the type accepts (re-projected to WGS-84).
+ *
+ * @param {unknown} v
+ * @returns {[number, number]|undefined}
+ */
+function parseNear(v) {
+  const parts = Array.isArray(v)
+    ? v
+    : typeof v === 'string' && /^\s*-?[\d.]+\s*,\s*-?[\d.]+\s*$/u.test(v)
+      ? v.split(',')
+      : undefined;
+  if (parts) {
+    const [lng, lat] = parts.map(Number);
+    return parts.length === 2 && Number.isFinite(lng) && Number.isFinite(lat)
+      ? [lng, lat]
+      : undefined;
+  }
+  const ewkt = normaliseInput(v, { srid: DEFAULT_SRID });
+  if (!ewkt) return undefined;
+  const ll = wktToLonLat(reprojectWkt(ewkt, DEFAULT_SRID) ?? ewkt);
+  return ll ? [ll[0], ll[1]] : undefined;
+}
+
+/** Condition that matches no row – stands in for an unusable operand. */
+const MATCH_NOTHING = () => ({ sql: 'false', values: [] });
+
+/**
+ * Condition builders (one per operator) for a single field.  Invalid or
+ * incomplete operands are logged and match nothing – they never match
+ * everything silently *and* never raise a raw SQL error.
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @param {Record<string, unknown>} operand
+ * @param {boolean=} unordered  Filters only: drop distance orders (and an
+ *   order-only `near`, whose parameters nothing would reference).
+ * @returns {{builders: Array<(firstIndex:number) => ({sql:string, values:unknown[], order?:string}|undefined)>,
+ *   ordered: boolean}}  `ordered`: a builder returns a distance `order`.
+ */
+function conditionBuilders(field, operand, unordered = false) {
+  const opts = {
+    srid: field.attributes?.srid,
+    geography: field.type?.name === 'geography',
+  };
+  const builders = [];
+  let ordered = false;
+
+  if (operand.bbox !== undefined) {
+    const bbox = parseBbox(operand.bbox);
+    if (bbox) builders.push((firstIndex) => bboxCondition(field.name, bbox, { ...opts, firstIndex }));
+    else {
+      dbg.warn('Invalid bbox filter matches nothing', { field: field.name, bbox: operand.bbox });
+      builders.push(MATCH_NOTHING);
+    }
+  }
+  if (operand.intersects !== undefined) {
+    const ewkt = normaliseInput(operand.intersects, { srid: DEFAULT_SRID });
+    if (ewkt) {
+      builders.push((firstIndex) => intersectsCondition(field.name, ewkt, { ...opts, firstIndex }));
+    } else {
+      dbg.warn('Invalid intersects filter matches nothing', { field: field.name });
+      builders.push(MATCH_NOTHING);
+    }
+  }
+  if (operand.near !== undefined) {
+    const lonLat = parseNear(operand.near);
+    const withinM = operand.within_m === undefined || operand.within_m === ''
+      ? undefined
+      : Number(operand.within_m);
+    const byDistance = operand.order === 'distance' || operand.order === true || operand.order === 'true';
+    if (!lonLat || (withinM !== undefined && !(withinM >= 0)) || (withinM === undefined && !byDistance)) {
+      dbg.warn('Invalid or incomplete near filter matches nothing', { field: field.name, near: operand.near });
+      builders.push(MATCH_NOTHING);
+    } else if (!unordered || withinM !== undefined) {
+      const order = byDistance && !unordered;
+      ordered = order;
+      builders.push((firstIndex) => {
+        const c = nearCondition(field.name, lonLat, { ...opts, withinM, firstIndex });
+        return order ? c : { sql: c.sql, values: c.values };
+      });
+    }
+  }
+  return { builders, ordered };
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * AND together several condition builders, numbering placeholders in turn.
+ * The first `order` expression returned by any builder is kept.
+ *
+ * @param {Array<(firstIndex:number) => ({sql:string, values:unknown[], order?:string}|undefined)>} builders
+ * @returns {(firstIndex:number) => ({sql:string, values:unknown[], order?:string}|undefined)}
+ */
+function combineConditions(builders) {
+  return (firstIndex) => {
+    const sql = [];
+    const values = [];
+    let order;
+    for (const b of builders) {
+      const c = b(firstIndex + values.length);
+      if (!c) continue;
+      if (c.sql) sql.push(c.sql);
+      values.push(...c.values);
+      order = order || c.order;
+    }
+    if (!sql.length && !order) return undefined;
+    return { sql: sql.join(' and '), values, ...(order ? { order } : {}) };
+  };
+}
+
+/**
+ * Rows re-sorted into the order of `ids`.
+ *
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {Array<number|string>} ids
+ * @param {string} pk
+ * @returns {Array<Record<string, unknown>>}
+ */
+function sortByIds(rows, ids, pk) {
+  const rank = new Map(ids.map((id, i) => [String(id), i]));
+  return [...rows].sort(
+    (a, b) => (rank.get(String(a[pk])) ?? Infinity) - (rank.get(String(b[pk])) ?? Infinity),
+  );
+}
+
+/**
+ * Split a where-object into its plain part (for `db.mkWhere`) and one SQL
+ * condition builder for all spatial operands on PostGIS fields.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {Record<string, unknown>|undefined} where
+ * @param {{unordered?: boolean}=} opts  `unordered`: the caller only
+ *   filters (counts, samples), so distance orders are left out.
+ * @returns {Promise<{where: Record<string, unknown>|undefined,
+ *   spatial?: (firstIndex:number) => ({sql:string, values:unknown[], order?:string}|undefined),
+ *   ordered?: boolean}>}
+ */
+async function splitSpatialWhere(table, where, opts = {}) {
+  if (!where || typeof where !== 'object') return { where };
+  const keys = Object.keys(where).filter((k) => isSpatialOperand(where[k]));
+  if (!keys.length) return { where };
+
+  const fields = await table.getFields();
+  const rest = { ...where };
+  const builders = [];
+  let ordered = false;
+  for (const k of keys) {
+    const field = fields.find((f) => f.name === k && PGIS_TYPES.has(f.type?.name));
+    if (!field) continue;
+    delete rest[k];
+    const c = conditionBuilders(field, /** @type {any} */ (where[k]), !!opts.unordered);
+    /* the first distance-ordered operand decides the order */
+    if (c.ordered && !ordered) builders.unshift(...c.builders);
+    else builders.push(...c.builders);
+    ordered = ordered || c.ordered;
+  }
+  if (!builders.length) return { where: rest };
+  return { where: rest, spatial: combineConditions(builders), ordered };
+}
+
+/**
+ * Replace spatial operands in a where-object with a primary-key filter.
+ *
+ * One id query applies the spatial conditions *and* every other filter,
+ * ordered (by distance, else `selopts.orderBy` when it is a plain column)
+ * and paged by `selopts.limit` / `offset`, so the id list is never longer
+ * than the rows the caller gets back.  When the query ordered or paged,
+ * the ids come back as `order` and the caller must sort the final rows by
+ * them and drop its own order / limit / offset.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {Record<string, unknown>|undefined} where
+ * @param {{orderBy?:unknown, orderDesc?:boolean, limit?:number, offset?:number}=} selopts
+ * @returns {Promise<{where: Record<string, unknown>|undefined, order?: Array<number|string>}>}
+ */
+async function translateSpatialWhere(table, where, selopts = {}) {
+  const split = await splitSpatialWhere(table, where);
+  if (!split.spatial) return { where: split.where };
+
+  const pk = table.pk_name || 'id';
+  const plainOrder = typeof selopts?.orderBy === 'string'
+    && (await table.getFields()).some((f) => f.name === selopts.orderBy);
+  const paged = split.ordered || plainOrder || !!selopts?.limit || !!selopts?.offset;
+  const ids = await selectIdsWhere(table, split.where, split.spatial, {
+    ...(plainOrder ? { orderBy: selopts.orderBy, orderDesc: selopts.orderDesc } : {}),
+    limit: selopts?.limit,
+    offset: selopts?.offset,
+  });
+  dbg.debug('translateSpatialWhere()', { table: table.name, ids: ids.length, paged });
+
+  const out = { ...split.where };
+  out[pk] = out[pk] === undefined ? { in: ids } : [].concat(out[pk], { in: ids });
+  return { where: out, ...(paged ? { order: ids } : {}) };
+}
+
+/**
+ * Wrap `getRows`, `getRow`, `getJoinedRows` and `countRows` so spatial
+ * operands in their where-objects are translated first.
+ *
+ * @param {any} TableClass  Runtime Table class (0.x / 1.x).
+ * @returns {void}
+ */
+function patchSpatialWhere(TableClass) {
+  const proto = TableClass.prototype;
+
+  /** Strip ordering / paging that the ordered id query already applied. */
+  const unpaged = (o = {}) => {
+    const { orderBy, orderDesc, limit, offset, ...rest } = o || {};
+    return rest;
+  };
+
+  /** @type {Record<string, (original:Function) => Function>} */
+  const wrappers = {
+    getRows: (original) => async function getRows(where, selopts, ...rest) {
+      const t = await translateSpatialWhere(this, where, selopts);
+      if (!t.order) return original.call(this, t.where, selopts, ...rest);
+      const rows = await original.call(this, t.where, unpaged(selopts), ...rest);
+      return sortByIds(rows, t.order, this.pk_name || 'id');
+    },
+    getRow: (original) => async function getRow(where, selopts, ...rest) {
+      const t = await translateSpatialWhere(this, where, { ...(selopts || {}), limit: 1 });
+      if (!t.order) return original.call(this, t.where, selopts, ...rest);
+      if (!t.order.length) return null;
+      const pk = this.pk_name || 'id';
+      return original.call(this, { ...t.where, [pk]: t.order[0] }, unpaged(selopts), ...rest);
+    },
+    countRows: (original) => async function countRows(where, ...rest) {
+      const split = await splitSpatialWhere(this, where, { unordered: true });
+      if (!split.spatial) return original.call(this, split.where, ...rest);
+      return countWhere(this, split.where, split.spatial);
+    },
+    getJoinedRows: (original) => async function getJoinedRows(opts, ...rest) {
+      if (!opts?.where) return original.call(this, opts, ...rest);
+      const t = await translateSpatialWhere(this, opts.where, opts);
+      if (!t.order) return original.call(this, { ...opts, where: t.where }, ...rest);
+      const rows = await original.call(this, { ...unpaged(opts), where: t.where }, ...rest);
+      return sortByIds(rows, t.order, this.pk_name || 'id');
+    },
+  };
+
+  for (const [name, wrap] of Object.entries(wrappers)) {
+    const original = proto[name];
+    if (typeof original !== 'function') continue;
+    if (original.__postgisWherePatched) {
+      dbg.debug(`Table.${name} spatial where already patched – skipping.`);
+      continue;
+    }
+    const wrapped = wrap(original);
+    Object.assign(wrapped, original, { __postgisWherePatched: true });
+    proto[name] = wrapped;
+    dbg.info(`Patched Table.${name}() for spatial where operators.`);
+  }
+}
+
+module.exports = {
+  patchSpatialWhere,
+  translateSpatialWhere,
+  splitSpatialWhere,
+  combineConditions,
+  sortByIds,
+};
@@ -0,0 +1,154 @@
+/**
+ * patch-table-reads.js
+ * ---------------------------------------------------------------------------
+ * Monkey‑patches every Table read path – `getRows`, `getRow` and
+ * `getJoinedRows` (and therefore `getJoinedRow` and the REST API, which sit
+ * on top of them) – so each PostGIS field is handed back as **clean EWKT**,
+ * and Point columns additionally expose virtual `<col>_lat` / `<col>_lng`
+ * properties – indispensable for the Leaflet‑Map plug‑in and many other
+ * use‑cases.  Show views, list views and API consumers therefore all see
+ * the same row shape.
+ *
+ * Each wrapped method carries its own `__postgisPatched` flag, so the patch
+ * is idempotent and safe across multiple Saltcorn versions.  Normalisation
+ * itself is idempotent too, so a version whose `getRow` delegates to
+ * `getRows` is harmless.  (`countRows` returns no rows; its where-clause is
+ * handled by `patch-spatial-where.js` alongside the other read methods.)
+ *
+ * Author:       Troy Kelly <troy@team.production.city>
+ * First‑created: 2024‑04‑17
+ * This revision: 2025‑04‑19 – Full WKB → EWKT normalisation for *all*
+ *                             geometry/geography fields.
+ *                             `<col>_lat` / `<col>_lng` are re-projected to
+ *                             WGS-84 for projected-SRID columns.
+ *                Single normalisation layer for getRows, getRow and
+ *                getJoinedRows (was getRows only).
+ *                Opt-in centroid / bbox / area / length / GeoJSON /
+ *                vertex-count virtual props (see virtual-props.js).
+ * Licence:      CC0‑1.0  (see LICENCE)
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { toWkt, wktToLonLat } = require('../utils/geometry');
+const { reprojectWkt } = require('../utils/reproject');
+const { wantsVirtualProps, addVirtualProps } = require('./virtual-props');
+const { DEFAULT_SRID } = require('../constants');
+
+/** List of PostGIS type‑names handled by this plug‑in. */
+const PGIS_TYPES = new Set([
+  'geometry',
+  'geography',
+  'point',
+  'linestring',
+  'polygon',
+  'multipoint',
+  'multilinestring',
+  'multipolygon',
+  'geometrycollection',
+  'circularstring',
+  'compoundcurve',
+  'curvepolygon',
+  'multicurve',
+  'multisurface',
+  'polyhedralsurface',
+  'tin',
+  'triangle',
+]);
+
+/**
+ * Read methods to wrap and whether they resolve to one row or an array.
+ *
+ * @type {Readonly<Record<string, 'one'|'many'>>}
+ */
+const READ_METHODS = Object.freeze({
+  getRows: 'many',
+  getRow: 'one',
+  getJoinedRows: 'many',
+});
+
+/**
+ * Normalise rows **in place**: every PostGIS field becomes EWKT, Point
+ * fields gain `<name>_lat` / `<name>_lng` (always WGS-84) and fields that
+ * opt in get the virtual properties from `virtual-props.js`.
+ *
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @returns {Array<Record<string, unknown>>}
+ */
+function normaliseRows(rows, fields) {
+  const pointCols = fields.filter((f) => f.type?.name === 'point');
+  const pgisCols  = fields.filter((f) => PGIS_TYPES.has(f.type?.name));
+  const extraCols = pgisCols.filter(wantsVirtualProps);
+
+  if (pgisCols.length === 0) return rows;
+
+  for (const row of rows) {
+    if (!row || typeof row !== 'object') continue;
+
+    /* 1. Normalise EVERY PostGIS field to EWKT. */
+    for (const pc of pgisCols) {
+      const ewkt = toWkt(row[pc.name]);
+      if (ewkt) {
+        row[pc.name] = ewkt;
+        dbg.trace('Row normalised', { field: pc.name, ewkt: ewkt.slice(0, 32) });
+      }
+    }
+
+    /* 2. Add <name>_lat / <name>_lng for Point fields (always WGS-84). */
+    for (const p of pointCols) {
+      const ll = wktToLonLat(
+        reprojectWkt(row[p.name], DEFAULT_SRID, p.attributes?.srid) ??
+          row[p.name],
+      );
+      if (ll) {
+        row[`${p.name}_lat`] = ll[1]; // latitude
+        row[`${p.name}_lng`] = ll[0]; // longitude
+        dbg.trace('LatLng virtual props added', { field: p.name, ll });
+      }
+    }
+
+    /* 3. Opt-in centroid / bbox / area / length / GeoJSON / vertex count. */
+    for (const f of extraCols) addVirtualProps(row, f);
+  }
+  return rows;
+}
+
+/**
+ * @param {typeof import('@saltcorn/types/model-abstracts/abstract_table').Table} TableClass
+ *   The runtime Table class (shape differs between Saltcorn 0.x and 1.x).
+ * @returns {void}
+ */
+function patchTableReads(TableClass) {
+  const proto = TableClass.prototype;
+
+  for (const [name, kind] of Object.entries(READ_METHODS)) {
+    const original = proto[name];
+    if (typeof original !== 'function') continue;
+    if (original.__postgisPatched) {
+      dbg.debug(`Table.${name} already patched – skipping.`);
+      continue;
+    }
+
+    dbg.info(`Patching Table.${name}() for PostGIS support.`);
+
+    // eslint-disable-next-line func-names
+    const patched = async function (...args) {
+      dbg.trace(`${name}() intercepted`, { args });
+      const result = await original.apply(this, args);
+      if (!result || (kind === 'many' && !Array.isArray(result))) return result;
+
+      /** @type {import('@saltcorn/types').Field[]} */
+      const fields = await this.getFields();
+      if (fields.length === 0) return result;
+
+      normaliseRows(kind === 'one' ? [result] : result, fields);
+      return result;
+    };
+    patched.__postgisPatched = true;
+    proto[name] = patched;
+  }
+}
+
+module.exports = { patchTableReads, normaliseRows, PGIS_TYPES };
@@ -0,0 +1,182 @@
+/**
+ * patch-table-writes.js
+ * ---------------------------------------------------------------------------
+ * Monkey‑patches `Table.insertRow` and `Table.updateRow` so values written
+ * through Saltcorn's JS API, actions and triggers – which never pass through
+ * the type's `read` hook – are normalised exactly like form input:
+ *
+ *   • every PostGIS field is coerced to EWKT carrying the column SRID
+ *     (GeoJSON, `{ lat, lng }` objects, coordinate pairs, DMS and WKT
+ *     without an SRID are all accepted; WGS-84 input is re-projected);
+ *   • writes to the virtual `<point>_lat` / `<point>_lng` keys (the ones the
+ *     read patch adds) rebuild the Point.  On `updateRow` a single key is
+ *     enough – the other coordinate comes from the stored row;
+ *   • the read-only virtual props (`<col>_bbox`, `<col>_area_m2` …) of a
+ *     row read and written back are dropped.
+ *
+ * Values that cannot be parsed are passed through untouched so PostGIS
+ * reports the error as before.  The patch is idempotent
+ * (`__postgisWritePatched`) and keeps any flags set by other patches.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { normaliseInput } = require('../utils/geometry');
+const { reprojectWkt } = require('../utils/reproject');
+const { PGIS_TYPES } = require('./patch-table-reads');
+const { virtualPropKeys } = require('./virtual-props');
+const { DEFAULT_SRID } = require('../constants');
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Column SRID – the same default `sql-name.js` uses for the column DDL.
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {number}
+ */
+function columnSrid(field) {
+  return field.attributes?.srid ?? DEFAULT_SRID;
+}
+
+/**
+ * Any accepted input ➜ EWKT in the column SRID (an unparseable string comes
+ * back as is, anything else unparseable as `undefined`).
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @param {unknown} value
+ * @returns {string|undefined}
+ */
+function coerceValue(field, value) {
+  const srid = columnSrid(field);
+  if (typeof field.type?.read === 'function') {
+    return field.type.read(value, { ...(field.attributes || {}), srid });
+  }
+  const wkt = normaliseInput(value, { srid, subtype: field.attributes?.subtype });
+  return wkt && (reprojectWkt(wkt, srid) ?? wkt);
+}
+
+/**
+ * Is `v` an empty coordinate (absent, `null` or blank)?
+ *
+ * @param {unknown} v
+ * @returns {boolean}
+ */
+function isBlank(v) {
+  return v === null || v === undefined || (typeof v === 'string' && !v.trim());
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Normalise a row about to be written.  Returns a **copy**; the caller's
+ * object is left alone.
+ *
+ * @param {Record<string, unknown>} row
+ * @param {import('@saltcorn/types').Field[]} fields
+ * @param {() => Promise<Record<string, unknown>|null>=} loadExisting
+ *   Stored row, used to complete a lone `_lat` / `_lng` on update.
+ * @returns {Promise<Record<string, unknown>>}
+ */
+async function normaliseWrite(row, fields, loadExisting) {
+  if (!row || typeof row !== 'object') return row;
+  const pgisCols = fields.filter((f) => PGIS_TYPES.has(f.type?.name));
+  if (!pgisCols.length) return row;
+
+  const out = { ...row };
+  /** Stored columns that happen to share a virtual key's name win. */
+  const isRealColumn = (k) => fields.some((f) => f.name === k && !f.calculated);
+  let existing;
+
+  /* 1. Rebuild Points from virtual <col>_lat / <col>_lng keys. */
+  for (const p of pgisCols.filter((f) => f.type?.name === 'point')) {
+    const latKey = `${p.name}_lat`;
+    const lngKey = `${p.name}_lng`;
+    const hasLat = latKey in out && !isRealColumn(latKey);
+    const hasLng = lngKey in out && !isRealColumn(lngKey);
+    if (!hasLat && !hasLng) continue;
+
+    let lat = hasLat ? out[latKey] : undefined;
+    let lng = hasLng ? out[lngKey] : undefined;
+    if (hasLat) delete out[latKey];
+    if (hasLng) delete out[lngKey];
+    if (out[p.name] !== undefined) continue; // explicit geometry wins
+
+    if (hasLat && hasLng && isBlank(lat) && isBlank(lng)) {
+      out[p.name] = null;
+      continue;
+    }
+    if ((!hasLat || !hasLng) && loadExisting) {
+      if (existing === undefined) existing = (await loadExisting()) || null;
+      if (!hasLat) lat = existing?.[latKey];
+      if (!hasLng) lng = existing?.[lngKey];
+    }
+
+    const pt = isBlank(lat) || isBlank(lng) ? undefined : normaliseInput({ lat, lng });
+    if (pt) {
+      out[p.name] = reprojectWkt(pt, columnSrid(p)) ?? pt;
+    } else {
+      dbg.warn('Ignoring incomplete or invalid lat/lng write', { field: p.name, lat, lng });
+    }
+  }
+
+  /* 2. Drop read-only virtual props (centroid, bbox …) echoed back. */
+  for (const f of pgisCols) {
+    for (const k of virtualPropKeys(f)) {
+      if (k in out && !isRealColumn(k)) delete out[k];
+    }
+  }
+
+  /* 3. Coerce every PostGIS value to EWKT in the column SRID. */
+  for (const f of pgisCols) {
+    const v = out[f.name];
+    if (v === null || v === undefined) continue;
+    const ewkt = coerceValue(f, v);
+    if (ewkt) out[f.name] = ewkt;
+    else dbg.warn('Could not normalise written value – passing through', { field: f.name });
+  }
+  return out;
+}
+
+/**
+ * Wrap `insertRow(v, …)` and `updateRow(v, id, …)`.
+ *
+ * @param {any} TableClass  Runtime Table class (0.x / 1.x).
+ * @returns {void}
+ */
+function patchTableWrites(TableClass) {
+  const proto = TableClass.prototype;
+
+  /** @type {Record<string, (original:Function) => Function>} */
+  const wrappers = {
+    insertRow: (original) => async function insertRow(v, ...rest) {
+      const row = await normaliseWrite(v, await this.getFields());
+      return original.call(this, row, ...rest);
+    },
+    updateRow: (original) => async function updateRow(v, id, ...rest) {
+      const pk = this.pk_name || 'id';
+      const row = await normaliseWrite(v, await this.getFields(), () =>
+        this.getRow({ [pk]: id }));
+      return original.call(this, row, id, ...rest);
+    },
+  };
+
+  for (const [name, wrap] of Object.entries(wrappers)) {
+    const original = proto[name];
+    if (typeof original !== 'function') continue;
+    if (original.__postgisWritePatched) {
+      dbg.debug(`Table.${name} already patched – skipping.`);
+      continue;
+    }
+    const wrapped = wrap(original);
+    Object.assign(wrapped, original, { __postgisWritePatched: true });
+    proto[name] = wrapped;
+    dbg.info(`Patched Table.${name}() for PostGIS input normalisation.`);
+  }
+}
+
+module.exports = { patchTableWrites, normaliseWrite };
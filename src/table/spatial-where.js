@@ -0,0 +1,325 @@
+/**
+ * spatial-where.js
+ * ---------------------------------------------------------------------------
+ * Spatial predicates that Saltcorn's where-object DSL cannot express.
+ *
+ * Saltcorn builds SQL from plain `{ field: value }` objects; there is no
+ * escape hatch for raw SQL.  These helpers run a small id-only query that
+ * combines the ordinary where-object (via `db.mkWhere`) with a PostGIS
+ * predicate, then hand the matching primary keys back so the caller can use
+ * the regular `table.getRows({ id: { in: ids } })` path – field parsing,
+ * calculated fields and our own `getRows` patch all keep working.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { DEFAULT_SRID } = require('../constants');
+
+/** Mercator-safe latitude limit – envelopes beyond it cannot be projected. */
+const MAX_PROJECTED_LAT = 85.05112878;
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Lazily resolve the Saltcorn db module (absent when linted stand-alone).
+ *
+ * @returns {any}
+ */
+function getDb() {
+  // eslint-disable-next-line global-require
+  return require('@saltcorn/data/db');
+}
+
+/**
+ * Clamp a number into `[lo, hi]`.
+ *
+ * @param {number} v
+ * @param {number} lo
+ * @param {number} hi
+ * @returns {number}
+ */
+function clamp(v, lo, hi) {
+  return Math.min(hi, Math.max(lo, v));
+}
+
+/**
+ * `from … where …` for a where-object plus a spatial condition.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {Record<string, unknown>} where
+ * @param {(firstIndex:number) => ({sql:string, values:unknown[], order?:string}|undefined)} spatial
+ * @returns {{sql:string, values:unknown[], order?:string}}
+ */
+function fromWhere(table, where, spatial) {
+  const db = getDb();
+  const { where: whereSql, values } = db.mkWhere(where || {});
+  const cond = spatial(values.length + 1);
+
+  const clauses = [];
+  if (whereSql) clauses.push(whereSql.replace(/^where\s+/iu, ''));
+  if (cond) {
+    if (cond.sql) clauses.push(cond.sql);
+    values.push(...cond.values);
+  }
+  return {
+    sql: `from ${db.getTenantSchemaPrefix()}"${db.sqlsanitize(table.name)}"` +
+      (clauses.length ? ` where ${clauses.join(' and ')}` : ''),
+    values,
+    ...(cond?.order ? { order: cond.order } : {}),
+  };
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Parse a WGS-84 bounding box.  Accepts `"west,south,east,north"`, a
+ * 4-element array or `{ west, south, east, north }`.
+ *
+ * @param {unknown} v
+ * @returns {[number, number, number, number]|undefined}
+ */
+function parseBbox(v) {
+  if (v === null || v === undefined || v === '') return undefined;
+
+  let parts;
+  if (Array.isArray(v)) parts = v;
+  else if (typeof v === 'object') {
+    const o = /** @type {Record<string, unknown>} */ (v);
+    parts = [o.west, o.south, o.east, o.north];
+  } else parts = String(v).split(',');
+
+  const nums = parts.map(Number);
+  if (nums.length !== 4 || nums.some((n) => !Number.isFinite(n))) return undefined;
+
+  const [w, s, e, n] = nums;
+  if (w >= e || s >= n) return undefined;
+  return [w, s, e, n];
+}
+
+/**
+ * Overlap of two bounding boxes, `undefined` if either is missing, or
+ * `null` when they do not intersect at all.
+ *
+ * @param {[number, number, number, number]|undefined} a
+ * @param {[number, number, number, number]|undefined} b
+ * @returns {[number, number, number, number]|undefined|null}
+ */
+function intersectBbox(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const out = [
+    Math.max(a[0], b[0]),
+    Math.max(a[1], b[1]),
+    Math.min(a[2], b[2]),
+    Math.min(a[3], b[3]),
+  ];
+  return out[0] < out[2] && out[1] < out[3]
+    ? /** @type {[number, number, number, number]} */ (out)
+    : null;
+}
+
+/**
+ * SQL fragment restricting `column` to rows touching a WGS-84 bbox.
+ * Uses `&&` so a GiST index is hit, then `ST_Intersects` for exactness.
+ * Returns `undefined` when the box spans the whole world (no-op filter).
+ *
+ * @param {string} column    Column name (sanitised here).
+ * @param {[number, number, number, number]} bbox
+ * @param {object} opts
+ * @param {number=} opts.srid        Column SRID (default 4326).
+ * @param {boolean=} opts.geography  Geography column.
+ * @param {number=} opts.firstIndex  Number of the first `$n` placeholder.
+ * @returns {{sql:string, values:number[]}|undefined}
+ */
+function bboxCondition(column, bbox, opts = {}) {
+  const db = getDb();
+  const srid = Number(opts.srid) || DEFAULT_SRID;
+  const first = opts.firstIndex || 1;
+
+  let [w, s, e, n] = bbox;
+  if (e - w >= 360) return undefined;
+
+  const latLimit = srid === DEFAULT_SRID || opts.geography ? 90 : MAX_PROJECTED_LAT;
+  w = clamp(w, -180, 180);
+  e = clamp(e, -180, 180);
+  s = clamp(s, -latLimit, latLimit);
+  n = clamp(n, -latLimit, latLimit);
+
+  const ph = [0, 1, 2, 3].map((i) => `$${first + i}`).join(',');
+  let env = `ST_MakeEnvelope(${ph},${DEFAULT_SRID})`;
+  if (opts.geography) env = `${env}::geography`;
+  else if (srid !== DEFAULT_SRID) env = `ST_Transform(${env},${srid})`;
+
+  const col = `"${db.sqlsanitize(column)}"`;
+  return {
+    sql: `${col} && ${env} and ST_Intersects(${col}, ${env})`,
+    values: [w, s, e, n],
+  };
+}
+
+/**
+ * SQL fragment restricting `column` to rows intersecting an (E)WKT shape.
+ * Untagged input is taken as WGS-84; the shape is transformed to the column
+ * SRID (or cast to geography) in the database.
+ *
+ * @param {string} column
+ * @param {string} ewkt
+ * @param {object} opts
+ * @param {number=} opts.srid
+ * @param {boolean=} opts.geography
+ * @param {number=} opts.firstIndex
+ * @returns {{sql:string, values:string[]}}
+ */
+function intersectsCondition(column, ewkt, opts = {}) {
+  const db = getDb();
+  const srid = Number(opts.srid) || DEFAULT_SRID;
+  const ph = `$${opts.firstIndex || 1}`;
+  const tagged = /^SRID=\d+;/iu.test(ewkt) ? ewkt : `SRID=${DEFAULT_SRID};${ewkt}`;
+
+  const shape = opts.geography
+    ? `ST_Transform(ST_GeomFromEWKT(${ph}),${DEFAULT_SRID})::geography`
+    : `ST_Transform(ST_GeomFromEWKT(${ph}),${srid})`;
+  return {
+    sql: `ST_Intersects("${db.sqlsanitize(column)}", ${shape})`,
+    values: [tagged],
+  };
+}
+
+/**
+ * Distance from a WGS-84 point, in metres on the spheroid.  Returns an
+ * optional `ST_DWithin` condition plus an `ST_Distance` expression usable
+ * for ordering (both share the point placeholders).
+ *
+ * Geometry columns are cast to geography (after `ST_Transform` for
+ * projected SRIDs) so the radius is always in metres; only geography
+ * columns can use a plain GiST index for the radius test.
+ *
+ * @param {string} column
+ * @param {[number, number]} lonLat
+ * @param {object} opts
+ * @param {number=} opts.srid
+ * @param {boolean=} opts.geography
+ * @param {number=} opts.withinM     Radius in metres (omit for ordering only).
+ * @param {number=} opts.firstIndex
+ * @returns {{sql:string, values:number[], order:string}}
+ */
+function nearCondition(column, lonLat, opts = {}) {
+  const db = getDb();
+  const srid = Number(opts.srid) || DEFAULT_SRID;
+  const first = opts.firstIndex || 1;
+  const col = `"${db.sqlsanitize(column)}"`;
+
+  const colGeog = opts.geography
+    ? col
+    : srid === DEFAULT_SRID
+      ? `${col}::geography`
+      : `ST_Transform(${col},${DEFAULT_SRID})::geography`;
+  const pt = `ST_SetSRID(ST_MakePoint($${first},$${first + 1}),${DEFAULT_SRID})::geography`;
+
+  const values = [lonLat[0], lonLat[1]];
+  let sql = '';
+  if (Number.isFinite(opts.withinM) && opts.withinM >= 0) {
+    sql = `ST_DWithin(${colGeog}, ${pt}, $${first + 2})`;
+    values.push(opts.withinM);
+  }
+  return { sql, values, order: `ST_Distance(${colGeog}, ${pt})` };
+}
+
+/**
+ * Primary keys of rows matching an ordinary where-object **and** a spatial
+ * SQL condition, with ordering and limit applied in the database.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {Record<string, unknown>} where
+ * @param {(firstIndex:number) => ({sql:string, values:unknown[], order?:string}|undefined)} spatial
+ *   Builder for the spatial fragment, given its first placeholder number.
+ *   An `order` expression, when returned, takes precedence over `orderBy`.
+ * @param {object=} selopts
+ * @param {string=}  selopts.orderBy
+ * @param {boolean=} selopts.orderDesc
+ * @param {number=}  selopts.limit
+ * @param {number=}  selopts.offset
+ * @returns {Promise<Array<number|string>>}
+ */
+async function selectIdsWhere(table, where, spatial, selopts = {}) {
+  const db = getDb();
+  const pk = table.pk_name || 'id';
+  const from = fromWhere(table, where, spatial);
+  const { values } = from;
+
+  let sql = `select "${db.sqlsanitize(pk)}" as id ${from.sql}`;
+  if (from.order) {
+    sql += ` order by ${from.order}`;
+  } else if (selopts.orderBy) {
+    sql += ` order by "${db.sqlsanitize(selopts.orderBy)}"${selopts.orderDesc ? ' desc' : ''}`;
+  }
+  const limit = Number(selopts.limit);
+  if (Number.isInteger(limit) && limit > 0) sql += ` limit ${limit}`;
+  const offset = Number(selopts.offset);
+  if (Number.isInteger(offset) && offset > 0) sql += ` offset ${offset}`;
+
+  dbg.debug('selectIdsWhere()', { sql, values });
+  const { rows } = await db.query(sql, values);
+  return rows.map((r) => r.id);
+}
+
+/**
+ * Number of rows matching an ordinary where-object **and** a spatial SQL
+ * condition, counted in the database.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {Record<string, unknown>} where
+ * @param {(firstIndex:number) => ({sql:string, values:unknown[], order?:string}|undefined)} spatial
+ * @returns {Promise<number>}
+ */
+async function countWhere(table, where, spatial) {
+  const from = fromWhere(table, where, spatial);
+  const sql = `select count(*) as n ${from.sql}`;
+  dbg.debug('countWhere()', { sql, values: from.values });
+  const { rows } = await getDb().query(sql, from.values);
+  return Number(rows[0]?.n) || 0;
+}
+
+/**
+ * Cheap WGS-84 extent of a column from planner statistics
+ * (`ST_EstimatedExtent`) – no table scan, so safe on huge tables.  Returns
+ * `undefined` when the table has never been analysed or PostGIS refuses.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {string} column
+ * @param {number=} srid  Column SRID.
+ * @returns {Promise<[number, number, number, number]|undefined>}
+ */
+async function estimatedExtent(table, column, srid) {
+  const db = getDb();
+  const s = Number(srid) || DEFAULT_SRID;
+  const box = `ST_SetSRID(ST_EstimatedExtent($1, $2, $3)::geometry, ${s})`;
+  const wgs = s === DEFAULT_SRID ? box : `ST_Transform(${box}, ${DEFAULT_SRID})`;
+  try {
+    const { rows } = await db.query(
+      `select ST_XMin(e) as w, ST_YMin(e) as s, ST_XMax(e) as e, ST_YMax(e) as n
+         from (select ${wgs} as e) x`,
+      [db.getTenantSchema(), table.name, column],
+    );
+    const r = rows[0];
+    return r && r.w !== null ? parseBbox([r.w, r.s, r.e, r.n]) : undefined;
+  } catch (e) {
+    dbg.debug('estimatedExtent() unavailable', e.message);
+    return undefined;
+  }
+}
+
+module.exports = {
+  parseBbox,
+  intersectBbox,
+  bboxCondition,
+  intersectsCondition,
+  nearCondition,
+  selectIdsWhere,
+  countWhere,
+  estimatedExtent,
+};
@@ -0,0 +1,245 @@
+/**
+ * srid-migration.js
+ * ---------------------------------------------------------------------------
+ * Migrates an existing PostGIS column to a new SRID (and / or dimension):
+ *
+ *   ALTER TABLE … ALTER COLUMN … TYPE geometry(<sub>,<new>)
+ *     USING ST_Transform(…, <new>)
+ *
+ * Changing the `srid` attribute of a field only changes what `sql_name`
+ * returns; Saltcorn's own `alter_sql_type` then casts the column
+ * (`USING col::geometry(Point,3857)`), which PostGIS rejects because the
+ * data is still in the old SRID.  `patchFieldAlter` wraps `alter_sql_type`
+ * so PostGIS → PostGIS changes go through `migrateColumn` instead.
+ *
+ * The SRID the column *actually* has is read from `geometry_columns` /
+ * `geography_columns`, so a column whose attribute and typmod have already
+ * drifted apart is migrated from the right place.  Rows stored with SRID 0
+ * are assumed to be in that SRID.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('../utils/debug');
+const { PGIS_TYPES } = require('./patch-table-reads');
+const { DEFAULT_SRID } = require('../constants');
+
+/** `ST_Force*` function per dimension modifier. */
+const FORCE_DIM = Object.freeze({ '': 'ST_Force2D', Z: 'ST_Force3DZ', M: 'ST_Force3DM', ZM: 'ST_Force4D' });
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Lazily resolve the Saltcorn db module (absent when linted stand-alone).
+ *
+ * @returns {any}
+ */
+function getDb() {
+  // eslint-disable-next-line global-require
+  return require('@saltcorn/data/db');
+}
+
+/**
+ * Quoted identifier.
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+function q(id) {
+  return `"${getDb().sqlsanitize(id)}"`;
+}
+
+/**
+ * Concrete column type for `attrs`, e.g. `geometry(POINT,3857)`.
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @param {Record<string, any>} attrs
+ * @returns {string}
+ */
+function columnType(field, attrs) {
+  return String(field.type.sql_name(attrs));
+}
+
+/**
+ * `BOX(x1 y1,x2 y2)` ➜ `[xmin, ymin, xmax, ymax]`.
+ *
+ * @param {string|null} box
+ * @returns {number[]|null}
+ */
+function parseBox(box) {
+  const m = box && /BOX\(([^ ]+) ([^,]+),([^ ]+) ([^)]+)\)/u.exec(box);
+  return m ? m.slice(1).map(Number) : null;
+}
+
+/**
+ * Validate an SRID (positive integer).
+ *
+ * @param {unknown} v
+ * @returns {number}
+ */
+function toSrid(v) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid SRID “${v}”.`);
+  return n;
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * SRID of the column as PostGIS has it (typmod), falling back to the
+ * field attribute.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {Promise<number>}
+ */
+async function currentColumnSrid(table, field) {
+  const db = getDb();
+  const { rows } = await db.query(
+    `select srid from geometry_columns
+      where f_table_schema = $1 and f_table_name = $2 and f_geometry_column = $3
+     union all
+     select srid from geography_columns
+      where f_table_schema = $1 and f_table_name = $2 and f_geography_column = $3`,
+    [db.getTenantSchema(), table.name, field.name],
+  );
+  const srid = Number(rows[0]?.srid);
+  return srid > 0 ? srid : field.attributes?.srid ?? DEFAULT_SRID;
+}
+
+/**
+ * SQL expression converting the stored column to `toSrid` / `dim`.
+ *
+ * @param {string} col  Quoted column name (geometry or geography).
+ * @param {{fromSrid:number, toSrid:number, dim?:string, geography?:boolean}} o
+ *   `geography` – the target column is geography.
+ * @returns {string}
+ */
+function transformExpression(col, { fromSrid, toSrid: to, dim, geography = false }) {
+  const g = `${col}::geometry`;
+  let expr = `ST_Transform(case when ST_SRID(${g}) = 0 then ST_SetSRID(${g}, ${fromSrid}) ` +
+    `else ${g} end, ${to})`;
+  if (dim !== undefined) {
+    expr = `${FORCE_DIM[String(dim).toUpperCase()] || FORCE_DIM['']}(${expr})`;
+  }
+  return geography ? `${expr}::geography` : expr;
+}
+
+/**
+ * Dry run: row counts and the extent before / after re-projection.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {import('@saltcorn/types').Field} field
+ * @param {number|string} newSrid
+ * @returns {Promise<{rows:number, nonNull:number, fromSrid:number, toSrid:number,
+ *   fromType:string, toType:string, extentFrom:number[]|null, extentTo:number[]|null}>}
+ */
+async function previewSridChange(table, field, newSrid) {
+  const db = getDb();
+  const to = toSrid(newSrid);
+  const fromSrid = await currentColumnSrid(table, field);
+
+  const { rows: known } = await db.query('select 1 from spatial_ref_sys where srid = $1', [to]);
+  if (!known.length) throw new Error(`SRID ${to} is not in spatial_ref_sys.`);
+
+  const src = `${q(field.name)}::geometry`;
+  const { rows } = await db.query(
+    `with s as (
+       select case when ST_SRID(${src}) = 0 then ST_SetSRID(${src}, ${fromSrid}) else ${src} end as g
+         from ${q(db.getTenantSchema())}.${q(table.name)})
+     select count(*)::int as total, count(g)::int as filled,
+            ST_Extent(g)::text as extent_from,
+            ST_Extent(ST_Transform(g, ${to}))::text as extent_to
+       from s`,
+  );
+  const r = rows[0] || {};
+  const attrs = field.attributes || {};
+  return {
+    rows: r.total ?? 0,
+    nonNull: r.filled ?? 0,
+    fromSrid,
+    toSrid: to,
+    fromType: columnType(field, { ...attrs, srid: fromSrid }),
+    toType: columnType(field, { ...attrs, srid: to }),
+    extentFrom: parseBox(r.extent_from),
+    extentTo: parseBox(r.extent_to),
+  };
+}
+
+/**
+ * Alter the column to the type `newAttrs` describe, transforming the data.
+ * Does not touch the field's stored attributes.
+ *
+ * @param {import('@saltcorn/types').Table} table
+ * @param {import('@saltcorn/types').Field} field
+ * @param {Record<string, any>} newAttrs
+ * @returns {Promise<{fromSrid:number, toSrid:number, toType:string}>}
+ */
+async function migrateColumn(table, field, newAttrs) {
+  const db = getDb();
+  const to = toSrid(newAttrs.srid ?? DEFAULT_SRID);
+  const fromSrid = await currentColumnSrid(table, field);
+  const toType = columnType(field, { ...newAttrs, srid: to });
+  const col = q(field.name);
+  const using = transformExpression(col, {
+    fromSrid,
+    toSrid: to,
+    dim: newAttrs.dim ?? '',
+    geography: toType.startsWith('geography'),
+  });
+
+  dbg.info('Migrating PostGIS column', { table: table.name, field: field.name, fromSrid, to, toType });
+  await db.query(
+    `alter table ${q(db.getTenantSchema())}.${q(table.name)} ` +
+      `alter column ${col} type ${toType} using ${using}`,
+  );
+  return { fromSrid, toSrid: to, toType };
+}
+
+/**
+ * Wrap `Field.prototype.alter_sql_type` so PostGIS → PostGIS type changes
+ * (SRID, dimension) transform the data rather than cast it.
+ *
+ * @param {any} FieldClass  Runtime Field class.
+ * @returns {void}
+ */
+function patchFieldAlter(FieldClass) {
+  const proto = FieldClass?.prototype;
+  const original = proto?.alter_sql_type;
+  if (typeof original !== 'function') return;
+  if (original.__postgisAlterPatched) {
+    dbg.debug('Field.alter_sql_type already patched – skipping.');
+    return;
+  }
+
+  const wrapped = async function alter_sql_type(newField, ...rest) {
+    const spatial = PGIS_TYPES.has(this.type?.name) && PGIS_TYPES.has(newField?.type?.name) &&
+      !newField.primary_key;
+    if (!spatial) return original.call(this, newField, ...rest);
+
+    if (typeof this.fill_table === 'function') this.fill_table();
+    const table = await this.table;
+    if (!table) return original.call(this, newField, ...rest);
+
+    // Renames are applied after the type change, so the column is still `this.name`.
+    const target = { name: this.name, type: newField.type, attributes: newField.attributes || {} };
+    await migrateColumn(table, target, target.attributes);
+    // eslint-disable-next-line global-require
+    await require('@saltcorn/data/db/state').getState().refresh_tables();
+    return undefined;
+  };
+  Object.assign(wrapped, original, { __postgisAlterPatched: true });
+  proto.alter_sql_type = wrapped;
+  dbg.info('Patched Field.alter_sql_type() for PostGIS SRID migration.');
+}
+
+module.exports = {
+  currentColumnSrid,
+  transformExpression,
+  previewSridChange,
+  migrateColumn,
+  patchFieldAlter,
+};
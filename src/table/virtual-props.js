@@ -0,0 +1,129 @@
+/**
+ * virtual-props.js
+ * ---------------------------------------------------------------------------
+ * Opt-in, per-field virtual properties added to rows by the read patch:
+ *
+ *   <col>_centroid_lat / <col>_centroid_lng   WGS-84 centroid
+ *   <col>_bbox                                [west, south, east, north]
+ *   <col>_area_m2                             area in m² (0 unless polygonal)
+ *   <col>_length_m                            length in m (0 unless lineal)
+ *   <col>_geojson                             WGS-84 GeoJSON geometry
+ *   <col>_vertex_count                        number of positions
+ *
+ * Each group is switched on by a Bool type attribute (`VIRTUAL_PROP_ATTRS`)
+ * and computed in JS from the parsed geometry – no extra SQL.  Columns in a
+ * projected SRID are re-projected to WGS-84 first; area and length are
+ * geodesic (see the measurement helpers in `geometry.js`).
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable no-magic-numbers */
+
+const dbg = require('../utils/debug');
+const { geoJSONParts, geodesicArea, geodesicLength } = require('../utils/geometry');
+const { toDisplayGeoJSON } = require('../utils/reproject');
+const { bboxOf, centroidOf } = require('../utils/spatial-ops');
+
+/**
+ * Field attributes that enable each virtual property group.
+ *
+ * @type {ReadonlyArray<import('@saltcorn/types').TypeAttribute>}
+ */
+const VIRTUAL_PROP_ATTRS = Object.freeze([
+  {
+    name:     'virtual_centroid',
+    label:    'Add <field>_centroid_lat / _lng',
+    sublabel: 'Virtual row properties computed on read (WGS-84)',
+    type:     'Bool',
+    default:  false,
+  },
+  { name: 'virtual_bbox',         label: 'Add <field>_bbox',         type: 'Bool', default: false },
+  { name: 'virtual_area',         label: 'Add <field>_area_m2',      type: 'Bool', default: false },
+  { name: 'virtual_length',       label: 'Add <field>_length_m',     type: 'Bool', default: false },
+  { name: 'virtual_geojson',      label: 'Add <field>_geojson',      type: 'Bool', default: false },
+  { name: 'virtual_vertex_count', label: 'Add <field>_vertex_count', type: 'Bool', default: false },
+]);
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Row keys the opted-in virtual properties of `field` occupy.
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {string[]}
+ */
+function virtualPropKeys(field) {
+  const a = field.attributes || {};
+  const col = field.name;
+  return [
+    ...(a.virtual_centroid ? [`${col}_centroid_lat`, `${col}_centroid_lng`] : []),
+    ...(a.virtual_bbox ? [`${col}_bbox`] : []),
+    ...(a.virtual_area ? [`${col}_area_m2`] : []),
+    ...(a.virtual_length ? [`${col}_length_m`] : []),
+    ...(a.virtual_geojson ? [`${col}_geojson`] : []),
+    ...(a.virtual_vertex_count ? [`${col}_vertex_count`] : []),
+  ];
+}
+
+/**
+ * Does `field` opt in to any virtual property?
+ *
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {boolean}
+ */
+function wantsVirtualProps(field) {
+  return virtualPropKeys(field).length > 0;
+}
+
+/**
+ * Add the opted-in virtual properties of `field` to `row` (in place).
+ *
+ * @param {Record<string, unknown>} row
+ * @param {import('@saltcorn/types').Field} field
+ * @returns {void}
+ */
+function addVirtualProps(row, field) {
+  const a = field.attributes || {};
+  const display = /** @type {Record<string, any>|undefined} */ (
+    toDisplayGeoJSON(row[field.name], a.srid)
+  );
+  const gj = display?.type === 'Feature' ? display.geometry : display;
+  if (!gj) return;
+
+  const col = field.name;
+  const parts = geoJSONParts(gj);
+  const positions = [...parts.points, ...parts.lines.flat(), ...parts.polygons.flat(2)];
+
+  if (a.virtual_centroid) {
+    const c = centroidOf(parts);
+    if (c) {
+      row[`${col}_centroid_lat`] = c[1];
+      row[`${col}_centroid_lng`] = c[0];
+    }
+  }
+  if (a.virtual_bbox) {
+    const bbox = bboxOf(parts);
+    if (bbox) row[`${col}_bbox`] = bbox;
+  }
+  if (a.virtual_area) {
+    row[`${col}_area_m2`] = parts.polygons.reduce((s, p) => s + geodesicArea(p), 0);
+  }
+  if (a.virtual_length) {
+    row[`${col}_length_m`] = parts.lines.reduce((s, l) => s + geodesicLength(l), 0);
+  }
+  if (a.virtual_geojson) row[`${col}_geojson`] = gj;
+  if (a.virtual_vertex_count) row[`${col}_vertex_count`] = positions.length;
+
+  dbg.trace('Virtual props added', { field: col });
+}
+
+module.exports = {
+  VIRTUAL_PROP_ATTRS,
+  virtualPropKeys,
+  wantsVirtualProps,
+  addVirtualProps,
+};
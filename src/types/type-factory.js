@@ -7,6 +7,9 @@
  *
  * Author:   Troy Kelly <troy@team.production.city>
  * Updated:  2025-04-27 – Universal Leaflet add-on attributes
+ *           – `text`, `point_marker` and `leaflet_draw` field-views
+ *           – value-level `validate` hook
+ *           – opt-in virtual property attributes
  * Licence:  CC0-1.0
  */
 
@@ -22,11 +25,17 @@ const {
 } = require('../constants');
 
 const { sqlNameFactory }  = require('../utils/sql-name');
-const { validateAttrs, toWkt } = require('../utils/geometry');
+const { validateAttrs, normaliseInput } = require('../utils/geometry');
+const { reprojectWkt }    = require('../utils/reproject');
+const { validateGeometry } = require('../utils/validate-geometry');
 
 const { mapEditView } = require('../leaflet/map-edit-view');
 const { showView }    = require('../leaflet/show-view');
 const { rawView }     = require('../leaflet/raw-view');
+const { textEditView }         = require('../leaflet/text-edit-view');
+const { leafletPointEditView } = require('../leaflet/point-edit-view');
+const { drawFieldViewFor }     = require('../leaflet/draw-views');
+const { VIRTUAL_PROP_ATTRS }   = require('../table/virtual-props');
 
 /* ─────────────────────────── Constants ─────────────────────────── */
 
@@ -165,13 +174,31 @@ function makeType(cfg) {
     });
   }
 
+  /* Opt-in virtual row properties (centroid, bbox, area …) */
+  attributes.push(...VIRTUAL_PROP_ATTRS);
+
   /* Append the shared Leaflet-add-on toggles */
   attributes.push(...SHARED_LEAFLET_ATTRS);
 
   /* Field-views ---------------------------------------------------- */
-  const editFV     = mapEditView(name.toLowerCase());
+  const typeKey    = name.toLowerCase();
+  const editFV     = mapEditView(typeKey);
   const mapPreview = { ...showView(), name: 'map', isEdit: true };
 
+  /** @type {Record<string, import('@saltcorn/types').FieldViewObj>} */
+  const fieldviews = {
+    edit: editFV,
+    raw : rawView(),
+    map : mapPreview,
+    show: showView(),
+    text: textEditView(),
+  };
+  if (typeKey === 'point') {
+    fieldviews.point_marker = leafletPointEditView(typeKey);
+  }
+  const drawFV = drawFieldViewFor(typeKey);
+  if (drawFV) fieldviews.leaflet_draw = drawFV;
+
   /* Final Saltcorn Type object ------------------------------------ */
   return Object.freeze({
     name,
@@ -180,21 +207,58 @@ function makeType(cfg) {
     attributes,
     validate_attributes: validateAttrs,
 
-    fieldviews: {
-      edit: editFV,
-      raw : rawView(),
-      map : mapPreview,
-      show: showView(),
-    },
+    fieldviews,
+
+    /* ---------- Value validation ---------- */
+    /**
+     * Reject values PostGIS would refuse (wrong type / dim, broken rings,
+     * out-of-range geography) with a friendly form message.
+     *
+     * @param {import('../types').PostGISTypeAttrs=} attrs
+     * @returns {(v: unknown) => true|{error:string}}
+     */
+    validate: (attrs = {}) => (v) =>
+      validateGeometry(v, {
+        subtype:   subtype || attrs.subtype,
+        dim:       attrs.dim,
+        geography: base === 'GEOGRAPHY',
+        srid:      attrs.srid,
+      }),
 
     /* ---------- Runtime converters ---------- */
-    read(v) {
+    /**
+     * Form / API value ➜ EWKT.  Saltcorn routes both form submissions and
+     * API payloads through `read(v, attrs)` (there is no separate
+     * form-data hook that receives the field attributes), so all input
+     * normalisation happens here: GeoJSON, `lat, lng` / `lng lat` pairs, DMS
+     * and hex-EWKB are accepted alongside WKT / EWKT.
+     *
+     * When the value carries an SRID that differs from the column (the
+     * Leaflet editors, GeoJSON and coordinate pairs are EPSG:4326) it is
+     * re-projected back to the column SRID before it reaches PostGIS.
+     *
+     * A string that is not a recognisable geometry comes back unchanged so
+     * `validate` can reject it with a message (rather than the field being
+     * reported as missing).
+     *
+     * @param {unknown} v
+     * @param {import('../types').PostGISTypeAttrs=} attrs
+     * @returns {string|undefined}
+     */
+    read(v, attrs) {
       if (v === null || v === undefined) return undefined;
+      const raw = typeof v === 'string' && v.trim() ? v : undefined;
       try {
-        return toWkt(Buffer.isBuffer(v) ? v : String(v));
+        const wkt = normaliseInput(v, {
+          srid:    attrs?.srid,
+          subtype: subtype || attrs?.subtype,
+        });
+        if (!wkt) return raw;
+        if (!attrs?.srid) return wkt;
+        return reprojectWkt(wkt, attrs.srid) ?? wkt;
       } catch (e) {
         dbg.warn('type.read() failed', e);
-        return undefined;
+        return raw;
       }
     },
 
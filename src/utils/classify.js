@@ -0,0 +1,291 @@
+/**
+ * classify.js
+ * ---------------------------------------------------------------------------
+ * Thematic-map helpers: numeric classification (quantile, equal interval,
+ * Jenks natural breaks), categorical grouping and colour ramps.  Pure
+ * functions – the composite map runs them server-side and ships only the
+ * resulting classes to the browser.
+ *
+ * Author:  Troy Kelly  <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable no-magic-numbers */
+
+const dbg = require('./debug');
+
+/** Jenks is O(k·n²); larger inputs are down-sampled to this many values. */
+const JENKS_MAX_VALUES = 2000;
+
+/** Colour used for values outside every class (NULL, "other" …). */
+const OTHER_COLOUR = '#bdbdbd';
+
+/**
+ * Colour ramps.  Sequential / diverging ramps are interpolated to the class
+ * count; qualitative ramps are cycled.
+ *
+ * @type {Readonly<Record<string, {kind:'sequential'|'diverging'|'qualitative', colours:string[]}>>}
+ */
+const COLOUR_RAMPS = Object.freeze({
+  Blues:    { kind: 'sequential', colours: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'] },
+  Greens:   { kind: 'sequential', colours: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'] },
+  Reds:     { kind: 'sequential', colours: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'] },
+  Oranges:  { kind: 'sequential', colours: ['#feedde', '#fdbe85', '#fd8d3c', '#e6550d', '#a63603'] },
+  Purples:  { kind: 'sequential', colours: ['#f2f0f7', '#cbc9e2', '#9e9ac8', '#756bb1', '#54278f'] },
+  YlOrRd:   { kind: 'sequential', colours: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'] },
+  YlGnBu:   { kind: 'sequential', colours: ['#ffffcc', '#a1dab4', '#41b6c4', '#2c7fb8', '#253494'] },
+  Viridis:  { kind: 'sequential', colours: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+  RdYlGn:   { kind: 'diverging', colours: ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641'] },
+  RdBu:     { kind: 'diverging', colours: ['#ca0020', '#f4a582', '#f7f7f7', '#92c5de', '#0571b0'] },
+  Set1:     {
+    kind: 'qualitative',
+    colours: ['#e41a1c', '#377eb8', '#4daf4a', '#984ea3', '#ff7f00', '#ffff33', '#a65628', '#f781bf', '#999999'],
+  },
+  Tableau10: {
+    kind: 'qualitative',
+    colours: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'],
+  },
+});
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * `#rrggbb` ➜ `[r, g, b]`.
+ *
+ * @param {string} hex
+ * @returns {number[]}
+ */
+function hexToRgb(hex) {
+  const h = hex.replace('#', '');
+  return [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+}
+
+/**
+ * `[r, g, b]` ➜ `#rrggbb`.
+ *
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+function rgbToHex(rgb) {
+  return `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Evenly spaced sample of a sorted array (keeps the distribution shape).
+ *
+ * @param {number[]} sorted
+ * @param {number} max
+ * @returns {number[]}
+ */
+function downsample(sorted, max) {
+  if (sorted.length <= max) return sorted;
+  const step = (sorted.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => sorted[Math.round(i * step)]);
+}
+
+/* ───────────────────────── Classification ─────────────────────────── */
+
+/**
+ * Quantile breaks – each class holds (roughly) the same number of values.
+ *
+ * @param {number[]} sorted  Ascending, finite.
+ * @param {number} k
+ * @returns {number[]} k + 1 class edges.
+ */
+function quantileBreaks(sorted, k) {
+  const edges = [sorted[0]];
+  for (let i = 1; i < k; i += 1) {
+    const pos = (sorted.length - 1) * (i / k);
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    edges.push(sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo));
+  }
+  edges.push(sorted[sorted.length - 1]);
+  return edges;
+}
+
+/**
+ * Equal-interval breaks – classes span the same value range.
+ *
+ * @param {number[]} sorted
+ * @param {number} k
+ * @returns {number[]}
+ */
+function equalIntervalBreaks(sorted, k) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const step = (max - min) / k;
+  return Array.from({ length: k + 1 }, (_, i) => (i === k ? max : min + step * i));
+}
+
+/**
+ * Jenks natural breaks (Fisher's exact dynamic programme) – minimises the
+ * within-class variance.  There are never more classes than distinct
+ * values; with ties the programme can otherwise run out of values before
+ * it runs out of classes.
+ *
+ * @param {number[]} sortedIn
+ * @param {number} k
+ * @returns {number[]}
+ */
+function jenksBreaks(sortedIn, k) {
+  const data = downsample(sortedIn, JENKS_MAX_VALUES);
+  const n = data.length;
+  const distinct = [...new Set(data)];
+  if (k >= distinct.length) return distinct;
+
+  /* lower[i][j] – first index of the last class; variance[i][j] – cost */
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j += 1) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l += 1) {
+    let sum = 0;
+    let sumSq = 0;
+    let w = 0;
+    let v = 0;
+    for (let m = 1; m <= l; m += 1) {
+      const i3 = l - m + 1;
+      const val = data[i3 - 1];
+      w += 1;
+      sum += val;
+      sumSq += val * val;
+      v = sumSq - (sum * sum) / w;
+      const i4 = i3 - 1;
+      if (i4 !== 0) {
+        for (let j = 2; j <= k; j += 1) {
+          if (variance[l][j] >= v + variance[i4][j - 1]) {
+            lower[l][j] = i3;
+            variance[l][j] = v + variance[i4][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const edges = new Array(k + 1);
+  edges[k] = data[n - 1];
+  edges[0] = data[0];
+  let idx = n;
+  for (let j = k; j >= 2 && idx > 1; j -= 1) {
+    const id = lower[idx][j] - 2;
+    edges[j - 1] = data[id];
+    idx = lower[idx][j] - 1;
+  }
+  return edges.filter((e) => e !== undefined);
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * `k` colours from a named ramp.
+ *
+ * @param {string} name
+ * @param {number} k
+ * @returns {string[]}
+ */
+function rampColours(name, k) {
+  const ramp = COLOUR_RAMPS[name] || COLOUR_RAMPS.Blues;
+  const cols = ramp.colours;
+  if (ramp.kind === 'qualitative') {
+    return Array.from({ length: k }, (_, i) => cols[i % cols.length]);
+  }
+  if (k === 1) return [cols[cols.length - 1]];
+
+  const rgb = cols.map(hexToRgb);
+  return Array.from({ length: k }, (_, i) => {
+    const pos = (i / (k - 1)) * (rgb.length - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(rgb.length - 1, lo + 1);
+    const t = pos - lo;
+    return rgbToHex(rgb[lo].map((c, ci) => c + (rgb[hi][ci] - c) * t));
+  });
+}
+
+/**
+ * Classify numeric values into coloured ranges.
+ *
+ * @param {unknown[]} values
+ * @param {object} opts
+ * @param {'quantile'|'equal_interval'|'jenks'} opts.method
+ * @param {number} opts.classes
+ * @param {string} opts.ramp
+ * @returns {Array<{min:number,max:number,colour:string,label:string}>}
+ */
+function numericClasses(values, { method, classes, ramp }) {
+  const sorted = values
+    .filter((v) => v !== null && v !== undefined && v !== '')
+    .map(Number)
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (!sorted.length) return [];
+
+  const k = Math.max(1, Math.min(Number(classes) || 5, sorted.length));
+  let edges;
+  switch (method) {
+    case 'equal_interval': edges = equalIntervalBreaks(sorted, k); break;
+    case 'jenks':          edges = jenksBreaks(sorted, k); break;
+    default:               edges = quantileBreaks(sorted, k);
+  }
+
+  /* identical neighbouring edges would make empty classes */
+  edges = edges
+    .filter(Number.isFinite)
+    .filter((e, i, a) => i === 0 || e !== a[i - 1]);
+  if (edges.length === 1) edges.push(edges[0]);
+
+  const colours = rampColours(ramp, edges.length - 1);
+  const fmt = (n) => Number(n.toPrecision(4)).toLocaleString('en');
+  const out = [];
+  for (let i = 0; i < edges.length - 1; i += 1) {
+    out.push({
+      min: edges[i],
+      max: edges[i + 1],
+      colour: colours[i],
+      label: `${fmt(edges[i])} – ${fmt(edges[i + 1])}`,
+    });
+  }
+  dbg.debug('numericClasses()', { method, k: out.length });
+  return out;
+}
+
+/**
+ * Colour the most frequent categories; the rest fall into “Other”.
+ *
+ * @param {unknown[]} values
+ * @param {object} opts
+ * @param {number} opts.classes  Maximum distinct categories.
+ * @param {string} opts.ramp
+ * @returns {Array<{value:string,colour:string,label:string}>}
+ */
+function categoricalClasses(values, { classes, ramp }) {
+  const counts = new Map();
+  for (const v of values) {
+    if (v === null || v === undefined || v === '') continue;
+    const key = String(v);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const top = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, Math.max(1, Number(classes) || 8))
+    .map(([key]) => key)
+    .sort((a, b) => a.localeCompare(b));
+
+  const colours = rampColours(ramp, top.length);
+  return top.map((value, i) => ({ value, colour: colours[i], label: value }));
+}
+
+module.exports = {
+  COLOUR_RAMPS,
+  OTHER_COLOUR,
+  rampColours,
+  numericClasses,
+  categoricalClasses,
+};
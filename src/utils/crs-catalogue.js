@@ -0,0 +1,157 @@
+/**
+ * crs-catalogue.js
+ * ---------------------------------------------------------------------------
+ * Offline catalogue of proj4 definitions for the coordinate reference systems
+ * we meet most often in the field.  Bundled so the plug-in never has to reach
+ * out to `epsg.io` (or anything else) at run-time – air-gapped Saltcorn
+ * installs re-project exactly like connected ones.
+ *
+ * UTM / MGA zone families are generated rather than typed out by hand; the
+ * handful of national grids are copied verbatim from the EPSG registry.
+ *
+ * Author:  Troy Kelly  <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable max-len */
+
+/**
+ * @typedef {Object} CrsDef
+ * @property {string} name   Human readable EPSG name.
+ * @property {string} proj4  proj4 definition string.
+ */
+
+/** @type {Record<number, CrsDef>} */
+const defs = {
+  /* ───────────── Global ───────────── */
+  4326: { name: 'WGS 84', proj4: '+proj=longlat +datum=WGS84 +no_defs' },
+  3857: {
+    name: 'WGS 84 / Pseudo-Mercator',
+    proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs',
+  },
+  900913: {
+    name: 'Google Maps Global Mercator',
+    proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs',
+  },
+  3395: {
+    name: 'WGS 84 / World Mercator',
+    proj4: '+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs',
+  },
+
+  /* ───────────── Australia ───────────── */
+  4283: { name: 'GDA94', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  7844: { name: 'GDA2020', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  3577: {
+    name: 'GDA94 / Australian Albers',
+    proj4: '+proj=aea +lat_0=0 +lon_0=132 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+  9473: {
+    name: 'GDA2020 / Australian Albers',
+    proj4: '+proj=aea +lat_0=0 +lon_0=132 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+  3112: {
+    name: 'GDA94 / Geoscience Australia Lambert',
+    proj4: '+proj=lcc +lat_0=0 +lon_0=134 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+  7845: {
+    name: 'GDA2020 / GA LCC',
+    proj4: '+proj=lcc +lat_0=0 +lon_0=134 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+  3111: {
+    name: 'GDA94 / Vicgrid',
+    proj4: '+proj=lcc +lat_0=-37 +lon_0=145 +lat_1=-36 +lat_2=-38 +x_0=2500000 +y_0=2500000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+  7899: {
+    name: 'GDA2020 / Vicgrid',
+    proj4: '+proj=lcc +lat_0=-37 +lon_0=145 +lat_1=-36 +lat_2=-38 +x_0=2500000 +y_0=2500000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+
+  /* ───────────── New Zealand ───────────── */
+  4167: { name: 'NZGD2000', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  2193: {
+    name: 'NZGD2000 / New Zealand Transverse Mercator 2000',
+    proj4: '+proj=tmerc +lat_0=0 +lon_0=173 +k=0.9996 +x_0=1600000 +y_0=10000000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+
+  /* ───────────── Europe ───────────── */
+  4258: { name: 'ETRS89', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+  3035: {
+    name: 'ETRS89-extended / LAEA Europe',
+    proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+  4277: {
+    name: 'OSGB36',
+    proj4: '+proj=longlat +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +no_defs',
+  },
+  27700: {
+    name: 'OSGB36 / British National Grid',
+    proj4: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs',
+  },
+  2154: {
+    name: 'RGF93 v1 / Lambert-93',
+    proj4: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+  },
+  2056: {
+    name: 'CH1903+ / LV95',
+    proj4: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs',
+  },
+  28992: {
+    name: 'Amersfoort / RD New',
+    proj4: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs',
+  },
+
+  /* ───────────── North America ───────────── */
+  4269: { name: 'NAD83', proj4: '+proj=longlat +datum=NAD83 +no_defs' },
+  5070: {
+    name: 'NAD83 / Conus Albers',
+    proj4: '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs',
+  },
+
+  /* ───────────── Asia ───────────── */
+  3414: {
+    name: 'SVY21 / Singapore TM',
+    proj4: '+proj=tmerc +lat_0=1.36666666666667 +lon_0=103.833333333333 +k=1 +x_0=28001.642 +y_0=38744.572 +ellps=WGS84 +units=m +no_defs',
+  },
+};
+
+/* ───────────── Generated zone families ───────────── */
+
+/**
+ * Add a contiguous run of UTM-style zones.
+ *
+ * @param {number}  firstCode  EPSG code of `firstZone`.
+ * @param {number}  firstZone
+ * @param {number}  lastZone
+ * @param {string}  label      Name prefix, e.g. 'GDA2020 / MGA zone'.
+ * @param {string}  datum      proj4 datum / ellipsoid fragment.
+ * @param {boolean} south      Southern-hemisphere false northing.
+ * @param {string}  [suffix]   Appended to the zone number ('N' / 'S').
+ * @returns {void}
+ */
+function addZones(firstCode, firstZone, lastZone, label, datum, south, suffix = '') {
+  for (let zone = firstZone; zone <= lastZone; zone += 1) {
+    defs[firstCode + (zone - firstZone)] = {
+      name: `${label} ${zone}${suffix}`,
+      proj4: `+proj=utm +zone=${zone}${south ? ' +south' : ''} ${datum} +units=m +no_defs`,
+    };
+  }
+}
+
+const GRS80_NULL_SHIFT = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0';
+
+addZones(28348, 48, 58, 'GDA94 / MGA zone', GRS80_NULL_SHIFT, true);
+addZones(7846, 46, 59, 'GDA2020 / MGA zone', GRS80_NULL_SHIFT, true);
+addZones(25828, 28, 38, 'ETRS89 / UTM zone', GRS80_NULL_SHIFT, false, 'N');
+addZones(26901, 1, 23, 'NAD83 / UTM zone', '+datum=NAD83', false, 'N');
+addZones(32601, 1, 60, 'WGS 84 / UTM zone', '+datum=WGS84', false, 'N');
+addZones(32701, 1, 60, 'WGS 84 / UTM zone', '+datum=WGS84', true, 'S');
+
+/**
+ * Frozen SRID → definition map.
+ * @type {Readonly<Record<number, CrsDef>>}
+ */
+const CRS_CATALOGUE = Object.freeze(defs);
+
+module.exports = { CRS_CATALOGUE };
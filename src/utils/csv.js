@@ -0,0 +1,99 @@
+/**
+ * csv.js
+ * ---------------------------------------------------------------------------
+ * Small RFC 4180 CSV reader for the CSV import: quoted fields (with doubled
+ * quotes and embedded line breaks), CRLF / LF line ends, a leading BOM and
+ * comma, semicolon or tab delimiters (sniffed from the header line when not
+ * given).  Blank lines – and lines whose cells are all blank, such as `,,` –
+ * are skipped.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Delimiter that splits the header line into the most columns.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function sniffDelimiter(text) {
+  const end = text.search(/\r?\n/u);
+  const head = (end < 0 ? text : text.slice(0, end)).replace(/"[^"]*"/gu, '');
+  let best = ',';
+  let most = 0;
+  for (const d of DELIMITERS) {
+    const n = head.split(d).length;
+    if (n > most) {
+      most = n;
+      best = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into a header and data rows (short rows are padded with
+ * `''`, so every row has the header's length).
+ *
+ * @param {string} input
+ * @param {{delimiter?:string}=} opts
+ * @returns {{header:string[], rows:string[][], delimiter:string}}
+ */
+function parseCsv(input, opts = {}) {
+  const text = String(input).replace(/^\uFEFF/u, '');
+  const delimiter = opts.delimiter || sniffDelimiter(text);
+
+  /** @type {string[][]} */
+  const lines = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((c) => c.trim() !== '')) lines.push(row);
+    row = [];
+    cell = '';
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (c === '"') quoted = false;
+      else cell += c;
+      i += 1;
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+      i += 1;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = '';
+      i += 1;
+    } else if (c === '\r' || c === '\n') {
+      endRow();
+      i += c === '\r' && text[i + 1] === '\n' ? 2 : 1;
+    } else {
+      cell += c;
+      i += 1;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+
+  const header = (lines.shift() || []).map((h) => h.trim());
+  const rows = lines.map((r) => (r.length < header.length
+    ? r.concat(Array(header.length - r.length).fill(''))
+    : r));
+  return { header, rows, delimiter };
+}
+
+module.exports = { parseCsv };
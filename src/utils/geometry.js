@@ -4,7 +4,10 @@
  * Stateless helpers for converting between WKT, EWKT, **hex-encoded WKB** and
  * GeoJSON, as well as validating PostGIS-related attribute objects.
  *
- * Now also understands the PostGIS helper form `ST_AsEWKT(<hex-wkb>)`.
+ * Now also understands the PostGIS helper form `ST_AsEWKT(<hex-wkb>)`, and
+ * normalises free-form user input (GeoJSON, coordinate pairs, DMS) to EWKT.
+ * Pure-JS geodesic measurement on the WGS-84 ellipsoid (distance, bearing,
+ * destination, length, area) lives at the end of the file.
  *
  * Author:  Troy Kelly  <troy@team.production.city>
  * Licence: CC0-1.0
@@ -307,6 +310,284 @@ function extractFirstZ(src) {
   return z;
 }
 
+/* ───────────────────────── Input normaliser ───────────────────────── */
+
+/** Plain decimal number. */
+const NUM = '[+-]?\\d+(?:\\.\\d+)?';
+
+/** `lat, lng` – comma separated, latitude first (map-app convention). */
+const LAT_COMMA_LNG_RE = new RegExp(`^(${NUM})\\s*,\\s*(${NUM})$`, 'u');
+
+/** `lng lat` – whitespace separated, longitude first (WKT order). */
+const LNG_SPACE_LAT_RE = new RegExp(`^(${NUM})\\s+(${NUM})$`, 'u');
+
+/** One degrees/minutes/seconds component with optional hemisphere letter. */
+const DMS_PART =
+  `([NSEW])?\\s*(${NUM})\\s*°?\\s*` +
+  `(?:(\\d+(?:\\.\\d+)?)\\s*['′]\\s*)?` +
+  `(?:(\\d+(?:\\.\\d+)?)\\s*(?:"|″|'')\\s*)?` +
+  '([NSEW])?';
+
+/** Two DMS components, optionally comma / semicolon separated. */
+const DMS_RE = new RegExp(`^${DMS_PART}\\s*[,;]?\\s*${DMS_PART}$`, 'iu');
+
+/**
+ * Build a WGS-84 point, or `undefined` when out of range.
+ *
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {string|undefined}
+ */
+function lonLatPoint(lng, lat) {
+  if (!Number.isFinite(lng) || !Number.isFinite(lat)) return undefined;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return undefined;
+  return `SRID=4326;POINT(${lng} ${lat})`;
+}
+
+/**
+ * `{ lat, lng }` / `{ lat, lon }` object (numbers or numeric strings) ➜
+ * WGS-84 point, or `undefined` for any other object.
+ *
+ * @param {Record<string, any>} obj
+ * @returns {string|undefined}
+ */
+function latLngObjectToEwkt(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj) || obj.type) return undefined;
+  const lngRaw = obj.lng ?? obj.lon;
+  if (obj.lat === undefined || obj.lat === '' || lngRaw === undefined || lngRaw === '') {
+    return undefined;
+  }
+  return lonLatPoint(Number(lngRaw), Number(obj.lat));
+}
+
+/**
+ * Parse a `lat, lng` / `lng lat` decimal pair.
+ *
+ * @param {string} txt
+ * @returns {string|undefined} EWKT point in EPSG:4326.
+ */
+function parseDecimalPair(txt) {
+  let m = txt.match(LAT_COMMA_LNG_RE);
+  if (m) return lonLatPoint(Number(m[2]), Number(m[1]));
+  m = txt.match(LNG_SPACE_LAT_RE);
+  if (m) return lonLatPoint(Number(m[1]), Number(m[2]));
+  return undefined;
+}
+
+/**
+ * Parse a degrees-minutes-seconds pair such as `33°52'7.7"S 151°12'33.5"E`.
+ * Hemisphere letters may prefix or suffix each component; without them the
+ * first component is latitude.
+ *
+ * @param {string} txt
+ * @returns {string|undefined} EWKT point in EPSG:4326.
+ */
+function parseDms(txt) {
+  if (!/[°'′"″NSEW]/iu.test(txt)) return undefined;
+  const m = txt.match(DMS_RE);
+  if (!m) return undefined;
+
+  const parts = [m.slice(1, 6), m.slice(6, 11)].map(
+    ([pre, deg, min, sec, post]) => ({ pre, deg, min, sec, post }),
+  );
+  /* `S33° E151°` – the first part's suffix is really the second's prefix */
+  if (parts[0].pre && parts[0].post && !parts[1].pre && !parts[1].post) {
+    parts[1].pre = parts[0].post;
+    parts[0].post = undefined;
+  }
+
+  const decoded = parts.map(({ pre, deg, min, sec, post }) => {
+    const hemi = String(pre || post || '').toUpperCase();
+    const d = Number(deg);
+    const abs = Math.abs(d) + Number(min || 0) / 60 + Number(sec || 0) / 3600;
+    const neg = d < 0 || Object.is(d, -0) || hemi === 'S' || hemi === 'W';
+    return { hemi, value: neg ? -abs : abs };
+  });
+
+  const isLat = (h) => h === 'N' || h === 'S';
+  const isLng = (h) => h === 'E' || h === 'W';
+  let [lat, lng] = decoded;
+  if (isLng(lat.hemi) || isLat(lng.hemi)) [lat, lng] = [lng, lat];
+  if (isLng(lat.hemi) || isLat(lng.hemi)) return undefined;
+
+  return lonLatPoint(lng.value, lat.value);
+}
+
+/**
+ * First position inside a (possibly nested) GeoJSON coordinate array.
+ *
+ * @param {unknown} c
+ * @returns {number[]|undefined}
+ */
+function firstPosition(c) {
+  if (!Array.isArray(c) || !c.length) return undefined;
+  return typeof c[0] === 'number' ? c : firstPosition(c[0]);
+}
+
+/**
+ * GeoJSON geometry ➜ WKT (no SRID).  Z is kept when present.
+ *
+ * @param {Record<string, any>} g
+ * @returns {string|undefined}
+ */
+function geoJSONGeometryToWkt(g) {
+  if (!g || typeof g !== 'object') return undefined;
+  const type = String(g.type || '').toUpperCase();
+
+  if (type === 'GEOMETRYCOLLECTION') {
+    const members = (g.geometries || []).map(geoJSONGeometryToWkt);
+    if (members.some((w) => !w)) return undefined;
+    return members.length
+      ? `GEOMETRYCOLLECTION(${members.join(',')})`
+      : 'GEOMETRYCOLLECTION EMPTY';
+  }
+
+  const c = g.coordinates;
+  if (!Array.isArray(c)) return undefined;
+  if (!c.length) return `${type} EMPTY`;
+
+  const first = firstPosition(c);
+  const hasZ = !!first && first.length > 2;
+  const pos = (p) => p.slice(0, hasZ ? 3 : 2).join(' ');
+  const list = (ps) => `(${ps.map(pos).join(',')})`;
+  const rings = (rs) => `(${rs.map(list).join(',')})`;
+
+  let body;
+  switch (type) {
+    case 'POINT':           body = `(${pos(c)})`; break;
+    case 'LINESTRING':
+    case 'MULTIPOINT':      body = list(c); break;
+    case 'POLYGON':
+    case 'MULTILINESTRING': body = rings(c); break;
+    case 'MULTIPOLYGON':    body = `(${c.map(rings).join(',')})`; break;
+    default:                return undefined;
+  }
+  return `${type}${hasZ ? ' Z ' : ''}${body}`;
+}
+
+/**
+ * SRID from a legacy (2008 spec) GeoJSON `crs` member, e.g.
+ * `urn:ogc:def:crs:EPSG::7856` or `EPSG:3857`.
+ *
+ * @param {Record<string, any>} obj
+ * @returns {number|undefined}
+ */
+function legacyCrsSrid(obj) {
+  const name = obj?.crs?.properties?.name;
+  const m = typeof name === 'string' && name.match(/EPSG:{1,2}(\d+)$/iu);
+  if (m) return Number(m[1]);
+  if (/CRS84$/iu.test(String(name || ''))) return 4326;
+  return undefined;
+}
+
+/**
+ * Any GeoJSON object (geometry, Feature, FeatureCollection) ➜ EWKT.
+ * FeatureCollections become a single geometry: the lone member, a Multi*
+ * when every member shares one simple type, or a GeometryCollection.
+ *
+ * @param {Record<string, any>} obj
+ * @returns {string|undefined}
+ */
+function geoJSONToEwkt(obj) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  const srid = legacyCrsSrid(obj) ?? 4326;
+
+  /** @type {Record<string, any>|undefined} */
+  let geom;
+  if (obj.type === 'Feature') {
+    geom = obj.geometry;
+  } else if (obj.type === 'FeatureCollection') {
+    const geoms = (obj.features || []).map((f) => f?.geometry).filter(Boolean);
+    const types = new Set(geoms.map((x) => x.type));
+    const [only] = types;
+    if (geoms.length === 1) {
+      [geom] = geoms;
+    } else if (types.size === 1 && ['Point', 'LineString', 'Polygon'].includes(only)) {
+      geom = { type: `Multi${only}`, coordinates: geoms.map((x) => x.coordinates) };
+    } else {
+      geom = { type: 'GeometryCollection', geometries: geoms };
+    }
+  } else {
+    geom = obj;
+  }
+
+  const wkt = geoJSONGeometryToWkt(geom);
+  return wkt ? `SRID=${srid};${wkt}` : undefined;
+}
+
+/**
+ * Wrap a single geometry in its Multi* counterpart when the column demands
+ * it (`POLYGON((…))` ➜ `MULTIPOLYGON(((…)))`).
+ *
+ * @param {string} ewkt
+ * @param {string=} subtype  Column subtype, upper- or lower-case.
+ * @returns {string}
+ */
+function promoteToMulti(ewkt, subtype) {
+  const want = String(subtype || '').toUpperCase();
+  if (!['MULTIPOINT', 'MULTILINESTRING', 'MULTIPOLYGON'].includes(want)) return ewkt;
+
+  const m = ewkt.match(/^(SRID=\d+;)?([A-Z]+)(\s*(?:ZM|Z|M)\s*)?(\(.*\))$/isu);
+  if (!m || `MULTI${m[2].toUpperCase()}` !== want) return ewkt;
+  const [, srid = '', , dim = '', body] = m;
+  return `${srid}${want}${dim}(${body})`;
+}
+
+/**
+ * Normalise **user input** into canonical EWKT.
+ *
+ * Accepts WKT / EWKT (any case), hex-EWKB, `ST_AsEWKT(<hex>)`, GeoJSON
+ * geometry / Feature / FeatureCollection (text or object), `{ lat, lng }`
+ * objects, `lat, lng` and `lng lat` decimal pairs and DMS strings.  GeoJSON and coordinate pairs
+ * are WGS-84 and come back tagged `SRID=4326`; input without an SRID of its
+ * own is tagged with `srid` (the column SRID).
+ *
+ * @param {unknown} value
+ * @param {{srid?:number, subtype?:string}=} opts
+ * @returns {string|undefined}
+ */
+function normaliseInput(value, opts = {}) {
+  if (value === null || value === undefined) return undefined;
+
+  /** @type {string|undefined} */
+  let ewkt;
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    ewkt =
+      latLngObjectToEwkt(/** @type {Record<string, any>} */ (value)) ||
+      geoJSONToEwkt(/** @type {Record<string, any>} */ (value));
+  } else {
+    const txt = (coerceToString(value) || '').trim();
+    if (!txt) return undefined;
+
+    if (txt.startsWith('{')) {
+      try {
+        ewkt = geoJSONToEwkt(JSON.parse(txt));
+      } catch (e) {
+        dbg.warn('normaliseInput() – invalid JSON', e.message);
+        return undefined;
+      }
+    } else {
+      ewkt = parseDecimalPair(txt) || parseDms(txt);
+      if (!ewkt) {
+        /* Lower-case WKT keyword / SRID prefix ➜ upper-case for toWkt() */
+        const up = txt.replace(
+          /^(srid=\d+;)?\s*([a-z]+)/iu,
+          (all, prefix, kw) => (BASE_GEOM_TYPES.includes(kw.toUpperCase())
+            ? `${(prefix || '').toUpperCase()}${kw.toUpperCase()}`
+            : all),
+        );
+        ewkt = toWkt(up);
+      }
+    }
+  }
+
+  if (!ewkt) return undefined;
+  if (!/^SRID=\d+;/iu.test(ewkt) && opts.srid) ewkt = `SRID=${opts.srid};${ewkt}`;
+  const out = promoteToMulti(ewkt, opts.subtype);
+  dbg.trace('normaliseInput()', { out: out.slice(0, 64) });
+  return out;
+}
+
 /**
  * Validate attribute objects at design-time.
  *
@@ -331,13 +612,323 @@ function validateAttrs(attrs) {
   return true;
 }
 
+/* ─────────────────── Geodesic measurement (WGS-84) ────────────────── */
+
+/*
+ * Positions are `[lng, lat]` in degrees (GeoJSON order); results are in
+ * metres, square metres and degrees clockwise from north.  Distances and
+ * bearings use Vincenty's formulae on the WGS-84 ellipsoid (sub-millimetre);
+ * areas use the authalic sphere, which preserves ellipsoidal area.
+ */
+
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const WGS84_E = Math.sqrt(WGS84_E2);
+/** IUGG mean radius – used only when Vincenty fails to converge. */
+const MEAN_RADIUS = 6371008.8;
+const RAD = Math.PI / 180;
+
+/**
+ * Authalic `q` function for a latitude in radians.
+ *
+ * @param {number} phi
+ * @returns {number}
+ */
+function authalicQ(phi) {
+  const s = Math.sin(phi);
+  return (1 - WGS84_E2) * (
+    s / (1 - WGS84_E2 * s * s) -
+    (1 / (2 * WGS84_E)) * Math.log((1 - WGS84_E * s) / (1 + WGS84_E * s))
+  );
+}
+
+const AUTHALIC_QP = authalicQ(Math.PI / 2);
+/** Radius of the sphere with the ellipsoid's surface area. */
+const AUTHALIC_RADIUS = WGS84_A * Math.sqrt(AUTHALIC_QP / 2);
+
+/** Pole-to-pole meridian length – the geodesic between exact antipodes. */
+const HALF_MERIDIAN = (() => {
+  const n = (WGS84_A - WGS84_B) / (WGS84_A + WGS84_B);
+  return (Math.PI * (WGS84_A + WGS84_B) / 2) * (1 + n ** 2 / 4 + n ** 4 / 64 + n ** 6 / 256);
+})();
+
+/**
+ * Whether two `[lng, lat]` positions are the same place (longitudes equal
+ * modulo 360°, or both on the same pole).
+ *
+ * @param {number[]} p1
+ * @param {number[]} p2
+ * @returns {boolean}
+ */
+function samePosition(p1, p2) {
+  if (p1[1] !== p2[1]) return false;
+  return Math.abs(p1[1]) === 90 || (p2[0] - p1[0]) % 360 === 0;
+}
+
+/**
+ * Spherical fallback for (nearly) antipodal points.
+ *
+ * @param {number[]} p1
+ * @param {number[]} p2
+ * @returns {{distance:number, bearing:number}}
+ */
+function sphericalInverse(p1, p2) {
+  const [l1, f1] = [p1[0] * RAD, p1[1] * RAD];
+  const [l2, f2] = [p2[0] * RAD, p2[1] * RAD];
+  const h =
+    Math.sin((f2 - f1) / 2) ** 2 +
+    Math.cos(f1) * Math.cos(f2) * Math.sin((l2 - l1) / 2) ** 2;
+  const y = Math.sin(l2 - l1) * Math.cos(f2);
+  const x = Math.cos(f1) * Math.sin(f2) - Math.sin(f1) * Math.cos(f2) * Math.cos(l2 - l1);
+  return {
+    distance: 2 * MEAN_RADIUS * Math.asin(Math.min(1, Math.sqrt(h))),
+    bearing: (Math.atan2(y, x) / RAD + 360) % 360,
+  };
+}
+
+/**
+ * Vincenty inverse problem: distance and initial bearing from p1 to p2.
+ * Exact antipodes – where the iteration degenerates – are half a meridian
+ * apart (the geodesic runs over a pole; bearing 0).
+ *
+ * @param {number[]} p1  `[lng, lat]`
+ * @param {number[]} p2  `[lng, lat]`
+ * @returns {{distance:number, bearing:number}}
+ */
+function vincentyInverse(p1, p2) {
+  if (samePosition(p1, p2)) return { distance: 0, bearing: 0 };
+  const L = (p2[0] - p1[0]) * RAD;
+  const tanU1 = (1 - WGS84_F) * Math.tan(p1[1] * RAD);
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+  const sinU1 = tanU1 * cosU1;
+  const tanU2 = (1 - WGS84_F) * Math.tan(p2[1] * RAD);
+  const cosU2 = 1 / Math.sqrt(1 + tanU2 * tanU2);
+  const sinU2 = tanU2 * cosU2;
+
+  let lambda = L;
+  let sinLambda = 0;
+  let cosLambda = 1;
+  let sinSigma = 0;
+  let cosSigma = 1;
+  let sigma = 0;
+  let cosSqAlpha = 1;
+  let cos2SigmaM = 0;
+  let iterations = 0;
+  let previous;
+  do {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    const sinSqSigma =
+      (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2;
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    if (sinSqSigma < 1e-24) {
+      /* degenerate: (all but) coincident, or antipodal */
+      return { distance: cosSigma > 0 ? 0 : HALF_MERIDIAN, bearing: 0 };
+    }
+    sinSigma = Math.sqrt(sinSqSigma);
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - (2 * sinU1 * sinU2) / cosSqAlpha : 0;
+    const C = (WGS84_F / 16) * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+    previous = lambda;
+    lambda = L + (1 - C) * WGS84_F * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+    iterations += 1;
+  } while (Math.abs(lambda - previous) > 1e-12 && iterations < 1000);
+
+  if (iterations >= 1000) {
+    dbg.debug('vincentyInverse() did not converge – spherical fallback');
+    return sphericalInverse(p1, p2);
+  }
+
+  const uSq = (cosSqAlpha * (WGS84_A ** 2 - WGS84_B ** 2)) / WGS84_B ** 2;
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  const deltaSigma = B * sinSigma * (cos2SigmaM + (B / 4) * (
+    cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+    (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)
+  ));
+  const alpha1 = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+  return {
+    distance: WGS84_B * A * (sigma - deltaSigma),
+    bearing: (alpha1 / RAD + 360) % 360,
+  };
+}
+
+/**
+ * Geodesic distance between two positions.
+ *
+ * @param {number[]} from  `[lng, lat]`
+ * @param {number[]} to    `[lng, lat]`
+ * @returns {number} metres
+ */
+function geodesicDistance(from, to) {
+  return vincentyInverse(from, to).distance;
+}
+
+/**
+ * Initial bearing of the geodesic from `from` to `to`.
+ *
+ * @param {number[]} from
+ * @param {number[]} to
+ * @returns {number} degrees, 0 ≤ b < 360
+ */
+function geodesicBearing(from, to) {
+  return vincentyInverse(from, to).bearing;
+}
+
+/**
+ * Point reached travelling `distance` metres along the geodesic leaving
+ * `from` on `bearing` (Vincenty direct problem).
+ *
+ * @param {number[]} from     `[lng, lat]`
+ * @param {number} bearing    degrees clockwise from north
+ * @param {number} distance   metres
+ * @returns {number[]} `[lng, lat]`
+ */
+function geodesicDestination(from, bearing, distance) {
+  const alpha1 = bearing * RAD;
+  const sinAlpha1 = Math.sin(alpha1);
+  const cosAlpha1 = Math.cos(alpha1);
+  const tanU1 = (1 - WGS84_F) * Math.tan(from[1] * RAD);
+  const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+  const sinU1 = tanU1 * cosU1;
+  const sigma1 = Math.atan2(tanU1, cosAlpha1);
+  const sinAlpha = cosU1 * sinAlpha1;
+  const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+  const uSq = (cosSqAlpha * (WGS84_A ** 2 - WGS84_B ** 2)) / WGS84_B ** 2;
+  const A = 1 + (uSq / 16384) * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  const B = (uSq / 1024) * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+  let sigma = distance / (WGS84_B * A);
+  let sinSigma;
+  let cosSigma;
+  let cos2SigmaM;
+  let previous;
+  let iterations = 0;
+  do {
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+    const deltaSigma = B * sinSigma * (cos2SigmaM + (B / 4) * (
+      cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+      (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)
+    ));
+    previous = sigma;
+    sigma = distance / (WGS84_B * A) + deltaSigma;
+    iterations += 1;
+  } while (Math.abs(sigma - previous) > 1e-12 && iterations < 100);
+
+  sinSigma = Math.sin(sigma);
+  cosSigma = Math.cos(sigma);
+  cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+  const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+  const lat = Math.atan2(
+    sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+    (1 - WGS84_F) * Math.sqrt(sinAlpha * sinAlpha + x * x),
+  );
+  const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+  const C = (WGS84_F / 16) * cosSqAlpha * (4 + WGS84_F * (4 - 3 * cosSqAlpha));
+  const L = lambda - (1 - C) * WGS84_F * sinAlpha *
+    (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+  const lng = ((from[0] + L / RAD + 540) % 360) - 180;
+  return [lng, lat / RAD];
+}
+
+/**
+ * Geodesic length of a polyline.
+ *
+ * @param {number[][]} positions
+ * @returns {number} metres
+ */
+function geodesicLength(positions) {
+  let sum = 0;
+  for (let i = 1; i < positions.length; i += 1) {
+    sum += geodesicDistance(positions[i - 1], positions[i]);
+  }
+  return sum;
+}
+
+/**
+ * Unsigned area of one closed ring (authalic latitudes, exact spherical
+ * excess per edge).
+ *
+ * @param {number[][]} ring
+ * @returns {number} m²
+ */
+function ringArea(ring) {
+  if (ring.length < 4) return 0;
+  const beta = (lat) => Math.asin(Math.max(-1, Math.min(1, authalicQ(lat * RAD) / AUTHALIC_QP)));
+  let excess = 0;
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const t1 = Math.tan(beta(ring[i][1]) / 2);
+    const t2 = Math.tan(beta(ring[i + 1][1]) / 2);
+    let dLng = (ring[i + 1][0] - ring[i][0]) * RAD;
+    if (dLng > Math.PI) dLng -= 2 * Math.PI;
+    if (dLng < -Math.PI) dLng += 2 * Math.PI;
+    excess += 2 * Math.atan2(Math.tan(dLng / 2) * (t1 + t2), 1 + t1 * t2);
+  }
+  return Math.abs(excess) * AUTHALIC_RADIUS ** 2;
+}
+
+/**
+ * Geodesic area of a polygon; interior rings (holes) are subtracted.
+ *
+ * @param {number[][][]} rings  Outer ring first, as in GeoJSON.
+ * @returns {number} m²
+ */
+function geodesicArea(rings) {
+  return Math.max(
+    0,
+    rings.reduce((sum, r, i) => sum + (i === 0 ? ringArea(r) : -ringArea(r)), 0),
+  );
+}
+
+/**
+ * Flatten a GeoJSON geometry (or Feature) into its simple parts.
+ *
+ * @param {Record<string, any>} g
+ * @returns {{points:number[][], lines:number[][][], polygons:number[][][][]}}
+ */
+function geoJSONParts(g) {
+  const out = { points: [], lines: [], polygons: [] };
+  const walk = (geom) => {
+    if (!geom) return;
+    const c = geom.coordinates;
+    switch (geom.type) {
+      case 'Feature':            walk(geom.geometry); break;
+      case 'Point':              out.points.push(c); break;
+      case 'MultiPoint':         out.points.push(...c); break;
+      case 'LineString':         out.lines.push(c); break;
+      case 'MultiLineString':    out.lines.push(...c); break;
+      case 'Polygon':            out.polygons.push(c); break;
+      case 'MultiPolygon':       out.polygons.push(...c); break;
+      case 'GeometryCollection': (geom.geometries || []).forEach(walk); break;
+      default: break;
+    }
+  };
+  walk(g);
+  return out;
+}
+
 /* ──────────────────────────────────────────────────────────────────── */
 
 module.exports = {
   toWkt,
+  normaliseInput,
   wktToLonLat,
   wktToGeoJSON,
   validateAttrs,
   normaliseGeoJSON,
+  legacyCrsSrid,
   extractFirstZ,
+  geodesicDistance,
+  geodesicBearing,
+  geodesicDestination,
+  geodesicLength,
+  geodesicArea,
+  geoJSONParts,
 };
\ No newline at end of file
@@ -0,0 +1,475 @@
+/**
+ * kml-gpx.js
+ * ---------------------------------------------------------------------------
+ * Pure-JS readers for the two GPS exchange formats – GPX (GPS units) and
+ * KML (Google Earth) – producing import records
+ * `{ geometry, properties, label, kind }` with WGS-84 EWKT geometries.
+ *
+ *   GPX  <wpt>            ➜ POINT
+ *        <trkseg>         ➜ LINESTRING (one record per track segment)
+ *        <rte>            ➜ LINESTRING
+ *   KML  <Placemark>      ➜ its Point / LineString / Polygon / MultiGeometry
+ *                           / gx:Track, with <ExtendedData> as properties
+ *
+ * Output dimensions follow the target column (see `wkt-writer.js`): `Z`
+ * carries the elevation (`<ele>`, KML altitude), `M` the timestamp
+ * (`<time>`, `<when>`) in epoch seconds, `ZM` both.
+ *
+ * The XML reader is a small non-validating tokenizer – enough for these
+ * formats (namespaces are matched by local name, entities and CDATA are
+ * decoded), not a general-purpose parser.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable no-magic-numbers */
+
+const dbg = require('./debug');
+const { normDim, geometryWkt, kindOf } = require('./wkt-writer');
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} local                    Name without namespace prefix.
+ * @property {Record<string, string>} attrs    Attributes by local name.
+ * @property {XmlElement[]} children
+ * @property {string} text                     Direct text content.
+ */
+
+/** @typedef {import('./wkt-writer').Position} Position */
+
+/** Comment | CDATA | PI | DOCTYPE | close tag | open tag | text. */
+const TOKEN_RE = new RegExp(
+  [
+    '<!--[\\s\\S]*?-->',
+    '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+    '<\\?[\\s\\S]*?\\?>',
+    '<!DOCTYPE[^>[]*(?:\\[[\\s\\S]*?\\])?\\s*>',
+    '<\\/([^\\s>]+)\\s*>',
+    '<([^\\s/>!?]+)((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>',
+    '([^<]+)',
+  ].join('|'),
+  'gu',
+);
+
+const ATTR_RE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/gu;
+
+const ENTITIES = Object.freeze({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" });
+
+/* ───────────────────────── XML ────────────────────────────────────── */
+
+/**
+ * Decode the predefined and numeric character entities.
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/giu, (all, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : all;
+    }
+    return ENTITIES[e.toLowerCase()] ?? all;
+  });
+}
+
+/**
+ * `gpx:trkpt` ➜ `trkpt`.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function localName(name) {
+  const i = name.indexOf(':');
+  return i < 0 ? name : name.slice(i + 1);
+}
+
+/**
+ * Parse XML text into an element tree under a synthetic document node.
+ *
+ * @param {string} xml
+ * @returns {XmlElement}
+ */
+function parseXml(xml) {
+  /** @type {XmlElement} */
+  const doc = { local: '#document', attrs: {}, children: [], text: '' };
+  const stack = [doc];
+  const names = ['#document'];
+  TOKEN_RE.lastIndex = 0;
+
+  let m;
+  while ((m = TOKEN_RE.exec(xml)) !== null) {
+    const [, cdata, close, open, attrText, selfClose, text] = m;
+    const top = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      top.text += cdata;
+    } else if (text !== undefined) {
+      top.text += decodeEntities(text);
+    } else if (close !== undefined) {
+      const at = names.lastIndexOf(close);
+      if (at > 0) {
+        stack.length = at;
+        names.length = at;
+      }
+    } else if (open !== undefined) {
+      /** @type {Record<string, string>} */
+      const attrs = {};
+      ATTR_RE.lastIndex = 0;
+      let a;
+      while ((a = ATTR_RE.exec(attrText || '')) !== null) {
+        attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3] ?? '');
+      }
+      /** @type {XmlElement} */
+      const el = { local: localName(open), attrs, children: [], text: '' };
+      top.children.push(el);
+      if (!selfClose) {
+        stack.push(el);
+        names.push(open);
+      }
+    }
+  }
+  return doc;
+}
+
+/**
+ * Direct children named `local`.
+ *
+ * @param {XmlElement|undefined} el
+ * @param {string} local
+ * @returns {XmlElement[]}
+ */
+function kids(el, local) {
+  return el ? el.children.filter((c) => c.local === local) : [];
+}
+
+/**
+ * First direct child named `local`.
+ *
+ * @param {XmlElement|undefined} el
+ * @param {string} local
+ * @returns {XmlElement|undefined}
+ */
+function kid(el, local) {
+  return el?.children.find((c) => c.local === local);
+}
+
+/**
+ * Every descendant named `local`, in document order.
+ *
+ * @param {XmlElement} el
+ * @param {string} local
+ * @returns {XmlElement[]}
+ */
+function descendants(el, local) {
+  const out = [];
+  const walk = (e) => {
+    for (const c of e.children) {
+      if (c.local === local) out.push(c);
+      walk(c);
+    }
+  };
+  walk(el);
+  return out;
+}
+
+/**
+ * Trimmed text of the child `local` (`undefined` when absent or empty).
+ *
+ * @param {XmlElement|undefined} el
+ * @param {string} local
+ * @returns {string|undefined}
+ */
+function childText(el, local) {
+  const t = kid(el, local)?.text.trim();
+  return t || undefined;
+}
+
+/* ───────────────────────── Records ──────────────────────────────── */
+
+/**
+ * Build an import record, turning geometry errors into a record error.
+ *
+ * @param {() => {type:string}} build
+ * @param {Record<string, unknown>} properties
+ * @param {string} label
+ * @param {string} dim
+ * @returns {{geometry?:string, properties:Record<string, unknown>, label:string,
+ *   kind?:string, error?:string}}
+ */
+function record(build, properties, label, dim) {
+  try {
+    const g = build();
+    return { geometry: `SRID=4326;${geometryWkt(g, dim)}`, properties, label, kind: kindOf(g) };
+  } catch (e) {
+    return { properties, label, error: e.message };
+  }
+}
+
+/**
+ * ISO timestamp ➜ epoch seconds.
+ *
+ * @param {string|undefined} iso
+ * @returns {number|undefined}
+ */
+function epochSeconds(iso) {
+  const t = iso ? Date.parse(iso) : NaN;
+  return Number.isFinite(t) ? t / 1000 : undefined;
+}
+
+/**
+ * Label with an optional name in brackets.
+ *
+ * @param {string} base
+ * @param {string|undefined} name
+ * @returns {string}
+ */
+function labelled(base, name) {
+  return name ? `${base} (${name})` : base;
+}
+
+/* ───────────────────────── GPX ────────────────────────────────────── */
+
+/**
+ * `<wpt>` / `<trkpt>` / `<rtept>` ➜ Position.
+ *
+ * @param {XmlElement} el
+ * @returns {Position}
+ */
+function gpxPosition(el) {
+  const ele = childText(el, 'ele');
+  return {
+    x: Number(el.attrs.lon),
+    y: Number(el.attrs.lat),
+    z: ele === undefined ? undefined : Number(ele),
+    m: epochSeconds(childText(el, 'time')),
+  };
+}
+
+/**
+ * `<rtept>` / `<trkpt>` list ➜ LINESTRING; a line needs two points.
+ *
+ * @param {XmlElement[]} points
+ * @param {string} what  `Route` / `Track segment`, for the error.
+ * @returns {{type:string, coordinates:Position[]}}
+ */
+function gpxLine(points, what) {
+  if (points.length < 2) throw new Error(`${what} has fewer than 2 points`);
+  return { type: 'LINESTRING', coordinates: points.map(gpxPosition) };
+}
+
+/**
+ * Text children of `el` named in `keys`, as properties.
+ *
+ * @param {XmlElement} el
+ * @param {string[]} keys
+ * @returns {Record<string, unknown>}
+ */
+function textProps(el, keys) {
+  /** @type {Record<string, unknown>} */
+  const out = {};
+  for (const k of keys) {
+    const v = childText(el, k);
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+const GPX_META = ['name', 'desc', 'cmt', 'src', 'type', 'number'];
+
+/**
+ * Parse GPX into import records: waypoints, route lines and one line per
+ * track segment.
+ *
+ * @param {string} xml
+ * @param {{dim?:string}=} opts  Target column dimension.
+ * @returns {Array<{geometry?:string, properties:Record<string, unknown>,
+ *   label:string, kind?:string, error?:string}>}
+ */
+function parseGpx(xml, opts = {}) {
+  const dim = normDim(opts.dim);
+  const root = descendants(parseXml(xml), 'gpx')[0];
+  if (!root) throw new Error('Not a GPX document (no <gpx> element).');
+  const out = [];
+
+  kids(root, 'wpt').forEach((w, i) => {
+    const props = { ...textProps(w, [...GPX_META, 'sym', 'ele', 'time']), feature: 'waypoint' };
+    out.push(record(() => ({ type: 'POINT', coordinates: gpxPosition(w) }), props,
+      labelled(`Waypoint ${i + 1}`, props.name), dim));
+  });
+
+  kids(root, 'rte').forEach((r, i) => {
+    const props = { ...textProps(r, GPX_META), feature: 'route' };
+    out.push(record(() => gpxLine(kids(r, 'rtept'), 'Route'),
+      props, labelled(`Route ${i + 1}`, props.name), dim));
+  });
+
+  kids(root, 'trk').forEach((t, i) => {
+    const meta = textProps(t, GPX_META);
+    const segs = kids(t, 'trkseg');
+    segs.forEach((s, j) => {
+      const pts = kids(s, 'trkpt');
+      const props = {
+        ...meta,
+        feature: 'track',
+        segment: j + 1,
+        start_time: childText(pts[0], 'time'),
+        end_time: childText(pts[pts.length - 1], 'time'),
+      };
+      const base = labelled(`Track ${i + 1}`, meta.name);
+      out.push(record(() => gpxLine(pts, 'Track segment'), props,
+        segs.length > 1 ? `${base} segment ${j + 1}` : base, dim));
+    });
+  });
+
+  dbg.debug('parseGpx()', { records: out.length, dim });
+  return out;
+}
+
+/* ───────────────────────── KML ────────────────────────────────────── */
+
+/**
+ * `<coordinates>` text ➜ Positions.
+ *
+ * @param {XmlElement|undefined} el
+ * @returns {Position[]}
+ */
+function kmlCoordinates(el) {
+  const txt = kid(el, 'coordinates')?.text.trim() || '';
+  return txt ? txt.split(/\s+/u).map((tuple) => {
+    const [x, y, z] = tuple.split(',').map(Number);
+    return { x, y, z };
+  }) : [];
+}
+
+/**
+ * Positions ➜ LINESTRING; as with GPX, a line needs two points.
+ *
+ * @param {Position[]} coordinates
+ * @param {string} what  `LineString` / `Track`, for the error.
+ * @returns {{type:string, coordinates:Position[]}}
+ */
+function kmlLine(coordinates, what) {
+  if (coordinates.length < 2) throw new Error(`${what} has fewer than 2 points`);
+  return { type: 'LINESTRING', coordinates };
+}
+
+/**
+ * Close a ring if its last position differs from the first.
+ *
+ * @param {Position[]} ring
+ * @returns {Position[]}
+ */
+function closeRing(ring) {
+  const [a] = ring;
+  const b = ring[ring.length - 1];
+  return a && (a.x !== b.x || a.y !== b.y) ? [...ring, a] : ring;
+}
+
+/** KML geometry element names. */
+const KML_GEOMETRIES = new Set([
+  'Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Track', 'MultiTrack',
+]);
+
+/**
+ * KML geometry element ➜ geometry object.
+ *
+ * @param {XmlElement} el
+ * @returns {{type:string, coordinates?:any, geometries?:any[]}}
+ */
+function kmlGeometry(el) {
+  switch (el.local) {
+    case 'Point': {
+      const [p] = kmlCoordinates(el);
+      if (!p) throw new Error('Point without coordinates');
+      return { type: 'POINT', coordinates: p };
+    }
+    case 'LineString':
+      return kmlLine(kmlCoordinates(el), 'LineString');
+    case 'LinearRing':
+      return { type: 'POLYGON', coordinates: [closeRing(kmlCoordinates(el))] };
+    case 'Polygon': {
+      const ring = (b) => closeRing(kmlCoordinates(kid(b, 'LinearRing')));
+      const outer = kid(el, 'outerBoundaryIs');
+      if (!outer) throw new Error('Polygon without outerBoundaryIs');
+      return { type: 'POLYGON', coordinates: [ring(outer), ...kids(el, 'innerBoundaryIs').map(ring)] };
+    }
+    case 'Track': {
+      const when = kids(el, 'when').map((w) => epochSeconds(w.text.trim()));
+      const coords = kids(el, 'coord').map((c, i) => {
+        const [x, y, z] = c.text.trim().split(/\s+/u).map(Number);
+        return { x, y, z, m: when[i] };
+      });
+      return kmlLine(coords, 'Track');
+    }
+    case 'MultiTrack':
+      return { type: 'MULTILINESTRING', coordinates: kids(el, 'Track').map((t) => kmlGeometry(t).coordinates) };
+    case 'MultiGeometry': {
+      const members = el.children.filter((c) => KML_GEOMETRIES.has(c.local)).map(kmlGeometry);
+      const types = new Set(members.map((g) => g.type));
+      const [only] = types;
+      if (types.size === 1 && ['POINT', 'LINESTRING', 'POLYGON'].includes(only)) {
+        return { type: `MULTI${only}`, coordinates: members.map((g) => g.coordinates) };
+      }
+      return { type: 'GEOMETRYCOLLECTION', geometries: members };
+    }
+    default:
+      throw new Error(`Unsupported KML geometry <${el.local}>`);
+  }
+}
+
+/**
+ * `<ExtendedData>` – both `<Data name><value>` and `<SchemaData>` /
+ * `<SimpleData name>` – as properties.
+ *
+ * @param {XmlElement} placemark
+ * @returns {Record<string, string>}
+ */
+function extendedData(placemark) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  const ext = kid(placemark, 'ExtendedData');
+  for (const d of kids(ext, 'Data')) {
+    if (d.attrs.name) out[d.attrs.name] = (kid(d, 'value')?.text ?? d.text).trim();
+  }
+  for (const sd of kids(ext, 'SchemaData')) {
+    for (const s of kids(sd, 'SimpleData')) {
+      if (s.attrs.name) out[s.attrs.name] = s.text.trim();
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse KML into one import record per `<Placemark>`.
+ *
+ * @param {string} xml
+ * @param {{dim?:string}=} opts  Target column dimension.
+ * @returns {Array<{geometry?:string, properties:Record<string, unknown>,
+ *   label:string, kind?:string, error?:string}>}
+ */
+function parseKml(xml, opts = {}) {
+  const dim = normDim(opts.dim);
+  const doc = parseXml(xml);
+  if (!descendants(doc, 'kml').length && !descendants(doc, 'Document').length) {
+    throw new Error('Not a KML document (no <kml> element).');
+  }
+  const out = descendants(doc, 'Placemark').map((pm, i) => {
+    const props = {
+      ...textProps(pm, ['name', 'description']),
+      ...(kid(pm, 'TimeStamp') ? { when: childText(kid(pm, 'TimeStamp'), 'when') } : {}),
+      ...extendedData(pm),
+    };
+    const geomEl = pm.children.find((c) => KML_GEOMETRIES.has(c.local));
+    return record(() => {
+      if (!geomEl) throw new Error('Placemark without geometry');
+      return kmlGeometry(geomEl);
+    }, props, labelled(`Placemark ${i + 1}`, props.name), dim);
+  });
+  dbg.debug('parseKml()', { records: out.length, dim });
+  return out;
+}
+
+module.exports = { parseXml, parseGpx, parseKml };
@@ -0,0 +1,254 @@
+/**
+ * reproject.js
+ * ---------------------------------------------------------------------------
+ * Server-side SRID re-projection engine.
+ *
+ * Leaflet only speaks EPSG:4326, while real-world columns are frequently
+ * stored in a projected grid (GDA2020 / MGA, UTM, British National Grid …).
+ * These helpers move geometries between the two using proj4 and the bundled
+ * offline definitions in `crs-catalogue.js`.
+ *
+ * Every function degrades gracefully: when proj4 is unavailable or either
+ * SRID is unknown the input is returned untouched (or `undefined` is
+ * signalled) so callers can fall back to the historic behaviour.
+ *
+ * Author:  Troy Kelly  <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('./debug');
+const { CRS_CATALOGUE } = require('./crs-catalogue');
+const { toWkt, wktToGeoJSON } = require('./geometry');
+const { DEFAULT_SRID } = require('../constants');
+
+let proj4;
+try {
+  // eslint-disable-next-line global-require
+  proj4 = require('proj4');
+} catch {
+  proj4 = null;
+}
+
+let wkx;
+try {
+  // eslint-disable-next-line global-require
+  wkx = require('wkx');
+} catch {
+  wkx = null;
+}
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/** SRIDs already handed to `proj4.defs()`. */
+const registered = new Set();
+
+/**
+ * Custom definitions registered at run-time via `registerCrs()`.
+ * @type {Map<number, string>}
+ */
+const extraDefs = new Map();
+
+/**
+ * Make sure proj4 knows `EPSG:<srid>`.
+ *
+ * @param {number} srid
+ * @returns {string|undefined} The proj4 code, or undefined if unknown.
+ */
+function ensureDef(srid) {
+  if (!proj4) return undefined;
+  const code = `EPSG:${srid}`;
+  if (registered.has(srid)) return code;
+
+  const def = extraDefs.get(srid) || CRS_CATALOGUE[srid]?.proj4;
+  if (!def) {
+    dbg.warn('No proj4 definition for SRID', srid);
+    return undefined;
+  }
+  proj4.defs(code, def);
+  registered.add(srid);
+  return code;
+}
+
+/**
+ * Coerce an SRID-ish value into a positive integer.
+ *
+ * @param {unknown} v
+ * @returns {number|undefined}
+ */
+function asSrid(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : undefined;
+}
+
+/**
+ * Walk every wkx Point in a geometry, mutating x/y in place.
+ *
+ * @param {any} g  wkx geometry instance.
+ * @param {(p:{x:number,y:number}) => void} fn
+ * @returns {void}
+ */
+function eachPoint(g, fn) {
+  if (!g) return;
+  if (g instanceof wkx.Point) {
+    if (Number.isFinite(g.x) && Number.isFinite(g.y)) fn(g);
+  } else if (g instanceof wkx.LineString || g instanceof wkx.MultiPoint) {
+    g.points.forEach((p) => eachPoint(p, fn));
+  } else if (g instanceof wkx.Polygon) {
+    g.exteriorRing.forEach((p) => eachPoint(p, fn));
+    g.interiorRings.forEach((r) => r.forEach((p) => eachPoint(p, fn)));
+  } else if (g instanceof wkx.MultiLineString) {
+    g.lineStrings.forEach((l) => eachPoint(l, fn));
+  } else if (g instanceof wkx.MultiPolygon) {
+    g.polygons.forEach((p) => eachPoint(p, fn));
+  } else if (g instanceof wkx.GeometryCollection) {
+    g.geometries.forEach((c) => eachPoint(c, fn));
+  }
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Register (or override) a proj4 definition for an SRID that is not part of
+ * the bundled catalogue.
+ *
+ * @param {number} srid
+ * @param {string} def   proj4 string or OGC WKT.
+ * @returns {void}
+ */
+function registerCrs(srid, def) {
+  const s = asSrid(srid);
+  if (!s || !def) return;
+  extraDefs.set(s, def);
+  registered.delete(s);
+  dbg.info('registerCrs()', { srid: s });
+}
+
+/**
+ * Can we transform between the two SRIDs?
+ *
+ * @param {unknown} from
+ * @param {unknown} to
+ * @returns {boolean}
+ */
+function canReproject(from, to) {
+  const a = asSrid(from);
+  const b = asSrid(to);
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return !!(wkx && ensureDef(a) && ensureDef(b));
+}
+
+/**
+ * Read the SRID embedded in an EWKT / hex-EWKB value.
+ *
+ * @param {unknown} value
+ * @returns {number|undefined}
+ */
+function sridOf(value) {
+  const wkt = toWkt(value);
+  const m = wkt && wkt.match(/^SRID=(\d+);/iu);
+  return m ? Number(m[1]) : undefined;
+}
+
+/**
+ * Transform a single `[x, y, …]` coordinate.  Extra ordinates are preserved.
+ *
+ * @param {number[]} coord
+ * @param {number}   from
+ * @param {number}   to
+ * @returns {number[]|undefined}
+ */
+function reprojectCoord(coord, from, to) {
+  if (!Array.isArray(coord) || !canReproject(from, to)) return undefined;
+  if (from === to) return coord.slice();
+  const [x, y] = proj4(`EPSG:${from}`, `EPSG:${to}`, [coord[0], coord[1]]);
+  return [x, y, ...coord.slice(2)];
+}
+
+/**
+ * Re-project ANY geometry representation into EWKT for `toSrid`.
+ *
+ * The source SRID is taken from the value itself (EWKT prefix / EWKB flag),
+ * falling back to `fromSrid`.  Values without any known SRID, or that cannot
+ * be transformed, yield `undefined`.
+ *
+ * @param {unknown} value
+ * @param {number}  toSrid
+ * @param {number=} fromSrid
+ * @returns {string|undefined}
+ */
+function reprojectWkt(value, toSrid, fromSrid) {
+  const wkt = toWkt(value);
+  if (!wkt) return undefined;
+
+  const src = sridOf(wkt) ?? asSrid(fromSrid);
+  const dst = asSrid(toSrid);
+  if (!src || !dst) return undefined;
+
+  const body = wkt.replace(/^SRID=\d+;/iu, '');
+  if (src === dst) return `SRID=${dst};${body}`;
+  if (!canReproject(src, dst)) return undefined;
+
+  try {
+    const geom = wkx.Geometry.parse(body);
+    const fromCode = `EPSG:${src}`;
+    const toCode = `EPSG:${dst}`;
+    eachPoint(geom, (p) => {
+      const [x, y] = proj4(fromCode, toCode, [p.x, p.y]);
+      p.x = x;
+      p.y = y;
+    });
+    const out = `SRID=${dst};${geom.toWkt()}`;
+    dbg.trace('reprojectWkt()', { src, dst, out: out.slice(0, 64) });
+    return out;
+  } catch (e) {
+    dbg.warn('reprojectWkt() failed', e);
+    return undefined;
+  }
+}
+
+/**
+ * GeoJSON in EPSG:4326 ready for Leaflet, whatever the stored SRID.
+ *
+ * @param {unknown} value
+ * @param {unknown=} fallbackSrid  Column SRID, used when the value has none.
+ * @returns {Record<string, unknown>|undefined}
+ */
+function toDisplayGeoJSON(value, fallbackSrid) {
+  const wkt = toWkt(value);
+  if (!wkt) return undefined;
+
+  const src = sridOf(wkt) ?? asSrid(fallbackSrid) ?? DEFAULT_SRID;
+  if (src === DEFAULT_SRID) return wktToGeoJSON(wkt);
+
+  const wgs = reprojectWkt(wkt, DEFAULT_SRID, src);
+  if (!wgs) {
+    dbg.warn('toDisplayGeoJSON() – cannot re-project, showing raw', { src });
+    return wktToGeoJSON(wkt);
+  }
+  return wktToGeoJSON(wgs);
+}
+
+/**
+ * SRID an editor should emit: 4326 when we can translate back on save,
+ * otherwise the column SRID (historic behaviour).
+ *
+ * @param {unknown} columnSrid
+ * @returns {number}
+ */
+function editorSrid(columnSrid) {
+  const col = asSrid(columnSrid) ?? DEFAULT_SRID;
+  return canReproject(DEFAULT_SRID, col) ? DEFAULT_SRID : col;
+}
+
+module.exports = {
+  registerCrs,
+  canReproject,
+  sridOf,
+  reprojectCoord,
+  reprojectWkt,
+  toDisplayGeoJSON,
+  editorSrid,
+};
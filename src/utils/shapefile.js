@@ -0,0 +1,487 @@
+/**
+ * shapefile.js
+ * ---------------------------------------------------------------------------
+ * Pure-JS ESRI shapefile reader producing import records
+ * `{ geometry, properties, label }` – the `.shp` geometries as EWKT in the
+ * source SRID and the `.dbf` attributes as properties.
+ *
+ *   Point / PointZ / PointM               ➜ POINT
+ *   MultiPoint(Z|M)                       ➜ MULTIPOINT
+ *   PolyLine(Z|M)                         ➜ LINESTRING / MULTILINESTRING
+ *   Polygon(Z|M)                          ➜ POLYGON / MULTIPOLYGON
+ *   Null shape                            ➜ NULL geometry
+ *
+ * Polygon rings are grouped the shapefile way: clockwise rings are shells,
+ * counter-clockwise rings holes of the shell that contains them.  Records
+ * are produced lazily so large files are converted batch by batch; the
+ * `.shx` index is used when present, otherwise the `.shp` is walked.
+ *
+ * `prjToSrid()` recognises the SRID of a `.prj` – from its EPSG authority
+ * code, or failing that from the ESRI name of the CRS.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable no-magic-numbers */
+
+const { CRS_CATALOGUE } = require('./crs-catalogue');
+const { normDim, geometryWkt } = require('./wkt-writer');
+
+/** @typedef {import('./wkt-writer').Position} Position */
+
+/** `.shp` / `.shx` main header length. */
+const HEADER_BYTES = 100;
+
+/** M values below this are “no data” (ESRI shapefile spec). */
+const NO_DATA_M = -1e38;
+
+/** Shape type ➜ `[family, hasZ, hasM]`. */
+const SHAPE_TYPES = Object.freeze({
+  0: ['null', false, false],
+  1: ['point', false, false],
+  3: ['polyline', false, false],
+  5: ['polygon', false, false],
+  8: ['multipoint', false, false],
+  11: ['point', true, true],
+  13: ['polyline', true, true],
+  15: ['polygon', true, true],
+  18: ['multipoint', true, true],
+  21: ['point', false, true],
+  23: ['polyline', false, true],
+  25: ['polygon', false, true],
+  28: ['multipoint', false, true],
+  31: ['multipatch', true, true],
+});
+
+/** ESRI spellings ➜ EPSG spellings, applied after normalisation. */
+const ESRI_NAMES = [
+  [/^gcs /u, ''],
+  [/\bwgs 1984\b/gu, 'wgs 84'],
+  [/\bgda 1994\b/gu, 'gda94'],
+  [/\bnad 1983\b/gu, 'nad83'],
+  [/\betrs 1989\b/gu, 'etrs89'],
+  [/\bosgb 1936\b/gu, 'osgb36'],
+  [/\bnzgd 2000\b/gu, 'nzgd2000'],
+];
+
+/** ESRI names that do not normalise to the EPSG name in the catalogue. */
+const ESRI_ALIASES = Object.freeze({
+  'wgs 84 web mercator auxiliary sphere': 3857,
+  'wgs 84 web mercator': 3857,
+  'british national grid': 27700,
+  'north american 1983': 4269,
+  'nzgd2000 new zealand transverse mercator': 2193,
+});
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Lower-case, separator-free form of a CRS name for comparison.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normName(name) {
+  let n = String(name).toLowerCase().replace(/[_/()-]+/gu, ' ').replace(/\s+/gu, ' ').trim();
+  for (const [re, to] of ESRI_NAMES) n = n.replace(re, to);
+  return n.replace(/\s+/gu, ' ').trim();
+}
+
+/** @type {Map<string, number>|undefined} */
+let catalogueByName;
+
+/**
+ * Normalised catalogue name ➜ SRID (first code wins).
+ *
+ * @returns {Map<string, number>}
+ */
+function namesIndex() {
+  if (!catalogueByName) {
+    catalogueByName = new Map();
+    for (const [srid, def] of Object.entries(CRS_CATALOGUE)) {
+      const key = normName(def.name);
+      if (!catalogueByName.has(key)) catalogueByName.set(key, Number(srid));
+    }
+  }
+  return catalogueByName;
+}
+
+/**
+ * Text decoder for the `.cpg` code page (UTF-8 when unknown).
+ *
+ * @param {string|undefined} cpg
+ * @returns {TextDecoder|undefined}  `undefined`: no `.cpg`.
+ */
+function cpgDecoder(cpg) {
+  const label = String(cpg || '').trim().toLowerCase();
+  if (!label) return undefined;
+  const candidates = /^\d+$/u.test(label)
+    ? [`windows-${label}`, `cp${label}`, label]
+    : [label.replace(/^ansi\s*/u, 'windows-'), label];
+  if (label === '88591') candidates.unshift('iso-8859-1');
+  for (const c of candidates) {
+    try {
+      return new TextDecoder(c);
+    } catch {
+      /* try the next spelling */
+    }
+  }
+  return new TextDecoder('utf-8');
+}
+
+/**
+ * `x` / `y` (+ optional Z / M arrays) at `[from, to)` ➜ positions.
+ *
+ * @param {Buffer} buf
+ * @param {number} xyAt
+ * @param {number} from
+ * @param {number} to
+ * @param {number|undefined} zAt  Start of the Z values, if any.
+ * @param {number|undefined} mAt  Start of the M values, if any.
+ * @returns {Position[]}
+ */
+function positions(buf, xyAt, from, to, zAt, mAt) {
+  const out = [];
+  for (let i = from; i < to; i += 1) {
+    /** @type {Position} */
+    const p = { x: buf.readDoubleLE(xyAt + 16 * i), y: buf.readDoubleLE(xyAt + 16 * i + 8) };
+    if (zAt !== undefined) p.z = buf.readDoubleLE(zAt + 8 * i);
+    if (mAt !== undefined) {
+      const m = buf.readDoubleLE(mAt + 8 * i);
+      if (m > NO_DATA_M) p.m = m;
+    }
+    out.push(p);
+  }
+  return out;
+}
+
+/**
+ * Twice the signed area of a ring (negative when clockwise).
+ *
+ * @param {Position[]} ring
+ * @returns {number}
+ */
+function signedArea2(ring) {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    a += (ring[j].x * ring[i].y) - (ring[i].x * ring[j].y);
+  }
+  return a;
+}
+
+/**
+ * Ray-casting point-in-ring test.
+ *
+ * @param {Position} p
+ * @param {Position[]} ring
+ * @returns {boolean}
+ */
+function inRing(p, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.y > p.y) !== (b.y > p.y)
+      && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Shapefile rings ➜ POLYGON / MULTIPOLYGON.
+ *
+ * @param {Position[][]} rings
+ * @returns {{type:string, coordinates:Position[][]|Position[][][]}}
+ */
+function assemblePolygons(rings) {
+  /** @type {Position[][][]} */
+  const polys = [];
+  const holes = [];
+  for (const r of rings) {
+    if (signedArea2(r) <= 0) polys.push([r]);
+    else holes.push(r);
+  }
+  for (const h of holes) {
+    const owner = polys.find((poly) => inRing(h[0], poly[0]));
+    // An orphan hole is most likely a shell written the wrong way round.
+    if (owner) owner.push(h);
+    else polys.push([h]);
+  }
+  return polys.length === 1
+    ? { type: 'POLYGON', coordinates: polys[0] }
+    : { type: 'MULTIPOLYGON', coordinates: polys };
+}
+
+/**
+ * Decode one shape record's content.
+ *
+ * @param {Buffer} buf   Record content (shape type first).
+ * @returns {{type:string, coordinates:any}|null}
+ */
+function readShape(buf) {
+  const code = buf.readInt32LE(0);
+  const info = SHAPE_TYPES[code];
+  if (!info) throw new Error(`Unknown shape type ${code}`);
+  const [family, hasZ, hasM] = info;
+  if (family === 'null') return null;
+  if (family === 'multipatch') throw new Error('MultiPatch shapes are not supported');
+
+  if (family === 'point') {
+    /** @type {Position} */
+    const p = { x: buf.readDoubleLE(4), y: buf.readDoubleLE(12) };
+    let at = 20;
+    if (hasZ) {
+      p.z = buf.readDoubleLE(at);
+      at += 8;
+    }
+    if (hasM && buf.length >= at + 8) {
+      const m = buf.readDoubleLE(at);
+      if (m > NO_DATA_M) p.m = m;
+    }
+    return { type: 'POINT', coordinates: p };
+  }
+
+  const multipoint = family === 'multipoint';
+  const numParts = multipoint ? 1 : buf.readInt32LE(36);
+  const numPoints = buf.readInt32LE(multipoint ? 36 : 40);
+  if (!numPoints) return null;
+  const partsAt = 44;
+  const xyAt = multipoint ? 40 : partsAt + 4 * numParts;
+  let at = xyAt + 16 * numPoints;
+  let zAt;
+  let mAt;
+  if (hasZ) {
+    zAt = at + 16;
+    at = zAt + 8 * numPoints;
+  }
+  // M is optional in Z shapes.
+  if (hasM && buf.length >= at + 16 + 8 * numPoints) mAt = at + 16;
+
+  if (multipoint) {
+    return { type: 'MULTIPOINT', coordinates: positions(buf, xyAt, 0, numPoints, zAt, mAt) };
+  }
+  const parts = [];
+  for (let i = 0; i < numParts; i += 1) {
+    const from = buf.readInt32LE(partsAt + 4 * i);
+    const to = i + 1 < numParts ? buf.readInt32LE(partsAt + 4 * (i + 1)) : numPoints;
+    if (to > from) parts.push(positions(buf, xyAt, from, to, zAt, mAt));
+  }
+  if (family === 'polygon') return assemblePolygons(parts);
+  return parts.length === 1
+    ? { type: 'LINESTRING', coordinates: parts[0] }
+    : { type: 'MULTILINESTRING', coordinates: parts };
+}
+
+/**
+ * Offsets and lengths of every `.shp` record – from the `.shx` index when
+ * available, otherwise by walking the record headers.
+ *
+ * @param {Buffer} shp
+ * @param {Buffer|undefined} shx
+ * @returns {Array<[number, number]>}  `[content offset, content bytes]`.
+ */
+function recordIndex(shp, shx) {
+  const out = [];
+  if (shx && shx.length >= HEADER_BYTES) {
+    for (let p = HEADER_BYTES; p + 8 <= shx.length; p += 8) {
+      out.push([shx.readInt32BE(p) * 2 + 8, shx.readInt32BE(p + 4) * 2]);
+    }
+    return out;
+  }
+  const end = Math.min(shp.length, shp.readInt32BE(24) * 2);
+  for (let p = HEADER_BYTES; p + 8 <= end;) {
+    const len = shp.readInt32BE(p + 4) * 2;
+    out.push([p + 8, len]);
+    p += 8 + len;
+  }
+  return out;
+}
+
+/* ───────────────────────── DBF ────────────────────────────────────── */
+
+/**
+ * @typedef {Object} DbfField
+ * @property {string} name
+ * @property {string} type     dBase type letter.
+ * @property {number} offset   Offset within the record.
+ * @property {number} length
+ */
+
+/**
+ * Read the `.dbf` header.
+ *
+ * @param {Buffer} dbf
+ * @returns {{count:number, headerLen:number, recordLen:number, fields:DbfField[]}}
+ */
+function dbfHeader(dbf) {
+  const count = dbf.readUInt32LE(4);
+  const headerLen = dbf.readUInt16LE(8);
+  const recordLen = dbf.readUInt16LE(10);
+  /** @type {DbfField[]} */
+  const fields = [];
+  let offset = 1; // deletion flag
+  for (let p = 32; p + 32 <= headerLen && dbf[p] !== 0x0d; p += 32) {
+    const raw = dbf.subarray(p, p + 11);
+    const nul = raw.indexOf(0);
+    const length = dbf[p + 16];
+    fields.push({
+      name: raw.subarray(0, nul < 0 ? 11 : nul).toString('latin1').trim(),
+      type: String.fromCharCode(dbf[p + 11]).toUpperCase(),
+      offset,
+      length,
+    });
+    offset += length;
+  }
+  return { count, headerLen, recordLen, fields };
+}
+
+/**
+ * Decode one `.dbf` value.
+ *
+ * @param {Buffer} raw
+ * @param {string} type
+ * @param {(b:Buffer) => string} text
+ * @returns {unknown}
+ */
+function dbfValue(raw, type, text) {
+  switch (type) {
+    case 'C': {
+      const s = text(raw).replace(/[\s\0]+$/u, '');
+      return s === '' ? null : s;
+    }
+    case 'N':
+    case 'F': {
+      const s = raw.toString('latin1').trim();
+      if (!s || s.startsWith('*')) return null;
+      const n = Number(s);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'L': {
+      const c = raw.toString('latin1').trim().toUpperCase();
+      if (c === 'Y' || c === 'T') return true;
+      if (c === 'N' || c === 'F') return false;
+      return null;
+    }
+    case 'D': {
+      const s = raw.toString('latin1').trim();
+      return /^\d{8}$/u.test(s) && s !== '00000000'
+        ? `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`
+        : null;
+    }
+    case 'I':
+    case '+': return raw.length >= 4 ? raw.readInt32LE(0) : null;
+    case 'O': return raw.length >= 8 ? raw.readDoubleLE(0) : null;
+    default: return null; // memo, general, binary …: content lives elsewhere
+  }
+}
+
+/* ───────────────────────── Public API ─────────────────────────────── */
+
+/**
+ * SRID of a `.prj` (OGC / ESRI WKT), or `undefined` when not recognised.
+ *
+ * @param {string} wkt
+ * @returns {number|undefined}
+ */
+function prjToSrid(wkt) {
+  const text = String(wkt || '');
+  // The outermost authority comes last in both WKT 1 and WKT 2.
+  const codes = [...text.matchAll(/\b(?:AUTHORITY|ID)\s*\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]/giu)];
+  if (codes.length) return Number(codes[codes.length - 1][1]);
+
+  const name = /^\s*\w+\s*\[\s*"([^"]+)"/u.exec(text)?.[1];
+  if (!name) return undefined;
+  const key = normName(name);
+  return ESRI_ALIASES[key] ?? namesIndex().get(key);
+}
+
+/**
+ * Number of shape records.
+ *
+ * @param {Buffer} shp
+ * @param {Buffer=} shx
+ * @returns {number}
+ */
+function shapeCount(shp, shx) {
+  return recordIndex(shp, shx).length;
+}
+
+/**
+ * Number of `.dbf` rows flagged deleted among the first `count` shapes –
+ * the records `shapefileRecords` leaves out.
+ *
+ * @param {Buffer|undefined} dbf
+ * @param {number} count
+ * @returns {number}
+ */
+function deletedCount(dbf, count) {
+  if (!dbf) return 0;
+  const header = dbfHeader(dbf);
+  let n = 0;
+  for (let i = 0; i < Math.min(count, header.count); i += 1) {
+    if (dbf[header.headerLen + i * header.recordLen] === 0x2a) n += 1;
+  }
+  return n;
+}
+
+/**
+ * Read a shapefile into import records, lazily.  Records whose `.dbf` row
+ * is flagged deleted are left out (see `deletedCount`); a shape that cannot be decoded becomes
+ * a record `error`.
+ *
+ * @param {{shp:Buffer, shx?:Buffer, dbf?:Buffer, cpg?:string}} files
+ * @param {{srid:number, dim?:string}} opts  `dim` is the target column's.
+ * @returns {Generator<{geometry?:string|null, properties:Record<string, unknown>,
+ *   label:string, error?:string}>}
+ */
+function* shapefileRecords({ shp, shx, dbf, cpg }, { srid, dim }) {
+  if (!shp || shp.length < HEADER_BYTES || shp.readInt32BE(0) !== 9994) {
+    throw new Error('Not a shapefile (.shp)');
+  }
+  const d = normDim(dim);
+  const index = recordIndex(shp, shx);
+  const header = dbf ? dbfHeader(dbf) : undefined;
+
+  const decoder = cpgDecoder(cpg);
+  const utf8 = new TextDecoder('utf-8', { fatal: true });
+  const ansi = new TextDecoder('windows-1252');
+  /** @param {Buffer} b */
+  const text = decoder
+    ? (b) => decoder.decode(b)
+    : (b) => {
+      try {
+        return utf8.decode(b);
+      } catch {
+        return ansi.decode(b);
+      }
+    };
+
+  for (let i = 0; i < index.length; i += 1) {
+    const label = `Shape ${i + 1}`;
+    /** @type {Record<string, unknown>} */
+    const properties = {};
+    if (header && i < header.count) {
+      const at = header.headerLen + i * header.recordLen;
+      if (dbf[at] === 0x2a) continue; // '*' – deleted
+      for (const f of header.fields) {
+        const raw = dbf.subarray(at + f.offset, at + f.offset + f.length);
+        properties[f.name] = dbfValue(raw, f.type, text);
+      }
+    }
+    try {
+      const [offset, length] = index[i];
+      if (offset + length > shp.length) throw new Error('Truncated .shp record');
+      const g = readShape(shp.subarray(offset, offset + length));
+      yield { geometry: g ? `SRID=${srid};${geometryWkt(g, d)}` : null, properties, label };
+    } catch (e) {
+      yield { properties, label, error: e.message };
+    }
+  }
+}
+
+module.exports = { prjToSrid, shapeCount, deletedCount, shapefileRecords };
@@ -0,0 +1,527 @@
+/**
+ * spatial-ops.js
+ * ---------------------------------------------------------------------------
+ * Pure-JS spatial operations on WGS-84 GeoJSON geometries – centroid, bbox,
+ * buffer, simplify, contains / intersects, distance, DMS formatting and
+ * geohash.  They back the formula functions (`src/functions/catalogue.js`)
+ * and the virtual row properties, where a database round-trip is not an
+ * option.
+ *
+ * Predicates work on lon/lat as a plane, like PostGIS on an EPSG:4326
+ * geometry column.  Metric operations (buffer, simplify, distance between
+ * non-point shapes) use a local equirectangular plane centred on the input –
+ * accurate to well under 1 % for shapes up to a few hundred kilometres.
+ * Distances between two points are geodesic.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable no-magic-numbers */
+
+const { geoJSONParts, geodesicDistance, geodesicDestination } = require('./geometry');
+
+/** Metres per degree of latitude on the local plane (IUGG mean radius). */
+const METRES_PER_DEGREE = (Math.PI / 180) * 6371008.8;
+
+/** Segments used to approximate a full circle in `buffer`. */
+const CIRCLE_SEGMENTS = 32;
+
+/** Geohash base-32 alphabet. */
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Every position of a parts bundle.
+ *
+ * @param {ReturnType<typeof geoJSONParts>} parts
+ * @returns {number[][]}
+ */
+function positionsOf(parts) {
+  return [...parts.points, ...parts.lines.flat(), ...parts.polygons.flat(2)];
+}
+
+/**
+ * Every segment (points become zero-length segments).
+ *
+ * @param {ReturnType<typeof geoJSONParts>} parts
+ * @returns {Array<[number[], number[]]>}
+ */
+function segmentsOf(parts) {
+  const out = parts.points.map((p) => [p, p]);
+  const addLine = (line) => {
+    for (let i = 1; i < line.length; i += 1) out.push([line[i - 1], line[i]]);
+  };
+  parts.lines.forEach(addLine);
+  parts.polygons.forEach((rings) => rings.forEach(addLine));
+  return out;
+}
+
+/**
+ * Orientation of `r` relative to the directed line `p → q`.
+ *
+ * @param {number[]} p
+ * @param {number[]} q
+ * @param {number[]} r
+ * @returns {number} > 0 left, < 0 right, 0 collinear
+ */
+function orient(p, q, r) {
+  return (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+}
+
+/**
+ * Does collinear `r` lie within the bounding box of `p`–`q`?
+ *
+ * @param {number[]} p
+ * @param {number[]} q
+ * @param {number[]} r
+ * @returns {boolean}
+ */
+function onSegment(p, q, r) {
+  return (
+    Math.min(p[0], q[0]) <= r[0] && r[0] <= Math.max(p[0], q[0]) &&
+    Math.min(p[1], q[1]) <= r[1] && r[1] <= Math.max(p[1], q[1])
+  );
+}
+
+/**
+ * Segment intersection test.
+ *
+ * @param {[number[], number[]]} s1
+ * @param {[number[], number[]]} s2
+ * @param {boolean=} properOnly  Only count crossings through both interiors.
+ * @returns {boolean}
+ */
+function segmentsIntersect([p1, p2], [p3, p4], properOnly = false) {
+  const d1 = orient(p3, p4, p1);
+  const d2 = orient(p3, p4, p2);
+  const d3 = orient(p1, p2, p3);
+  const d4 = orient(p1, p2, p4);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+      ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+  if (properOnly) return false;
+  return (
+    (d1 === 0 && onSegment(p3, p4, p1)) ||
+    (d2 === 0 && onSegment(p3, p4, p2)) ||
+    (d3 === 0 && onSegment(p1, p2, p3)) ||
+    (d4 === 0 && onSegment(p1, p2, p4))
+  );
+}
+
+/**
+ * Ray-casting point-in-ring test.
+ *
+ * @param {number[]} pt
+ * @param {number[][]} ring
+ * @returns {boolean}
+ */
+function inRing(pt, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > pt[1]) !== (yj > pt[1]) &&
+        pt[0] < ((xj - xi) * (pt[1] - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Is `pt` inside the polygon (outer ring, not in a hole)?
+ *
+ * @param {number[]} pt
+ * @param {number[][][]} rings
+ * @returns {boolean}
+ */
+function inPolygon(pt, rings) {
+  return inRing(pt, rings[0]) && !rings.slice(1).some((h) => inRing(pt, h));
+}
+
+/**
+ * Local equirectangular plane (metres) centred on `origin`.
+ *
+ * @param {number[]} origin  `[lng, lat]`
+ * @returns {{fwd:(p:number[])=>number[], inv:(p:number[])=>number[]}}
+ */
+function localPlane(origin) {
+  const kx = METRES_PER_DEGREE * Math.cos((origin[1] * Math.PI) / 180);
+  const ky = METRES_PER_DEGREE;
+  return {
+    fwd: (p) => [(p[0] - origin[0]) * kx, (p[1] - origin[1]) * ky],
+    inv: (p) => [origin[0] + p[0] / kx, origin[1] + p[1] / ky],
+  };
+}
+
+/**
+ * Distance from `p` to segment `a`–`b` on a plane.
+ *
+ * @param {number[]} p
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function pointSegmentDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2)) : 0;
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+/**
+ * Convex hull (Andrew's monotone chain), returned as a closed ring.
+ *
+ * @param {number[][]} pts
+ * @returns {number[][]}
+ */
+function convexHull(pts) {
+  const sorted = [...pts].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return [...sorted, sorted[0]];
+  const build = (list) => {
+    const out = [];
+    for (const p of list) {
+      while (out.length >= 2 && orient(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    out.pop();
+    return out;
+  };
+  const hull = [...build(sorted), ...build([...sorted].reverse())];
+  return [...hull, hull[0]];
+}
+
+/**
+ * Douglas–Peucker on a planar position list.
+ *
+ * @param {number[][]} pts
+ * @param {number} tol
+ * @returns {boolean[]} Which positions to keep.
+ */
+function douglasPeucker(pts, tol) {
+  const keep = new Array(pts.length).fill(pts.length < 3);
+  if (pts.length < 3) return keep;
+  keep[0] = true;
+  keep[pts.length - 1] = true;
+  const stack = [[0, pts.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxD = 0;
+    let idx = -1;
+    for (let i = first + 1; i < last; i += 1) {
+      const d = pointSegmentDistance(pts[i], pts[first], pts[last]);
+      if (d > maxD) {
+        maxD = d;
+        idx = i;
+      }
+    }
+    if (idx >= 0 && maxD > tol) {
+      keep[idx] = true;
+      stack.push([first, idx], [idx, last]);
+    }
+  }
+  return keep;
+}
+
+/**
+ * Copy a GeoJSON geometry with every line / ring passed through `fn`.
+ *
+ * @param {Record<string, any>} g
+ * @param {(coords:number[][], isRing:boolean) => number[][]} fn
+ * @returns {Record<string, any>}
+ */
+function mapLines(g, fn) {
+  const c = g.coordinates;
+  switch (g.type) {
+    case 'LineString':      return { type: g.type, coordinates: fn(c, false) };
+    case 'MultiLineString': return { type: g.type, coordinates: c.map((l) => fn(l, false)) };
+    case 'Polygon':         return { type: g.type, coordinates: c.map((r) => fn(r, true)) };
+    case 'MultiPolygon':
+      return { type: g.type, coordinates: c.map((p) => p.map((r) => fn(r, true))) };
+    case 'GeometryCollection':
+      return { type: g.type, geometries: (g.geometries || []).map((m) => mapLines(m, fn)) };
+    default:                return g;
+  }
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Bounding box `[west, south, east, north]`.
+ *
+ * @param {ReturnType<typeof geoJSONParts>} parts
+ * @returns {number[]|undefined}
+ */
+function bboxOf(parts) {
+  const pts = positionsOf(parts);
+  if (!pts.length) return undefined;
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of pts) {
+    if (x < bbox[0]) bbox[0] = x;
+    if (y < bbox[1]) bbox[1] = y;
+    if (x > bbox[2]) bbox[2] = x;
+    if (y > bbox[3]) bbox[3] = y;
+  }
+  return bbox;
+}
+
+/**
+ * Centroid of the highest-dimension parts (polygons ➜ area-weighted,
+ * lines ➜ length-weighted, points ➜ mean), computed in lon/lat.
+ *
+ * @param {ReturnType<typeof geoJSONParts>} parts
+ * @returns {number[]|undefined} `[lng, lat]`
+ */
+function centroidOf(parts) {
+  let sx = 0;
+  let sy = 0;
+  let sw = 0;
+
+  /* planar ring centroid; holes carry negative weight */
+  for (const rings of parts.polygons) {
+    rings.forEach((ring, ri) => {
+      let a = 0;
+      let cx = 0;
+      let cy = 0;
+      for (let i = 0; i < ring.length - 1; i += 1) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        const f = x1 * y2 - x2 * y1;
+        a += f;
+        cx += (x1 + x2) * f;
+        cy += (y1 + y2) * f;
+      }
+      if (!a) return;
+      const w = Math.abs(a / 2) * (ri === 0 ? 1 : -1);
+      sx += (cx / (3 * a)) * w;
+      sy += (cy / (3 * a)) * w;
+      sw += w;
+    });
+  }
+  if (sw) return [sx / sw, sy / sw];
+
+  for (const line of parts.lines) {
+    for (let i = 1; i < line.length; i += 1) {
+      const w = Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]);
+      sx += ((line[i][0] + line[i - 1][0]) / 2) * w;
+      sy += ((line[i][1] + line[i - 1][1]) / 2) * w;
+      sw += w;
+    }
+  }
+  if (sw) return [sx / sw, sy / sw];
+
+  const pts = parts.points.length ? parts.points : positionsOf(parts);
+  if (!pts.length) return undefined;
+  return [
+    pts.reduce((s, p) => s + p[0], 0) / pts.length,
+    pts.reduce((s, p) => s + p[1], 0) / pts.length,
+  ];
+}
+
+/**
+ * Do two geometries share at least one point?
+ *
+ * @param {ReturnType<typeof geoJSONParts>} a
+ * @param {ReturnType<typeof geoJSONParts>} b
+ * @returns {boolean}
+ */
+function intersects(a, b) {
+  const sa = segmentsOf(a);
+  const sb = segmentsOf(b);
+  if (sa.some((s1) => sb.some((s2) => segmentsIntersect(s1, s2)))) return true;
+  const within = (pts, polys) => pts.some((p) => polys.some((rings) => inPolygon(p, rings)));
+  return within(positionsOf(a), b.polygons) || within(positionsOf(b), a.polygons);
+}
+
+/**
+ * Does polygonal `a` contain all of `b`?  Every vertex of `b` must be inside
+ * `a` and no edge of `b` may cross `a`'s boundary.
+ *
+ * @param {ReturnType<typeof geoJSONParts>} a
+ * @param {ReturnType<typeof geoJSONParts>} b
+ * @returns {boolean}
+ */
+function contains(a, b) {
+  if (!a.polygons.length) return false;
+  const pts = positionsOf(b);
+  if (!pts.length) return false;
+  if (!pts.every((p) => a.polygons.some((rings) => inPolygon(p, rings)))) return false;
+  const edges = segmentsOf({ points: [], lines: [], polygons: a.polygons });
+  return !segmentsOf(b).some((s1) => edges.some((s2) => segmentsIntersect(s1, s2, true)));
+}
+
+/**
+ * Minimum distance in metres: geodesic between two points, otherwise the
+ * nearest approach on a local plane (0 when the shapes intersect).
+ *
+ * @param {ReturnType<typeof geoJSONParts>} a
+ * @param {ReturnType<typeof geoJSONParts>} b
+ * @returns {number|undefined}
+ */
+function distanceBetween(a, b) {
+  const pa = positionsOf(a);
+  const pb = positionsOf(b);
+  if (!pa.length || !pb.length) return undefined;
+  if (pa.length === 1 && pb.length === 1) return geodesicDistance(pa[0], pb[0]);
+  if (intersects(a, b)) return 0;
+
+  const plane = localPlane(centroidOf({ points: [...pa, ...pb], lines: [], polygons: [] }));
+  const segs = (parts) => segmentsOf(parts).map(([p, q]) => [plane.fwd(p), plane.fwd(q)]);
+  const nearest = (pts, sg) => {
+    let min = Infinity;
+    for (const p of pts.map(plane.fwd)) {
+      for (const [s, e] of sg) min = Math.min(min, pointSegmentDistance(p, s, e));
+    }
+    return min;
+  };
+  return Math.min(nearest(pa, segs(b)), nearest(pb, segs(a)));
+}
+
+/**
+ * Does any polygon ring cross or touch itself, or cross another ring of the
+ * same polygon?  (The self-intersection half of `ST_IsValid`.)
+ *
+ * @param {ReturnType<typeof geoJSONParts>} parts
+ * @returns {boolean}
+ */
+function hasSelfIntersection(parts) {
+  const edges = (ring) => ring.slice(1).map((p, i) => [ring[i], p]);
+  for (const rings of parts.polygons) {
+    const ringEdges = rings.map(edges);
+    for (const [ri, es] of ringEdges.entries()) {
+      for (let i = 0; i < es.length; i += 1) {
+        for (let j = i + 2; j < es.length; j += 1) {
+          if (i === 0 && j === es.length - 1) continue; // closing neighbours
+          if (segmentsIntersect(es[i], es[j])) return true;
+        }
+        for (const other of ringEdges.slice(ri + 1)) {
+          if (other.some((e) => segmentsIntersect(es[i], e, true))) return true;
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Buffer by `metres`.  A single point becomes a geodesic circle; anything
+ * else the buffered convex hull of its vertices (exact for convex shapes,
+ * generous for concave ones).
+ *
+ * @param {ReturnType<typeof geoJSONParts>} parts
+ * @param {number} metres  > 0
+ * @param {number=} segments  Vertices per full circle.
+ * @returns {Record<string, any>|undefined} GeoJSON Polygon
+ */
+function bufferOf(parts, metres, segments = CIRCLE_SEGMENTS) {
+  const pts = positionsOf(parts);
+  if (!pts.length || !(metres > 0)) return undefined;
+  const n = Math.max(4, Math.floor(segments));
+
+  if (pts.length === 1) {
+    const ring = Array.from({ length: n }, (_, i) => geodesicDestination(pts[0], (360 * i) / n, metres));
+    return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+  }
+
+  const plane = localPlane(centroidOf(parts));
+  const around = [];
+  for (const p of pts.map(plane.fwd)) {
+    for (let i = 0; i < n; i += 1) {
+      const t = (2 * Math.PI * i) / n;
+      around.push([p[0] + metres * Math.cos(t), p[1] + metres * Math.sin(t)]);
+    }
+  }
+  return { type: 'Polygon', coordinates: [convexHull(around).map(plane.inv)] };
+}
+
+/**
+ * Douglas–Peucker simplification with a tolerance in metres.  Rings that
+ * would collapse below four positions are kept as they were.
+ *
+ * @param {Record<string, any>} geom  GeoJSON geometry.
+ * @param {number} metres
+ * @returns {Record<string, any>}
+ */
+function simplifyGeometry(geom, metres) {
+  if (!(metres > 0)) return geom;
+  const plane = localPlane(centroidOf(geoJSONParts(geom)) || [0, 0]);
+  return mapLines(geom, (coords, isRing) => {
+    const keep = douglasPeucker(coords.map(plane.fwd), metres);
+    const out = coords.filter((_, i) => keep[i]);
+    return isRing && out.length < 4 ? coords : out;
+  });
+}
+
+/**
+ * `[lng, lat]` ➜ `33°52'7.7"S 151°12'33.5"E` (latitude first; the same form
+ * the type accepts as input).
+ *
+ * @param {number[]} lonLat
+ * @param {number=} decimals  Decimal places on the seconds.
+ * @returns {string}
+ */
+function formatDMS([lng, lat], decimals = 1) {
+  const part = (v, pos, neg) => {
+    const dp = Math.max(0, Math.min(6, Math.floor(decimals)));
+    const total = Number((Math.abs(v) * 3600).toFixed(dp));
+    const deg = Math.floor(total / 3600);
+    const min = Math.floor((total - deg * 3600) / 60);
+    const sec = (total - deg * 3600 - min * 60).toFixed(dp);
+    return `${deg}°${min}'${sec}"${v < 0 ? neg : pos}`;
+  };
+  return `${part(lat, 'N', 'S')} ${part(lng, 'E', 'W')}`;
+}
+
+/**
+ * Geohash of a position.
+ *
+ * @param {number[]} lonLat
+ * @param {number=} precision  Characters (1 – 12).
+ * @returns {string}
+ */
+function geohash([lng, lat], precision = 9) {
+  const len = Math.max(1, Math.min(12, Math.floor(precision)));
+  const lngR = [-180, 180];
+  const latR = [-90, 90];
+  let hash = '';
+  let bits = 0;
+  let ch = 0;
+  let even = true;
+  while (hash.length < len) {
+    const range = even ? lngR : latR;
+    const v = even ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    ch <<= 1;
+    if (v >= mid) {
+      ch |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+    bits += 1;
+    if (bits === 5) {
+      hash += GEOHASH_BASE32[ch];
+      bits = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+module.exports = {
+  bboxOf,
+  centroidOf,
+  intersects,
+  contains,
+  distanceBetween,
+  hasSelfIntersection,
+  bufferOf,
+  simplifyGeometry,
+  formatDMS,
+  geohash,
+};
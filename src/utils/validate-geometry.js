@@ -0,0 +1,227 @@
+/**
+ * validate-geometry.js
+ * ---------------------------------------------------------------------------
+ * Value-level validation for PostGIS columns.  Catches the mistakes PostGIS
+ * would otherwise report as a raw SQL exception – wrong geometry type, wrong
+ * dimensionality, empty coordinate lists, unclosed rings, degenerate lines
+ * and out-of-range geography coordinates – and turns them into friendly form
+ * messages.
+ *
+ * Works on the EWKT produced by `type.read()`.  Structural checks need wkx;
+ * without it (or for curve types wkx cannot parse) only the type / dimension
+ * checks run and PostGIS remains the final arbiter.
+ *
+ * Author:  Troy Kelly  <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+const dbg = require('./debug');
+const { toWkt } = require('./geometry');
+const { CRS_CATALOGUE } = require('./crs-catalogue');
+const { DEFAULT_SRID } = require('../constants');
+
+let wkx;
+try {
+  // eslint-disable-next-line global-require
+  wkx = require('wkx');
+} catch {
+  wkx = null;
+}
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Leading geometry keyword plus its optional dimension suffix.
+ * Matches `POINT Z (`, `POINTZ(`, `POLYGON EMPTY`, `MULTIPOINT M(` …
+ */
+const HEAD_RE = /^([A-Z]+?)\s*(ZM|Z|M)?\s*(\(|EMPTY\b)/iu;
+
+/**
+ * Split EWKT into SRID, type keyword, explicit dim token and body.
+ *
+ * @param {string} ewkt
+ * @returns {{srid:number|undefined,type:string,dim:string,wkt:string}|undefined}
+ */
+function parseHead(ewkt) {
+  const sridMatch = ewkt.match(/^SRID=(\d+);/iu);
+  const wkt = ewkt.replace(/^SRID=\d+;/iu, '').trim();
+  const m = wkt.match(HEAD_RE);
+  if (!m) return undefined;
+  return {
+    srid: sridMatch ? Number(sridMatch[1]) : undefined,
+    type: m[1].toUpperCase(),
+    dim: (m[2] || '').toUpperCase(),
+    wkt,
+  };
+}
+
+/**
+ * Infer the dimension of untagged WKT (`POINT(1 2 3)`) from the ordinate
+ * count of its first coordinate – PostGIS treats 3 ordinates as Z, 4 as ZM.
+ *
+ * @param {string} wkt
+ * @returns {string}
+ */
+function inferDim(wkt) {
+  const m = wkt.match(/\(\s*([^(),]+?)\s*[,)]/u);
+  if (!m) return '';
+  const n = m[1].split(/\s+/u).length;
+  if (n === 3) return 'Z';
+  if (n >= 4) return 'ZM';
+  return '';
+}
+
+/**
+ * Parse with wkx, re-tagging untagged 3-D / 4-D input so wkx accepts it.
+ *
+ * @param {string} wkt
+ * @param {string} type
+ * @param {string} explicitDim
+ * @param {string} dim
+ * @returns {any|undefined}
+ */
+function parseGeometry(wkt, type, explicitDim, dim) {
+  if (!wkx) return undefined;
+  const src = !explicitDim && dim
+    ? wkt.replace(new RegExp(`^${type}`, 'iu'), `${type} ${dim} `)
+    : wkt;
+  try {
+    return wkx.Geometry.parse(src);
+  } catch (e) {
+    dbg.debug('validate-geometry: wkx cannot parse, skipping structure checks', e.message);
+    return undefined;
+  }
+}
+
+/**
+ * Is the SRID a geographic (lon/lat) system?
+ *
+ * @param {number} srid
+ * @returns {boolean}
+ */
+function isGeographic(srid) {
+  return /\+proj=longlat\b/u.test(CRS_CATALOGUE[srid]?.proj4 || '');
+}
+
+/**
+ * Structural checks on a wkx geometry.  Returns the first problem found.
+ *
+ * @param {any} g
+ * @param {boolean} checkLonLat
+ * @returns {string|undefined}
+ */
+function structuralError(g, checkLonLat) {
+  const pointError = (p) => {
+    if (!checkLonLat) return undefined;
+    if (p.x < -180 || p.x > 180) return `Longitude ${p.x} is outside −180…180`;
+    if (p.y < -90 || p.y > 90) return `Latitude ${p.y} is outside −90…90`;
+    return undefined;
+  };
+  const pointsError = (pts) => {
+    for (const p of pts) {
+      const err = pointError(p);
+      if (err) return err;
+    }
+    return undefined;
+  };
+  const ringError = (ring, label) => {
+    if (!ring.length) return undefined;
+    if (ring.length < 4) {
+      return `${label} needs at least 4 points (it has ${ring.length})`;
+    }
+    const a = ring[0];
+    const b = ring[ring.length - 1];
+    if (a.x !== b.x || a.y !== b.y) {
+      return `${label} is not closed – the last point must equal the first`;
+    }
+    return pointsError(ring);
+  };
+
+  if (g instanceof wkx.Point) {
+    return Number.isFinite(g.x) ? pointError(g) : undefined;
+  }
+  if (g instanceof wkx.LineString) {
+    if (g.points.length === 1) return 'A line needs at least 2 points';
+    return pointsError(g.points);
+  }
+  if (g instanceof wkx.Polygon) {
+    const outer = ringError(g.exteriorRing, 'Polygon outer ring');
+    if (outer) return outer;
+    for (let i = 0; i < g.interiorRings.length; i += 1) {
+      const inner = ringError(g.interiorRings[i], `Polygon hole ${i + 1}`);
+      if (inner) return inner;
+    }
+    return undefined;
+  }
+  if (g instanceof wkx.MultiPoint) return pointsError(g.points);
+
+  const parts =
+    g instanceof wkx.MultiLineString ? g.lineStrings
+      : g instanceof wkx.MultiPolygon ? g.polygons
+        : g instanceof wkx.GeometryCollection ? g.geometries
+          : [];
+  for (const part of parts) {
+    const err = structuralError(part, checkLonLat);
+    if (err) return err;
+  }
+  return undefined;
+}
+
+/* ───────────────────────── Public helpers ─────────────────────────── */
+
+/**
+ * Validate a value destined for a PostGIS column.
+ *
+ * @param {unknown} value
+ * @param {object}  opts
+ * @param {string=} opts.subtype   Expected geometry type ('' / GEOMETRY = any).
+ * @param {string=} opts.dim       Column dimension ('', Z, M, ZM);
+ *                                 `'any'` skips the dimension check.
+ * @param {boolean=} opts.geography Geography column – enforce lon/lat range.
+ * @param {number=} opts.srid      Column SRID.
+ * @returns {true|{error:string}}
+ */
+function validateGeometry(value, opts = {}) {
+  const ewkt = toWkt(value);
+  if (!ewkt) return { error: 'Not a recognisable geometry' };
+
+  const head = parseHead(ewkt);
+  if (!head) return { error: 'Not a recognisable geometry' };
+
+  /* `LINESTRING Z ()` is not EMPTY – PostGIS rejects it outright. */
+  if (/\(\s*\)/u.test(head.wkt)) {
+    return { error: 'A coordinate list is empty – use EMPTY for an empty geometry' };
+  }
+
+  /* 1. Geometry type */
+  const expected = String(opts.subtype || '').toUpperCase();
+  if (expected && expected !== 'GEOMETRY' && head.type !== expected) {
+    return { error: `Expected a ${expected} but received a ${head.type}` };
+  }
+
+  /* 2. Dimensionality */
+  const dim = head.dim || inferDim(head.wkt);
+  const wantDim = String(opts.dim || '').toUpperCase();
+  if (wantDim !== 'ANY' && dim !== wantDim) {
+    return {
+      error: wantDim
+        ? `This column stores ${wantDim} coordinates but the value is ${dim || '2-D'}`
+        : `This column stores 2-D coordinates but the value has ${dim}`,
+    };
+  }
+
+  /* 3. Structure + geography range */
+  const geom = parseGeometry(head.wkt, head.type, head.dim, dim);
+  if (geom) {
+    const srid = head.srid ?? opts.srid ?? DEFAULT_SRID;
+    const err = structuralError(geom, !!opts.geography && isGeographic(srid));
+    if (err) return { error: err };
+  }
+
+  dbg.trace('validateGeometry() ok', { type: head.type, dim });
+  return true;
+}
+
+module.exports = { validateGeometry };
@@ -0,0 +1,95 @@
+/**
+ * wkt-writer.js
+ * ---------------------------------------------------------------------------
+ * WKT output for geometries built by the file readers (`kml-gpx.js`,
+ * `shapefile.js`).  Geometries use the GeoJSON layout with upper-case WKT
+ * type names and `{ x, y, z?, m? }` positions, and are written with exactly
+ * the dimension the target column wants – missing Z / M values become 0,
+ * surplus ones are dropped.
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} Position
+ * @property {number} x
+ * @property {number} y
+ * @property {number=} z
+ * @property {number=} m
+ */
+
+/**
+ * @typedef {{type:string, coordinates?:any, geometries?:Geom[]}} Geom
+ */
+
+/**
+ * Normalise a dimension attribute to `''`, `Z`, `M` or `ZM`.
+ *
+ * @param {unknown} dim
+ * @returns {string}
+ */
+function normDim(dim) {
+  const d = String(dim || '').toUpperCase();
+  return ['Z', 'M', 'ZM'].includes(d) ? d : '';
+}
+
+/**
+ * Position text for `dim`.
+ *
+ * @param {Position} p
+ * @param {string} dim
+ * @returns {string}
+ */
+function posText(p, dim) {
+  if (!Number.isFinite(p?.x) || !Number.isFinite(p?.y)) {
+    throw new Error('Position without valid coordinates');
+  }
+  const out = [p.x, p.y];
+  if (dim.includes('Z')) out.push(Number.isFinite(p.z) ? p.z : 0);
+  if (dim.includes('M')) out.push(Number.isFinite(p.m) ? p.m : 0);
+  return out.join(' ');
+}
+
+/**
+ * Geometry ➜ WKT (no SRID) with dimension `dim` (`''`, `Z`, `M`, `ZM`).
+ *
+ * @param {Geom} g
+ * @param {string} dim
+ * @returns {string}
+ */
+function geometryWkt(g, dim) {
+  const head = `${g.type}${dim ? ` ${dim} ` : ''}`;
+  const list = (ps) => `(${ps.map((p) => posText(p, dim)).join(',')})`;
+  const rings = (rs) => `(${rs.map(list).join(',')})`;
+  switch (g.type) {
+    case 'POINT':              return `${head}(${posText(g.coordinates, dim)})`;
+    case 'LINESTRING':
+    case 'MULTIPOINT':         return `${head}${list(g.coordinates)}`;
+    case 'POLYGON':
+    case 'MULTILINESTRING':    return `${head}${rings(g.coordinates)}`;
+    case 'MULTIPOLYGON':       return `${head}(${g.coordinates.map(rings).join(',')})`;
+    case 'GEOMETRYCOLLECTION': return `${head}(${g.geometries.map((m) => geometryWkt(m, dim)).join(',')})`;
+    default:                   throw new Error(`Unsupported geometry ${g.type}`);
+  }
+}
+
+/**
+ * Broad family of a geometry: `point`, `line`, `polygon` or `mixed`.
+ *
+ * @param {Geom} g
+ * @returns {string}
+ */
+function kindOf(g) {
+  if (g.type === 'GEOMETRYCOLLECTION') {
+    const kinds = new Set(g.geometries.map(kindOf));
+    return kinds.size === 1 ? [...kinds][0] : 'mixed';
+  }
+  if (g.type.endsWith('POINT')) return 'point';
+  if (g.type.endsWith('LINESTRING')) return 'line';
+  return 'polygon';
+}
+
+module.exports = { normDim, geometryWkt, kindOf };
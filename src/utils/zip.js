@@ -0,0 +1,183 @@
+/**
+ * zip.js
+ * ---------------------------------------------------------------------------
+ * Minimal ZIP archive reader for uploaded bundles (zipped shapefiles).
+ * Reads the central directory – including ZIP64 sizes and offsets – and
+ * extracts stored or deflated entries with Node's own `zlib`.  Encrypted
+ * entries and other compression methods are rejected, and so are entries
+ * larger than `MAX_ENTRY_SIZE` or inflating past their declared size
+ * (ZIP bombs).
+ *
+ * Author:  Troy Kelly <troy@team.production.city>
+ * Licence: CC0-1.0
+ */
+
+'use strict';
+
+/* eslint-disable no-magic-numbers */
+
+const zlib = require('zlib');
+
+const SIG_EOCD = 0x06054b50;
+const SIG_EOCD64 = 0x06064b50;
+const SIG_EOCD64_LOCATOR = 0x07064b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+/** End-of-central-directory record plus the longest possible comment. */
+const EOCD_SEARCH = 22 + 0xffff;
+
+/** Largest uncompressed entry extracted (1 GiB). */
+const MAX_ENTRY_SIZE = 1024 ** 3;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name            Path inside the archive.
+ * @property {number} method          0 = stored, 8 = deflate.
+ * @property {boolean} encrypted
+ * @property {number} compressedSize
+ * @property {number} size
+ * @property {number} offset          Offset of the local file header.
+ */
+
+/* ───────────────────────── Internal helpers ───────────────────────── */
+
+/**
+ * Read a little-endian 64-bit value that must fit a JS number.
+ *
+ * @param {Buffer} buf
+ * @param {number} at
+ * @returns {number}
+ */
+function u64(buf, at) {
+  const v = buf.readBigUInt64LE(at);
+  if (v > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('ZIP offset out of range');
+  return Number(v);
+}
+
+/**
+ * Locate the central directory: `{ offset, count }`.
+ *
+ * @param {Buffer} buf
+ * @returns {{offset:number, count:number}}
+ */
+function centralDirectory(buf) {
+  const stop = Math.max(0, buf.length - EOCD_SEARCH);
+  let at = -1;
+  for (let i = buf.length - 22; i >= stop; i -= 1) {
+    if (buf.readUInt32LE(i) === SIG_EOCD) {
+      at = i;
+      break;
+    }
+  }
+  if (at < 0) throw new Error('Not a ZIP archive');
+
+  let count = buf.readUInt16LE(at + 10);
+  let offset = buf.readUInt32LE(at + 16);
+  const loc = at - 20;
+  if ((count === 0xffff || offset === 0xffffffff) && loc >= 0
+    && buf.readUInt32LE(loc) === SIG_EOCD64_LOCATOR) {
+    const eocd64 = u64(buf, loc + 8);
+    if (buf.readUInt32LE(eocd64) !== SIG_EOCD64) throw new Error('Corrupt ZIP64 directory');
+    count = u64(buf, eocd64 + 32);
+    offset = u64(buf, eocd64 + 48);
+  }
+  return { offset, count };
+}
+
+/**
+ * Apply a ZIP64 extended-information extra field to the saturated values.
+ *
+ * @param {Buffer} extra
+ * @param {ZipEntry} e
+ * @returns {void}
+ */
+function applyZip64(extra, e) {
+  let i = 0;
+  while (i + 4 <= extra.length) {
+    const id = extra.readUInt16LE(i);
+    const len = extra.readUInt16LE(i + 2);
+    if (id === 0x0001) {
+      // Only the saturated values are present, in this order.
+      let p = i + 4;
+      for (const key of ['size', 'compressedSize', 'offset']) {
+        if (e[key] === 0xffffffff && p + 8 <= i + 4 + len) {
+          e[key] = u64(extra, p);
+          p += 8;
+        }
+      }
+      return;
+    }
+    i += 4 + len;
+  }
+}
+
+/* ───────────────────────── Public API ─────────────────────────────── */
+
+/**
+ * List the file entries of a ZIP archive (directories are left out).
+ *
+ * @param {Buffer} buf
+ * @returns {ZipEntry[]}
+ */
+function listEntries(buf) {
+  const { offset, count } = centralDirectory(buf);
+  /** @type {ZipEntry[]} */
+  const out = [];
+  let p = offset;
+  for (let n = 0; n < count; n += 1) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== SIG_CENTRAL) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = buf.readUInt16LE(p + 8);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const nameBuf = buf.subarray(p + 46, p + 46 + nameLen);
+    /** @type {ZipEntry} */
+    const e = {
+      name: nameBuf.toString(flags & 0x0800 ? 'utf8' : 'latin1'),
+      method: buf.readUInt16LE(p + 10),
+      encrypted: Boolean(flags & 0x0001),
+      compressedSize: buf.readUInt32LE(p + 20),
+      size: buf.readUInt32LE(p + 24),
+      offset: buf.readUInt32LE(p + 42),
+    };
+    applyZip64(buf.subarray(p + 46 + nameLen, p + 46 + nameLen + extraLen), e);
+    if (!e.name.endsWith('/')) out.push(e);
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return out;
+}
+
+/**
+ * Uncompressed contents of one entry.
+ *
+ * @param {Buffer} buf
+ * @param {ZipEntry} entry
+ * @returns {Buffer}
+ */
+function extractEntry(buf, entry) {
+  if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+  if (entry.size > MAX_ENTRY_SIZE) {
+    throw new Error(`${entry.name} is too large to extract (${entry.size} bytes)`);
+  }
+  const p = entry.offset;
+  if (buf.readUInt32LE(p) !== SIG_LOCAL) throw new Error(`Corrupt ZIP entry ${entry.name}`);
+  const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28);
+  const data = buf.subarray(start, start + entry.compressedSize);
+  switch (entry.method) {
+    case 0: return data;
+    case 8:
+      if (!entry.size) return Buffer.alloc(0);
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: entry.size });
+      } catch (e) {
+        if (e.code !== 'ERR_BUFFER_TOO_LARGE') throw e;
+        throw new Error(`${entry.name} inflates past its declared size`);
+      }
+    default: throw new Error(`${entry.name} uses unsupported compression method ${entry.method}`);
+  }
+}
+
+module.exports = { listEntries, extractEntry };